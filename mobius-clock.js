@@ -0,0 +1,132 @@
+// <mobius-clock> custom element, for embedding the clock in other pages (wikis, dashboards...).
+//
+//   <script src="https://example.com/mobius-clock/mobius-clock.js"></script>
+//   <mobius-clock tick-scheme="minimal" shape-hours="sphere" time-style="24" style="width: 300px; height: 300px"></mobius-clock>
+//
+// Each element runs its own copy of the app (index.html with embed=true) in an iframe, so every instance has its
+//  own renderer, scene and settings, and several can share a page. The attributes mirror the URL parameters in
+//  kebab-case (tick-scheme for tickScheme, theme-colors for themeColors...) and are passed on as the iframe's
+//  hash; changing one later updates the running clock the same way editing the URL does.
+// When the page is on the same origin as the clock, element.clock is its MobiusClock API (see the README), and
+//  its ready, tick, hour and settingschange events are re-dispatched on the element.
+(function () {
+    const URL_PARAMS = ['timeStyle', 'shapeHours', 'shapeMinutes', 'shapeSeconds', 'secondMotion', 'minuteMotion',
+        'tickScheme', 'customTicks', 'tz', 'clocks', 'layout', 'timer', 'stopwatch', 'lat', 'lon', 'sun', 'view',
+        'theme', 'themeColors', 'rotation', 'showHours', 'zen', 'halfTwists', 'stripWidth', 'stripThickness',
+        'stripRadius', 'resolution', 'readoutSeconds', 'readoutDate', 'readoutWeekday', 'readoutFormat', 'locale',
+        'readoutPosition', 'readoutSize', 'hourLabels', 'hourFont', 'lang', 'renderer', 'announce', 'motion', 'chimes',
+        'chimeVolume', 'quietHours', 'fps', 'zenFps', 'stats', 'quality'];
+    const FORWARDED_EVENTS = ['ready', 'tick', 'hour', 'settingschange'];
+
+    // index.html next to this script, unless an element gives its own src attribute
+    const scriptSrc = document.currentScript ? document.currentScript.src : window.location.href;
+    const DEFAULT_SRC = new URL('index.html', scriptSrc).href;
+
+    function toAttributeName(param) {
+        return param.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+    }
+
+    class MobiusClockElement extends HTMLElement {
+        static get observedAttributes() {
+            return URL_PARAMS.map(toAttributeName).concat('src');
+        }
+
+        constructor() {
+            super();
+            this.iframe = null;
+            this.resizeObserver = null;
+            this.forwardedListeners = [];
+            const shadow = this.attachShadow({ mode: 'open' });
+            shadow.innerHTML = `
+                <style>
+                    :host { display: block; position: relative; width: 300px; height: 300px; overflow: hidden; }
+                    iframe { position: absolute; top: 0; left: 0; border: 0; display: block; }
+                </style>`;
+        }
+
+        connectedCallback() {
+            if (this.iframe) return;
+            this.iframe = document.createElement('iframe');
+            this.iframe.title = this.getAttribute('aria-label') || 'Mobius Clock';
+            this.iframe.setAttribute('allow', 'fullscreen; autoplay');
+            this.iframe.addEventListener('load', () => this.connectApi());
+            this.iframe.src = this.getSrc() + '#' + this.getHash();
+            this.shadowRoot.appendChild(this.iframe);
+
+            // Size the iframe to the element; the clock inside follows through its own window resize handling.
+            this.resizeObserver = new ResizeObserver(entries => {
+                const { width, height } = entries[0].contentRect;
+                this.iframe.style.width = Math.round(width) + 'px';
+                this.iframe.style.height = Math.round(height) + 'px';
+            });
+            this.resizeObserver.observe(this);
+        }
+
+        disconnectedCallback() {
+            if (this.resizeObserver) this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+            const clock = this.clock;
+            if (clock) {
+                this.forwardedListeners.forEach(([type, listener]) => clock.removeEventListener(type, listener));
+                clock.destroy();
+            }
+            this.forwardedListeners = [];
+            if (this.iframe) this.iframe.remove();
+            this.iframe = null;
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (!this.iframe || oldValue === newValue) return;
+            if (name === 'src') {
+                this.iframe.src = this.getSrc() + '#' + this.getHash();
+                return;
+            }
+            // Same origin: set the hash so the clock's hashchange handling applies it. Otherwise reload the iframe.
+            try {
+                this.iframe.contentWindow.location.hash = this.getHash();
+            } catch (e) {
+                this.iframe.src = this.getSrc() + '#' + this.getHash();
+            }
+        }
+
+        // The clock's MobiusClock API, or null before it has loaded or when the clock is on another origin.
+        get clock() {
+            try {
+                return (this.iframe && this.iframe.contentWindow && this.iframe.contentWindow.MobiusClock) || null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        getSrc() {
+            return this.getAttribute('src') ? new URL(this.getAttribute('src'), document.baseURI).href : DEFAULT_SRC;
+        }
+
+        getHash() {
+            const params = new URLSearchParams();
+            params.set('embed', 'true');
+            URL_PARAMS.forEach(param => {
+                const value = this.getAttribute(toAttributeName(param));
+                if (value !== null) params.set(param, value);
+            });
+            return params.toString().replace(/%2C/gi, ',').replace(/%2F/gi, '/').replace(/%40/g, '@').replace(/%3A/gi, ':');
+        }
+
+        connectApi() {
+            const clock = this.clock;
+            if (!clock) return;
+            this.forwardedListeners.forEach(([type, listener]) => clock.removeEventListener(type, listener));
+            this.forwardedListeners = FORWARDED_EVENTS.map(type => {
+                const listener = (e) => this.dispatchEvent(new CustomEvent(type, { detail: e.detail }));
+                clock.addEventListener(type, listener);
+                return [type, listener];
+            });
+            // The font may have loaded before the iframe's load event
+            if (clock.isReady) this.dispatchEvent(new CustomEvent('ready'));
+        }
+    }
+
+    if (!customElements.get('mobius-clock')) {
+        customElements.define('mobius-clock', MobiusClockElement);
+    }
+})();
@@ -13,6 +13,8 @@ placed on the circle such that it passes perpendicularly through the center of e
 is at the bottom of the circle, positioned so the long axis is horizontal.  We can imagine initially all of them in this
 orientation; next we will rotate each one around it's center by an angle of m_Theta = 2*PI/NRECT more than the previous one.
 This angle is chosen so that the last rectangle will be rotated 180 degrees from the first one, creating the Mobius strip.
+(With m_HalfTwists = 3 or 5 the rectangles turn 3 or 5 times 180 degrees in all. Any odd number leaves the last one
+upside down relative to the first, so everything below still holds; the edge just winds around the strip more often.)
  
 We don't draw these; instead we create a set of points (vertices) on each rectangle.  For now, consider the four corners.
 In order to define the shape of the mobius strip, we need to connect the points of a given rectangle to the points of the
@@ -58,14 +60,19 @@ spheres and cylinders, and position them relative to the center of the strip.
  
 */
 
-// Constants for Mobius strip generation
-const NRECT = 360;
-const m_NumPoints = NRECT;
-const m_Theta = (Math.PI * 2) / NRECT;
-const m_RotationPerRect = Math.PI / NRECT;
-const m_Len = 1.9; // Width of the mobius strip
-const m_Ht = 0.2; // Thickness of the mobius strip
-const m_Radius = 3.4; // Radius of the theoreticalcircle that forms the centerline of the mobius strip
+// Parameters for Mobius strip generation. These can be changed from the URL and the settings panel (see
+//  setStripGeometry()); the derived values are recomputed by updateDerivedGeometry().
+// NRECT must be a multiple of 60, so that every minute (and hour) tick starts on a segment boundary.
+let NRECT = 360;
+let stripResolution = 360; // the resolution setting; NRECT is what is built, up to the quality tier's cap (see QUALITY)
+let m_HalfTwists = 1; // Odd: 1 is the classic Mobius strip, 3 and 5 tie the edge in a knot
+let m_Len = 1.9; // Width of the mobius strip
+let m_Ht = 0.2; // Thickness of the mobius strip
+let m_Radius = 3.4; // Radius of the theoreticalcircle that forms the centerline of the mobius strip
+let m_NumPoints = NRECT;
+let m_Theta = (Math.PI * 2) / NRECT;
+let m_RotationPerRect = m_HalfTwists * Math.PI / NRECT;
+const DEFAULT_STRIP_EXTENT = 3.4 + 1.9 / 2; // m_Radius + m_Len / 2 at the defaults; the camera framing is tuned for it
 const m_SecondsRadius = 0.35;
 const m_MinutesRadius = 0.45;
 const m_HourSphereRadius = 0.55;
@@ -101,6 +108,11 @@ let m_ThirdwayFromBackToFrontOuter3DPtArray = []; // A third towards middle, fro
 //  into the "vertices" array.  We use indices into this array to indirectly refer to the points when
 //  we create the triangles of the model by adding them to the indices array.
 function generateMobius3dPoints() {
+    // Drop points left over from a higher resolution
+    [m_RectCenter3DPtArray, m_FrontInnerCorner3DPtArray, m_BackInnerCorner3DPtArray, m_FrontOuterCorner3DPtArray,
+        m_BackOuterCorner3DPtArray, m_ThirdwayFromFrontToBackInner3DPtArray, m_ThirdwayFromBackToFrontInner3DPtArray,
+        m_ThirdwayFromFrontToBackOuter3DPtArray, m_ThirdwayFromBackToFrontOuter3DPtArray].forEach(arr => { arr.length = m_NumPoints; });
+
     const s = Math.sqrt(m_Len * m_Len + m_Ht * m_Ht) / 2;
     const beta = Math.asin(m_Ht / (2 * s));
 
@@ -164,10 +176,154 @@ function generateMobius3dPoints() {
     }
 }
 
+// --- STRIP GEOMETRY ---
+// The shape of the strip: halfTwists (odd), stripWidth (m_Len), stripThickness (m_Ht), stripRadius (m_Radius)
+//  and resolution (NRECT). Keys match the URL parameters.
+const STRIP_GEOMETRY_LIMITS = {
+    halfTwists: [1, 3, 5],
+    resolution: [120, 180, 240, 360, 480, 720],
+    stripWidth: { min: 0.6, max: 3 },
+    stripThickness: { min: 0.05, max: 0.6 },
+    stripRadius: { min: 2, max: 6 }
+};
+
+function isValidGeometryValue(key, value) {
+    const limits = STRIP_GEOMETRY_LIMITS[key];
+    if (!limits || typeof value !== 'number' || !isFinite(value)) return false;
+    return Array.isArray(limits) ? limits.includes(value) : value >= limits.min && value <= limits.max;
+}
+
+function getStripGeometry() {
+    return { halfTwists: m_HalfTwists, stripWidth: m_Len, stripThickness: m_Ht, stripRadius: m_Radius, resolution: stripResolution };
+}
+
+function updateDerivedGeometry() {
+    m_NumPoints = NRECT;
+    m_Theta = (Math.PI * 2) / NRECT;
+    m_RotationPerRect = m_HalfTwists * Math.PI / NRECT;
+}
+
+// Takes the valid entries of options (see STRIP_GEOMETRY_LIMITS), ignoring the rest, without rebuilding anything.
+// Returns false if anything was invalid.
+function applyStripGeometry(options) {
+    let valid = true;
+    const geometry = getStripGeometry();
+    Object.keys(options).forEach(key => {
+        const value = Number(options[key]);
+        if (isValidGeometryValue(key, value)) {
+            geometry[key] = value;
+        } else {
+            console.log(`Ignoring invalid ${key}: ${options[key]}`);
+            valid = false;
+        }
+    });
+    // The strip can't be thicker than it is wide
+    geometry.stripThickness = Math.min(geometry.stripThickness, geometry.stripWidth / 2);
+
+    m_HalfTwists = geometry.halfTwists;
+    m_Len = geometry.stripWidth;
+    m_Ht = geometry.stripThickness;
+    m_Radius = geometry.stripRadius;
+    stripResolution = geometry.resolution;
+    NRECT = getEffectiveResolution();
+    updateDerivedGeometry();
+    return valid;
+}
+
+// Changes the geometry of the running clock, rebuilding the strips if anything changed.
+function setStripGeometry(options) {
+    const before = JSON.stringify(getStripGeometry());
+    const valid = applyStripGeometry(options);
+    if (JSON.stringify(getStripGeometry()) !== before) rebuildStrips();
+    updateExplainerTwists();
+    return valid;
+}
+
+// Regenerates the points and everything built on them, for every clock.
+function rebuildStrips() {
+    generateMobius3dPoints();
+    updateEdgePath();
+    clocks.forEach(clock => {
+        computeSunPhases(clock); // one phase per edge point, so it must match the new resolution
+        createMobiusStripMesh(clock);
+        createClockHands(clock);
+    });
+    refreshAlarmMarkers();
+    refreshCalendar(true);
+    createHourNumbers();
+    handleWindowResize();
+}
+
+// How much bigger than the default strip this one is, for framing it with the camera.
+function getGeometryScale() {
+    return (m_Radius + m_Len / 2) / DEFAULT_STRIP_EXTENT;
+}
+
+// The explainer describes the current number of half-twists.
+function updateExplainerTwists() {
+    const el = document.getElementById('explainer-twists');
+    if (!el) return;
+    if (m_HalfTwists === 1) {
+        el.textContent = t('This strip has the classic single half-twist. Try 3 or 5 half-twists in Settings: the edge ' +
+            'still takes 2 full turns (24 hours) to close, since any odd number of half-twists joins the edge to ' +
+            'itself, but on the way it winds around the band more often and ties itself in a knot.');
+    } else {
+        el.textContent = t('This strip has {twists} half-twists. Its edge still closes after 2 full turns ' +
+            '(24 hours), but it winds {twists} half-turns around the band on each lap, so the hour indicator ' +
+            'flips between faces every {hours} hours instead of every 12, and the edge forms a {knot} knot.', {
+            twists: m_HalfTwists,
+            hours: (+(12 / m_HalfTwists).toFixed(1)).toLocaleString(uiLanguage),
+            knot: t(m_HalfTwists === 3 ? 'trefoil' : 'cinquefoil')
+        });
+    }
+}
+
+function syncGeometryUI() {
+    const geometry = getStripGeometry();
+    const halfTwistsSelect = document.getElementById('geometry-half-twists');
+    if (halfTwistsSelect) halfTwistsSelect.value = geometry.halfTwists;
+    const resolutionSelect = document.getElementById('geometry-resolution');
+    if (resolutionSelect) resolutionSelect.value = geometry.resolution;
+    ['stripWidth', 'stripThickness', 'stripRadius'].forEach(key => {
+        const input = document.getElementById(`geometry-${key}`);
+        if (input) input.value = geometry[key];
+    });
+}
+
+function setupGeometryUI() {
+    const onChange = (key) => (e) => {
+        setStripGeometry({ [key]: e.target.value });
+        syncGeometryUI(); // shows the value actually used, e.g. after an out-of-range entry
+        settingsChanged();
+    };
+    const halfTwistsSelect = document.getElementById('geometry-half-twists');
+    if (halfTwistsSelect) halfTwistsSelect.addEventListener('change', onChange('halfTwists'));
+    const resolutionSelect = document.getElementById('geometry-resolution');
+    if (resolutionSelect) resolutionSelect.addEventListener('change', onChange('resolution'));
+    ['stripWidth', 'stripThickness', 'stripRadius'].forEach(key => {
+        const input = document.getElementById(`geometry-${key}`);
+        if (input) input.addEventListener('change', onChange(key));
+    });
+
+    const resetButton = document.getElementById('geometry-reset');
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            const defaults = new URLSearchParams(DEFAULT_SETTINGS);
+            const options = {};
+            Object.keys(STRIP_GEOMETRY_LIMITS).forEach(key => { options[key] = defaults.get(key); });
+            setStripGeometry(options);
+            syncGeometryUI();
+            settingsChanged();
+        });
+    }
+
+    syncGeometryUI();
+    updateExplainerTwists();
+}
+
 // grab params from the url.
 var timeStyle = "ampm";
 let rotationEnabled = false;
-let fastMode = false;
 let zenMode = false;
 let initialHoursVisible = true;
 let indicatorShapes = {
@@ -176,15 +332,30 @@ let indicatorShapes = {
     seconds: 'sphere'
 };
 let currentTickScheme = 'standard';
-
-function parseUrlParams() {
-    const params = new URLSearchParams(window.location.hash.substring(1)); // Remove #
+let currentThemeName = 'classic';
+let initialView = null; // camera pose from the URL, applied by init() and applyUrlSettings()
+let sunEnabled = false;
+let sunLocation = null; // { lat, lon } in degrees, east and north positive
+let clockMode = 'clock'; // 'clock', 'timer' or 'stopwatch'
+let embedMode = false; // embed=true: inside a <mobius-clock> element (mobius-clock.js), without the app's UI
+let rendererMode = 'webgl'; // 'webgl' or '2d' (renderer=2d, or no WebGL); see createRenderer()
+let timerDurationMs = 25 * 60 * 1000;
+
+// One entry per clock (Mobius strip) in the scene. Each clock has its own time zone and caption; the first one
+//  is the "primary" clock that drives the digital time readout and the zone picker in the settings panel.
+// timeZone is an IANA zone name, e.g. 'America/Los_Angeles'. Empty means the browser's local zone.
+let clockConfigs = [{ timeZone: '', caption: '' }];
+let clockLayout = 'auto'; // 'auto', 'row' or 'grid'; only matters when there is more than one clock
+
+// Reads settings from URL-style parameters: normally getStartupParams(), i.e. the hash over the saved settings.
+function parseUrlParams(params) {
 
     // Time Style
     if (params.has('timeStyle')) {
         const val = params.get('timeStyle');
         if (val === '24' || val === 'ampm') {
             timeStyle = val;
+            readoutChanged();
         }
     }
 
@@ -193,8 +364,179 @@ function parseUrlParams() {
     if (params.has('shapeMinutes')) indicatorShapes.minutes = params.get('shapeMinutes');
     if (params.has('shapeSeconds')) indicatorShapes.seconds = params.get('shapeSeconds');
 
-    // Tick Scheme
-    if (params.has('tickScheme')) currentTickScheme = params.get('tickScheme');
+    // Indicator motion, e.g. secondMotion=railway&minuteMotion=step
+    if (params.has('secondMotion')) {
+        const val = params.get('secondMotion').toLowerCase();
+        if (SECOND_MOTIONS.includes(val)) indicatorMotion.seconds = val;
+    }
+    if (params.has('minuteMotion')) {
+        const val = params.get('minuteMotion').toLowerCase();
+        if (MINUTE_MOTIONS.includes(val)) indicatorMotion.minutes = val;
+    }
+
+    // Tick marks, e.g. tickScheme=minimal. customTicks gives a custom scheme as JSON (see TICK SCHEMES).
+    if (params.has('customTicks')) {
+        try {
+            customTickScheme = parseTickScheme(params.get('customTicks'));
+            currentTickScheme = 'custom';
+        } catch (e) {
+            console.log(`Ignoring customTicks: ${e.message}`);
+        }
+    } else if (params.has('tickScheme')) {
+        const val = params.get('tickScheme');
+        if (TICK_SCHEMES.includes(val)) currentTickScheme = val;
+    }
+
+    // Time Zone (IANA name, e.g. tz=America/Los_Angeles). Unknown zones are ignored.
+    if (params.has('tz')) {
+        const val = params.get('tz');
+        if (isValidTimeZone(val)) {
+            clockConfigs[0].timeZone = val;
+        } else {
+            console.log(`Ignoring unknown time zone: ${val}`);
+        }
+    }
+
+    // World clock: several strips in one scene, as a comma-separated list of Caption@Zone entries, e.g.
+    //   clocks=Carlsbad@America/Los_Angeles,London@Europe/London,Tokyo@Asia/Tokyo
+    // The caption is optional ("Europe/London" alone is captioned "London").
+    if (params.has('clocks')) {
+        const configs = parseClockList(params.get('clocks'));
+        if (configs.length > 0) clockConfigs = configs;
+    }
+    // Timer / Stopwatch, e.g. timer=25m, timer=1h30m, timer=90s, timer=10:00 or stopwatch=true
+    if (params.has('timer')) {
+        const ms = parseDuration(params.get('timer'));
+        if (ms) {
+            clockMode = 'timer';
+            timerDurationMs = ms;
+        }
+    } else if (params.has('stopwatch')) {
+        const val = params.get('stopwatch').toLowerCase();
+        if (val === 'true' || val === 'on') clockMode = 'stopwatch';
+    }
+
+    // Sun overlay location, e.g. lat=33.16&lon=-117.35. Giving a location turns the overlay on unless sun=false.
+    if (params.has('lat') && params.has('lon')) {
+        const lat = parseFloat(params.get('lat'));
+        const lon = parseFloat(params.get('lon'));
+        if (Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+            sunLocation = { lat: lat, lon: lon };
+            sunEnabled = true;
+        }
+    }
+    if (params.has('sun')) {
+        const val = params.get('sun').toLowerCase();
+        sunEnabled = (val === 'true' || val === 'on') && sunLocation !== null;
+    }
+
+    // Camera pose, as written by the orbit controls: view=camX,camY,camZ,targetX,targetY,targetZ
+    if (params.has('view')) {
+        const nums = params.get('view').split(',').map(Number);
+        if (nums.length === 6 && nums.every(n => isFinite(n))) initialView = nums;
+    }
+
+    // Quality tier, e.g. quality=low; before the strip geometry, whose resolution it caps
+    if (params.has('quality')) {
+        const val = params.get('quality').toLowerCase();
+        if (QUALITY_SETTINGS.includes(val)) {
+            if (val === 'auto' && qualitySetting !== 'auto') autoQualityTier = QUALITY_ORDER[QUALITY_ORDER.length - 1];
+            qualitySetting = val;
+        }
+    }
+
+    // Strip geometry, e.g. halfTwists=3&stripWidth=1.5&resolution=720
+    const geometryOptions = {};
+    Object.keys(STRIP_GEOMETRY_LIMITS).forEach(key => {
+        if (params.has(key)) geometryOptions[key] = params.get(key);
+    });
+    applyStripGeometry(geometryOptions);
+
+    // Hour labels, e.g. hourLabels=roman,cardinal&hourFont=https://example.com/noto_sans_jp.typeface.json
+    if (params.has('hourLabels')) {
+        const style = parseHourLabels(params.get('hourLabels'));
+        if (style) hourLabelStyle = style;
+    }
+    if (params.has('hourFont')) hourFontUrl = params.get('hourFont');
+
+    // UI language, e.g. lang=es. Unknown languages are ignored.
+    if (params.has('lang')) {
+        const val = params.get('lang').toLowerCase();
+        if (LANGUAGES[val]) setLanguage(val);
+    }
+
+    // Accessibility, e.g. announce=15 (minutes; 0 is off) and motion=reduced
+    if (params.has('announce')) {
+        const val = parseInt(params.get('announce'), 10);
+        if (ANNOUNCE_INTERVALS.includes(val)) announceInterval = val;
+    }
+    if (params.has('motion')) {
+        const val = params.get('motion').toLowerCase();
+        if (MOTION_SETTINGS.includes(val)) motionSetting = val;
+    }
+
+    // Chimes, e.g. chimes=hours,quarters&chimeVolume=30&quietHours=22-7
+    if (params.has('chimes')) {
+        const types = parseChimeTypes(params.get('chimes'));
+        if (types) applyChimeSettings(types);
+    }
+    if (params.has('chimeVolume')) {
+        const val = parseInt(params.get('chimeVolume'), 10);
+        if (val >= 0 && val <= 100) applyChimeSettings({ volume: val });
+    }
+    if (params.has('quietHours')) {
+        const quietHours = parseQuietHours(params.get('quietHours'));
+        if (quietHours) applyChimeSettings({ quietHours: quietHours });
+    }
+
+    // Frame rate caps and the stats overlay, e.g. fps=30&zenFps=1&stats=true
+    ['fps', 'zenFps'].forEach(key => {
+        if (!params.has(key)) return;
+        const val = Number(params.get(key));
+        if (isValidFps(val)) frameRate[key] = val;
+    });
+    if (params.has('stats')) {
+        const val = params.get('stats').toLowerCase();
+        setStatsVisible(val === 'true' || val === 'on');
+    }
+
+    // Digital readout, e.g. readoutDate=true&locale=de-DE or readoutFormat=HH:mm&readoutPosition=center&readoutSize=kiosk
+    const readoutOptions = {};
+    Object.keys(READOUT_URL_PARAMS).forEach(key => {
+        const param = READOUT_URL_PARAMS[key];
+        if (!params.has(param)) return;
+        const val = params.get(param);
+        readoutOptions[key] = typeof readoutSettings[key] === 'boolean' ? ['true', 'on'].includes(val.toLowerCase()) : val;
+    });
+    applyReadoutSettings(readoutOptions);
+
+    // Color theme, e.g. theme=neon. themeColors gives a custom theme as hex colors in THEME_KEYS order.
+    if (params.has('themeColors')) {
+        const custom = parseThemeColors(params.get('themeColors'));
+        if (custom) {
+            customTheme = custom;
+            currentThemeName = 'custom';
+        }
+    } else if (params.has('theme')) {
+        const val = params.get('theme');
+        if (THEMES[val] || val === 'custom') currentThemeName = val;
+    }
+
+    if (params.has('embed')) {
+        const val = params.get('embed').toLowerCase();
+        embedMode = (val === 'true' || val === 'on');
+    }
+
+    // Renderer: renderer=2d draws with Canvas 2D instead of WebGL, which is also the fallback without WebGL
+    if (params.has('renderer')) {
+        const val = params.get('renderer').toLowerCase();
+        if (val === 'webgl' || val === '2d') rendererMode = val;
+    }
+
+    if (params.has('layout')) {
+        const val = params.get('layout');
+        if (val === 'auto' || val === 'row' || val === 'grid') clockLayout = val;
+    }
 
     // Rotation
     if (params.has('rotation')) {
@@ -219,407 +561,1192 @@ function parseUrlParams() {
     return false;
 }
 
-const startInZen = parseUrlParams();
+// --- TIME ZONES ---
+// The clock reads its hours/minutes/seconds through getZonedTime() rather than straight from a Date,
+//  so that the whole face (indicators and digital readout) can follow a zone other than the browser's.
+// Intl does the heavy lifting, including DST transitions, since it converts each instant separately.
+const zoneFormatters = {};
+
+function isValidTimeZone(zone) {
+    if (!zone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
 
-// generateMobius3dPoints(); // Moved call to be explicit or keep it here? 
-// It was here before.
-generateMobius3dPoints();
+function getZoneFormatter(zone) {
+    const key = zone || 'local';
+    if (!zoneFormatters[key]) {
+        const options = {
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            timeZoneName: 'short'
+        };
+        if (zone) options.timeZone = zone;
+        zoneFormatters[key] = new Intl.DateTimeFormat('en-US', options);
+    }
+    return zoneFormatters[key];
+}
 
-let scene, camera, renderer, mobiusGroup;
-// rotationEnabled declared above
-// fastMode declared above
-let hourNumbersGroup;
-let mobiusStripMesh;
-let topRightLight;
-// zenMode declared above
-let preZenState = {};
+const WEEKDAY_NUMBERS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Returns the wall-clock date and time of the given instant in the given zone ('' = local).
+// month is 1-12 and weekday is 0 (Sunday) to 6, as in Date.getDay().
+function getZonedTime(date, zone) {
+    if (!zone) {
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            weekday: date.getDay(),
+            hours: date.getHours(),
+            minutes: date.getMinutes(),
+            seconds: date.getSeconds(),
+            milliseconds: date.getMilliseconds()
+        };
+    }
+    const result = { year: 0, month: 0, day: 0, weekday: 0, hours: 0, minutes: 0, seconds: 0, milliseconds: date.getMilliseconds() };
+    getZoneFormatter(zone).formatToParts(date).forEach(part => {
+        if (part.type === 'year') result.year = parseInt(part.value, 10);
+        else if (part.type === 'month') result.month = parseInt(part.value, 10);
+        else if (part.type === 'day') result.day = parseInt(part.value, 10);
+        else if (part.type === 'weekday') result.weekday = WEEKDAY_NUMBERS[part.value];
+        else if (part.type === 'hour') result.hours = parseInt(part.value, 10) % 24; // some engines report midnight as 24
+        else if (part.type === 'minute') result.minutes = parseInt(part.value, 10);
+        else if (part.type === 'second') result.seconds = parseInt(part.value, 10);
+    });
+    return result;
+}
 
+// Minutes the zone is ahead of UTC at the given instant, e.g. -420 for PDT.
+function getZoneOffsetMinutes(date, zone) {
+    const zoned = getZonedTime(date, zone);
+    const wallAsUtc = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hours, zoned.minutes, zoned.seconds);
+    return Math.round((wallAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
 
-function init() {
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x505050); // Medium gray
+// Converts a wall-clock time in the given zone ('' = local) to an instant (ms since epoch).
+function zonedWallTimeToMs(year, month, day, hours, minutes, seconds, zone) {
+    const wallAsUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    let ms = wallAsUtc - getZoneOffsetMinutes(new Date(wallAsUtc), zone) * 60000;
+    // Near a DST change the offset at the first guess can differ from the offset at the answer; a second pass settles it
+    ms = wallAsUtc - getZoneOffsetMinutes(new Date(ms), zone) * 60000;
+    return ms;
+}
 
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.z = 7;
+// Time of day (0-24, fractional) of the given instant in the given zone.
+function getZonedHour(ms, zone) {
+    const zoned = getZonedTime(new Date(ms), zone);
+    return zoned.hours + zoned.minutes / 60 + zoned.seconds / 3600;
+}
 
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
+// Short zone name for display next to the digital time, e.g. "PDT" or "GMT+9".
+function getZoneAbbreviation(date, zone) {
+    const part = getZoneFormatter(zone).formatToParts(date).find(p => p.type === 'timeZoneName');
+    return part ? part.value : '';
+}
 
+// updateClock() runs every frame, but the date parts, the readout and the zone name only change once a second.
+//  So per zone, they are worked out when the displayed second changes and reused until the next one; the
+//  readout texts are filled in when first asked for (see getFrameReadout()).
+const secondCaches = new Map(); // zone -> { second, zoned, abbreviation, readout, caption }
+
+function getSecondCache(now, zone) {
+    const second = Math.floor(now.getTime() / 1000);
+    let cache = secondCaches.get(zone);
+    if (!cache) {
+        cache = { second: null, zoned: null, abbreviation: null, readout: null, caption: null };
+        secondCaches.set(zone, cache);
+    }
+    if (cache.second !== second) {
+        cache.second = second;
+        cache.zoned = getZonedTime(now, zone);
+        cache.abbreviation = null;
+        cache.readout = null;
+        cache.caption = null;
+    }
+    return cache;
+}
 
-    document.getElementById('container').appendChild(renderer.domElement);
+// getZonedTime() for the per-frame work. The object is shared and rewritten every call, so read it straight away.
+function getFrameZonedTime(now, zone) {
+    const zoned = getSecondCache(now, zone).zoned;
+    zoned.milliseconds = now.getMilliseconds();
+    return zoned;
+}
 
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-    scene.add(ambientLight);
+function getFrameZoneAbbreviation(now, zone) {
+    const cache = getSecondCache(now, zone);
+    if (cache.abbreviation === null) cache.abbreviation = getZoneAbbreviation(now, zone);
+    return cache.abbreviation;
+}
 
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
-    directionalLight.position.set(0, 1, 1);
-    scene.add(directionalLight);
+// All zones the browser knows about, for the settings picker. Older browsers lack
+//  Intl.supportedValuesOf, so fall back to a short list of common zones.
+function getTimeZoneList() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        try {
+            return Intl.supportedValuesOf('timeZone');
+        } catch (e) {
+            // fall through
+        }
+    }
+    return [
+        'UTC', 'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+        'America/Sao_Paulo', 'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Africa/Johannesburg',
+        'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Shanghai', 'Asia/Tokyo',
+        'Australia/Sydney', 'Pacific/Auckland'
+    ].filter(isValidTimeZone);
+}
 
-    topRightLight = new THREE.DirectionalLight(0xffffff, 0.8); // 2nd parameter is intensity
-    topRightLight.position.set(1, 1, 2); // the parameters are x, y, z position in units of
-    scene.add(topRightLight);
+// Sets the zone of the primary clock (the one shown in the digital readout).
+function setTimeZone(zone) {
+    if (clocks.length === 0) return;
+    clocks[0].timeZone = isValidTimeZone(zone) ? zone : '';
+    refreshAlarmMarkers(); // alarm times are relative to the primary zone
+    refreshCalendar(true); // and so is "today" for calendar events
+    refreshSun(true);
+    updateClock();
+}
 
-    mobiusGroup = new THREE.Group();
-    scene.add(mobiusGroup);
+// "London" for "Europe/London", "Port of Spain" for "America/Port_of_Spain".
+function getZoneCity(zone) {
+    if (!zone) return 'Local';
+    return zone.split('/').pop().replace(/_/g, ' ');
+}
 
-    createMobiusStripMesh();
-    createClockHands();
+function parseClockList(str) {
+    const configs = [];
+    str.split(',').forEach(entry => {
+        entry = entry.trim();
+        if (!entry) return;
+        let caption = '';
+        let zone = entry;
+        const at = entry.lastIndexOf('@');
+        if (at >= 0) {
+            caption = entry.substring(0, at).trim();
+            zone = entry.substring(at + 1).trim();
+        }
+        if (zone.toLowerCase() === 'local') zone = '';
+        if (zone && !isValidTimeZone(zone)) {
+            console.log(`Ignoring clock with unknown time zone: ${entry}`);
+            return;
+        }
+        configs.push({ timeZone: zone, caption: caption || getZoneCity(zone) });
+    });
+    return configs;
+}
 
-    edgePath = m_FrontInnerCorner3DPtArray.concat(m_BackOuterCorner3DPtArray);
-    createHourNumbers();
+// --- HOUR LABELS ---
+// The hour labels are extruded TextGeometry in a typeface.json font: helvetiker by default, or any other given
+//  with hourFont= (e.g. a font converted with facetype.js that covers Arabic, Devanagari or CJK glyphs).
+//  hourLabels= picks the numerals and which hours get a label, comma-separated, e.g. hourLabels=roman or
+//  hourLabels=cjk,cardinal. A label with characters the font lacks is drawn with the browser's own fonts on a
+//  flat canvas texture instead, so every numeral style works without a special font.
+// When the font itself cannot be loaded, every label is drawn that way and a note under the title offers a
+//  retry; retries also happen on their own, further apart each time, and when the browser comes back online.
+const HOUR_NUMERALS = ['latin', 'roman', 'arabic-indic', 'devanagari', 'cjk'];
+const HOUR_LABEL_SETS = ['all', 'twelve', 'cardinal']; // every hour, 1 to 12 once around, or every third hour
+const DEFAULT_HOUR_FONT_URL = 'vendor/three/fonts/helvetiker_regular.typeface.json';
+const NATIVE_DIGITS = { 'arabic-indic': '٠١٢٣٤٥٦٧٨٩', devanagari: '०१२३४५६७८९', cjk: '〇一二三四五六七八九' };
+const ROMAN_NUMERALS = [[10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+const HOUR_FONT_RETRY_DELAYS = [5, 15, 30, 60]; // seconds before each automatic retry, then every minute
+
+let hourLabelStyle = { numerals: 'latin', set: 'all' };
+let hourFontUrl = ''; // typeface.json URL from hourFont=; empty for DEFAULT_HOUR_FONT_URL
+let hourFontFailedUrl = null; // font that could not be loaded; its labels are canvas-drawn until a retry works
+let hourFontLoading = false;
+let hourFontRetryTimer = null;
+let hourFontRetryCount = 0;
+
+// 'roman,cardinal' -> { numerals: 'roman', set: 'cardinal' }; null if any part is unknown
+function parseHourLabels(value) {
+    const style = { numerals: 'latin', set: 'all' };
+    const valid = value.split(',').map(part => part.trim()).filter(part => part).every(part => {
+        if (HOUR_NUMERALS.includes(part)) style.numerals = part;
+        else if (HOUR_LABEL_SETS.includes(part)) style.set = part;
+        else return false;
+        return true;
+    });
+    return valid ? style : null;
+}
 
-    animate();
+function formatHourLabels(style) {
+    const parts = [style.numerals];
+    if (style.set !== 'all') parts.push(style.set);
+    return parts.join(',');
 }
 
+// n (0-24) in the chosen numerals; padded gives two digits where the numerals have a zero (24-hour style)
+function formatHourNumber(n, padded) {
+    const numerals = hourLabelStyle.numerals;
+    if (numerals === 'roman') {
+        let value = n === 0 ? 24 : n; // no zero in Roman numerals, so midnight is XXIV
+        let text = '';
+        ROMAN_NUMERALS.forEach(([amount, letters]) => {
+            while (value >= amount) {
+                text += letters;
+                value -= amount;
+            }
+        });
+        return text;
+    }
+    if (numerals === 'cjk') {
+        // 〇, 一 ... 九, 十, 十一 ... 十九, 二十 ... 二十四
+        const digits = NATIVE_DIGITS.cjk;
+        if (n < 10) return digits[n];
+        return (n >= 20 ? digits[Math.floor(n / 10)] : '') + '十' + (n % 10 ? digits[n % 10] : '');
+    }
+    const latin = padded ? n.toString().padStart(2, '0') : n.toString();
+    if (!NATIVE_DIGITS[numerals]) return latin;
+    return latin.replace(/[0-9]/g, d => NATIVE_DIGITS[numerals][d]);
+}
 
-function createMobiusStripMesh() {
-    const geometry = new THREE.BufferGeometry();
-    const vertices = [];
-    const indices = [];
+// The label for hour h (1-24) as { number, suffix }, or null when the hour is not labeled
+function getHourLabel(h) {
+    if (hourLabelStyle.set === 'twelve' && h > 12) return null;
+    if (hourLabelStyle.set === 'cardinal' && h % 3 !== 0) return null;
+    if (hourLabelStyle.set === 'twelve') return { number: formatHourNumber(h, false), suffix: '' };
+    if (timeStyle === '24') return { number: formatHourNumber(h % 24, true), suffix: '' };
+    return { number: formatHourNumber(h % 12 || 12, false), suffix: h >= 12 && h < 24 ? 'PM' : 'AM' };
+}
 
-    // Load all of the points into the vertices array.  We will refer to them via their indexes (indices) into this 
-    //   vertices array when defining the triangles that will go into the confusingly-named indices array below.
-    //   Seems like the indices array should have been called the triangles array, but oh well.
-    for (let i = 0; i < m_NumPoints; i++) {
-        vertices.push(m_FrontInnerCorner3DPtArray[i].x, m_FrontInnerCorner3DPtArray[i].y, m_FrontInnerCorner3DPtArray[i].z);
-        vertices.push(m_BackInnerCorner3DPtArray[i].x, m_BackInnerCorner3DPtArray[i].y, m_BackInnerCorner3DPtArray[i].z);
-        vertices.push(m_FrontOuterCorner3DPtArray[i].x, m_FrontOuterCorner3DPtArray[i].y, m_FrontOuterCorner3DPtArray[i].z);
-        vertices.push(m_BackOuterCorner3DPtArray[i].x, m_BackOuterCorner3DPtArray[i].y, m_BackOuterCorner3DPtArray[i].z);
+function fontHasGlyphs(font, text) {
+    return !!font && Array.from(text).every(ch => font.data.glyphs[ch]);
+}
 
-        //  TODO: push vertices for the 4 thirdway arrays. 
-        vertices.push(m_ThirdwayFromFrontToBackInner3DPtArray[i].x,
-            m_ThirdwayFromFrontToBackInner3DPtArray[i].y,
-            m_ThirdwayFromFrontToBackInner3DPtArray[i].z);
-        vertices.push(m_ThirdwayFromBackToFrontInner3DPtArray[i].x,
-            m_ThirdwayFromBackToFrontInner3DPtArray[i].y,
-            m_ThirdwayFromBackToFrontInner3DPtArray[i].z);
-        vertices.push(m_ThirdwayFromFrontToBackOuter3DPtArray[i].x,
-            m_ThirdwayFromFrontToBackOuter3DPtArray[i].y,
-            m_ThirdwayFromFrontToBackOuter3DPtArray[i].z);
-        vertices.push(m_ThirdwayFromBackToFrontOuter3DPtArray[i].x,
-            m_ThirdwayFromBackToFrontOuter3DPtArray[i].y,
-            m_ThirdwayFromBackToFrontOuter3DPtArray[i].z);
+// A flat stand-in for TextGeometry, with the text drawn on a canvas in the browser's fonts: the origin is on the
+//  baseline at the left and the digits are about size tall, like TextGeometry. White text, so the material's
+//  color tints it like the extruded labels. Returns null where there is no 2D canvas.
+function createCanvasTextMesh(text, size, material) {
+    const fontPx = 128;
+    const pad = 8;
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+    const fontSpec = `${fontPx}px sans-serif`;
+    ctx.font = fontSpec;
+    canvas.width = Math.ceil(ctx.measureText(text).width) + 2 * pad;
+    canvas.height = Math.ceil(fontPx * 1.3);
+    ctx.font = fontSpec; // resizing the canvas reset it
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(text, pad, fontPx);
+
+    const scale = size / (fontPx * 0.72); // digits are about 0.72 of the font size
+    const geometry = new THREE.PlaneGeometry(canvas.width * scale, canvas.height * scale);
+    geometry.translate((canvas.width / 2 - pad) * scale, (canvas.height / 2 - (canvas.height - fontPx)) * scale, 0);
+    geometry.computeBoundingBox();
+    const canvasMaterial = new THREE.MeshStandardMaterial({
+        color: material.color,
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true,
+        side: THREE.DoubleSide
+    });
+    return new THREE.Mesh(geometry, canvasMaterial);
+}
 
-        //
+// TextGeometry in font when it has the glyphs, otherwise (or with no font) a canvas-drawn stand-in
+//  The 2D renderer draws either one as plain text, from userData.label.
+function createLabelMesh(text, font, size, material) {
+    let mesh;
+    if (fontHasGlyphs(font, text)) {
+        const geometry = new THREE.TextGeometry(text, {
+            font: font,
+            size: size,
+            height: 0.02,
+            curveSegments: getQuality().curveSegments,
+            bevelEnabled: false
+        });
+        geometry.computeBoundingBox();
+        mesh = new THREE.Mesh(geometry, material);
+    } else {
+        mesh = createCanvasTextMesh(text, size, material);
     }
+    if (mesh) mesh.userData.label = { text: text, size: size };
+    return mesh;
+}
 
-    for (let i = 0; i < m_NumPoints; i++) {
-        let r1 = i;
-        let r2 = (i + 1) % m_NumPoints; // use mod op to handle wrap to 0 at end
+function setHourLabelStyle(style) {
+    hourLabelStyle = style;
+    createHourNumbers();
+}
 
-        //let fi1 = r1 * 4;
-        let fi1 = r1 * 8;
-        let bi1 = fi1 + 1;
-        let fo1 = fi1 + 2;
-        let bo1 = fi1 + 3;
+function setHourFont(url) {
+    hourFontUrl = url;
+    createHourNumbers();
+}
 
-        let fi3 = fi1 + 4;
-        let bi3 = fi1 + 5;
-        let fo3 = fi1 + 6;
-        let bo3 = fi1 + 7;
+function updateFontStatus() {
+    const status = document.getElementById('font-status');
+    const text = document.getElementById('font-status-text');
+    const retryButton = document.getElementById('font-retry-button');
+    if (!status || !text) return;
+    status.style.display = hourFontFailedUrl ? '' : 'none';
+    text.textContent = hourFontLoading ? t('Loading label font...') : t('Label font unavailable, using plain labels.');
+    if (retryButton) retryButton.disabled = hourFontLoading;
+}
 
-        //let fi2 = r2 * 4;
-        let fi2 = r2 * 8;
-        let bi2 = fi2 + 1;
-        let fo2 = fi2 + 2;
-        let bo2 = fi2 + 3;
+function scheduleHourFontRetry() {
+    clearTimeout(hourFontRetryTimer);
+    const delay = HOUR_FONT_RETRY_DELAYS[Math.min(hourFontRetryCount, HOUR_FONT_RETRY_DELAYS.length - 1)];
+    hourFontRetryCount++;
+    hourFontRetryTimer = setTimeout(retryHourFont, delay * 1000);
+}
 
-        let fi4 = fi2 + 4;
-        let bi4 = fi2 + 5;
-        let fo4 = fi2 + 6;
-        let bo4 = fi2 + 7;
+function retryHourFont() {
+    clearTimeout(hourFontRetryTimer);
+    if (!hourFontFailedUrl || hourFontLoading) return;
+    loadHourFont(hourFontFailedUrl);
+}
 
+function syncHourLabelsUI() {
+    const numeralsSelect = document.getElementById('hour-numerals-select');
+    const setSelect = document.getElementById('hour-label-set-select');
+    const fontInput = document.getElementById('hour-font-url');
+    if (numeralsSelect) numeralsSelect.value = hourLabelStyle.numerals;
+    if (setSelect) setSelect.value = hourLabelStyle.set;
+    if (fontInput && document.activeElement !== fontInput) fontInput.value = hourFontUrl;
+}
 
-        // must reverse the order for last slice due to 180 rotation
-        if (i === m_NumPoints - 1) {
-            bo2 = 0;
-            fo2 = bo2 + 1;
-            bi2 = bo2 + 2;
-            fi2 = bo2 + 3;
+function setupHourLabelsUI() {
+    const retryButton = document.getElementById('font-retry-button');
+    if (retryButton) retryButton.addEventListener('click', retryHourFont);
+    addGlobalListener(window, 'online', retryHourFont);
 
-            bo4 = 4;
-            fo4 = 5;
-            bi4 = 6;
-            fi4 = 7;
-        }
+    const numeralsSelect = document.getElementById('hour-numerals-select');
+    const setSelect = document.getElementById('hour-label-set-select');
+    const onChange = () => {
+        setHourLabelStyle({ numerals: numeralsSelect.value, set: setSelect.value });
+        settingsChanged();
+    };
+    if (numeralsSelect) numeralsSelect.addEventListener('change', onChange);
+    if (setSelect) setSelect.addEventListener('change', onChange);
+
+    const fontInput = document.getElementById('hour-font-url');
+    if (fontInput) {
+        fontInput.addEventListener('change', () => {
+            setHourFont(fontInput.value.trim());
+            settingsChanged();
+        });
+    }
+    syncHourLabelsUI();
+}
 
-        // The following must push the points using the right-hand rule.
-        // These share the same material.
+// --- TRANSLATIONS ---
+// UI text is written in English in index.html and script.js; the other languages are in translations.js, keyed
+//  by the English text. Code that sets text goes through t(); translatePage() swaps the static text of the page
+//  (text nodes, placeholders, titles and ARIA labels) and remembers the English so the language can be changed again.
+const LANGUAGES = { en: 'English', es: 'Español', de: 'Deutsch' };
 
+let uiLanguageSetting = ''; // from lang=; empty to follow the browser
+let uiLanguage = getBrowserLanguage();
 
+// The first of the browser's languages that has a translation
+function getBrowserLanguage() {
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || 'en'];
+    const match = preferred.map(tag => tag.split('-')[0].toLowerCase()).find(lang => LANGUAGES[lang]);
+    return match || 'en';
+}
 
-        // This represents the front third of the strip.
-        indices.push(fi2, fi3, fi1); // inner face
-        indices.push(fi2, fi4, fi3);
-        indices.push(fo1, fo3, fo2); // outer face
-        indices.push(fo4, fo2, fo3);
-        indices.push(fo1, fi2, fi1); // front edge face
-        indices.push(fo2, fi2, fo1);
+// t('Saved {width} × {height} PNG', { width: 800, height: 600 })
+function t(text, values) {
+    const table = TRANSLATIONS[uiLanguage];
+    let result = (table && table[text]) || text;
+    if (values) result = result.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    return result;
+}
 
-        // This represents the back third of the strip.
+// Weekday name (0 = Sunday) in the UI language
+function getWeekdayName(day) {
+    return new Intl.DateTimeFormat(uiLanguage, { weekday: 'short', timeZone: 'UTC' }).format(Date.UTC(2023, 0, 1 + day));
+}
 
-        indices.push(bi4, bi1, bi3); // inner face
-        indices.push(bi4, bi2, bi1);
-        indices.push(bo4, bo3, bo1); // outer face
-        indices.push(bo4, bo1, bo2);
-        indices.push(bi2, bo1, bi1); // back edge face
-        indices.push(bi2, bo2, bo1);
+function translatePage() {
+    document.documentElement.lang = uiLanguage;
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.parentElement.closest('script, style, #digital-time, #clock-captions')) continue;
+        // Text that code has changed since it was last translated is the new English (or already translated)
+        if (node.i18nText !== node.nodeValue) node.i18nSource = node.nodeValue.replace(/\s+/g, ' ').trim();
+        const text = t(node.i18nSource);
+        if (text === node.i18nSource && node.i18nText === undefined) continue;
+        const [, before, after] = node.nodeValue.match(/^(\s*)[\s\S]*?(\s*)$/);
+        node.nodeValue = before + text + after;
+        node.i18nText = node.nodeValue;
+    }
 
-        // These represent the inside third, front and back. These will be
-        //  in a separate group bc they may use a different material.
-        indices.push(fi4, bi3, fi3); // tick inner face (thirdway)
-        indices.push(fi4, bi4, bi3);
-        indices.push(fo4, fo3, bo3); // tick outer face (thirdway)
-        indices.push(fo4, bo3, bo4);
+    const keys = { placeholder: 'i18nPlaceholder', title: 'i18nTitle', 'aria-label': 'i18nAriaLabel' };
+    Object.keys(keys).forEach(attr => {
+        const key = keys[attr];
+        document.querySelectorAll(`[${attr}]:not(#container)`).forEach(el => {
+            if (!(key in el.dataset)) el.dataset[key] = el.getAttribute(attr);
+            el.setAttribute(attr, t(el.dataset[key]));
+        });
+    });
+}
 
+// lang: a LANGUAGES code, or '' for the browser's language
+function setLanguage(lang) {
+    uiLanguageSetting = lang;
+    uiLanguage = lang || getBrowserLanguage();
+}
 
+// Translates the page and redraws the text that code sets
+function applyLanguage() {
+    translatePage();
+    updateUIButtons();
+    syncUIWithState();
+    updateExplainerTwists();
+    updateSimulationUI();
+    updateModeButtons();
+    updateCaptureUI();
+    renderAlarmList();
+    renderSunTimes();
+    updateFontStatus();
+    updateTimeLabel();
+    const fullscreenBtn = document.getElementById('fullscreen-btn');
+    if (fullscreenBtn) fullscreenBtn.textContent = t(document.fullscreenElement ? 'Exit' : 'Fullscreen');
+}
 
-    }
+function setupLanguageUI() {
+    const select = document.getElementById('language-select');
+    if (!select) return;
+    Object.keys(LANGUAGES).forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = LANGUAGES[code];
+        select.appendChild(option);
+    });
+    select.value = uiLanguageSetting;
+    select.addEventListener('change', () => {
+        setLanguage(select.value);
+        applyLanguage();
+        settingsChanged();
+    });
+}
 
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    geometry.setIndex(indices);
+// --- DIGITAL READOUT ---
+// The digital time (and the world clock captions) go through formatReadout(). By default Intl.DateTimeFormat
+//  lays out the time in the chosen locale, following the time style (12- or 24-hour), with optional seconds,
+//  weekday and date. A custom format string replaces all of that, e.g. "HH:mm" or "ddd D MMM [at] h:mm A":
+//   YYYY YY        year                      HH H  hour, 24-hour (HH zero-padded)
+//   MMMM MMM       month name, long/short    hh h  hour, 12-hour
+//   MM M           month number              mm m  minutes       ss s  seconds
+//   DD D           day of the month          A a   AM/PM, upper/lower case
+//   dddd ddd       weekday name, long/short  [text] literal text
+// Names and AM/PM come from the locale.
+const READOUT_POSITIONS = ['top-right', 'top-center', 'center', 'bottom-center', 'hidden'];
+const READOUT_SIZES = ['small', 'normal', 'large', 'kiosk'];
+// readoutSettings key -> URL parameter
+const READOUT_URL_PARAMS = {
+    seconds: 'readoutSeconds', date: 'readoutDate', weekday: 'readoutWeekday', format: 'readoutFormat',
+    locale: 'locale', position: 'readoutPosition', size: 'readoutSize'
+};
+const READOUT_TOKENS = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|A|a/g;
+// Intl options for the names in custom formats, each with its formatter cache key (see getReadoutFormatter())
+const READOUT_PART_OPTIONS = {
+    monthLong: { month: 'long' },
+    monthShort: { month: 'short' },
+    weekdayLong: { weekday: 'long' },
+    weekdayShort: { weekday: 'short' },
+    dayPeriod: { hour: 'numeric', hourCycle: 'h12' }
+};
 
-    const indicesPerSegment = 48;
-    const indicesOuterThirds = 36;
-    const indicesMiddleThird = 12;
+let readoutSettings = {
+    seconds: true,
+    date: false,
+    weekday: false,
+    format: '',     // custom format string; empty for the automatic layout
+    locale: '',     // BCP 47 tag, e.g. 'de-DE'; empty for the browser's
+    position: 'top-right',
+    size: 'normal'
+};
+const readoutFormatters = {};
+const readoutOptionKeys = new WeakMap(); // Intl options object -> its part of the readoutFormatters key
+let readoutOptions = null; // the automatic layout's Intl options, built by getReadoutOptions()
+
+function isValidLocale(locale) {
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+    } catch (e) {
+        return false;
+    }
+}
 
-    for (let i = 0; i < m_NumPoints; i++) {
-        let matOuter = 0;
-        let matMiddle = 0;
-
-        const isHourTick = (i % 30 === 0);
-        const isMinuteTick = (i % 6 === 0);
-        const hourIndex = Math.floor(i / 30);
-        const minuteIndex = Math.floor(i / 6);
-
-        switch (currentTickScheme) {
-            case 'minimal':
-                // Hour ticks only, full width
-                matOuter = isHourTick ? 1 : 0;
-                matMiddle = isHourTick ? 1 : 0;
-                break;
-            case 'standard':
-                // Hour (full width) and Minute (middle only) ticks
-                matOuter = isHourTick ? 1 : 0;
-                matMiddle = (isHourTick || isMinuteTick) ? 1 : 0;
-                break;
-            case 'alternating':
-                // Stripes, no specific ticks
-                matOuter = (hourIndex % 2 === 0) ? 0 : 2;
-                matMiddle = matOuter;
-                break;
-            case 'alternating_ticks':
-                // Outer: Hour stripes
-                matOuter = (hourIndex % 2 === 0) ? 0 : 2;
-                // Middle: Minute stripes (Dark/Light)
-                matMiddle = (minuteIndex % 2 === 0) ? 2 : 0;
-                break;
+// Intl formatters are slow to create, so keep them. options must not change once used: its key is kept with it.
+function getReadoutFormatter(zone, options) {
+    let optionsKey = readoutOptionKeys.get(options);
+    if (optionsKey === undefined) {
+        optionsKey = JSON.stringify(options);
+        readoutOptionKeys.set(options, optionsKey);
+    }
+    const key = `${readoutSettings.locale}|${zone}|${optionsKey}`;
+    if (!readoutFormatters[key]) {
+        const fullOptions = Object.assign({}, options);
+        if (zone) fullOptions.timeZone = zone;
+        readoutFormatters[key] = new Intl.DateTimeFormat(readoutSettings.locale || undefined, fullOptions);
+    }
+    return readoutFormatters[key];
+}
+
+// The value of one part (e.g. 'weekday', 'dayPeriod') of the date formatted with options
+function getReadoutPart(date, zone, options, type) {
+    const part = getReadoutFormatter(zone, options).formatToParts(date).find(p => p.type === type);
+    return part ? part.value : '';
+}
+
+function formatCustomReadout(date, zone, format) {
+    const zoned = getZonedTime(date, zone);
+    const pad = (n) => n.toString().padStart(2, '0');
+    const hour12 = zoned.hours % 12 || 12;
+    return format.replace(READOUT_TOKENS, (token, literal) => {
+        if (literal !== undefined) return literal;
+        switch (token) {
+            case 'YYYY': return zoned.year.toString();
+            case 'YY': return pad(zoned.year % 100);
+            case 'MMMM': return getReadoutPart(date, zone, READOUT_PART_OPTIONS.monthLong, 'month');
+            case 'MMM': return getReadoutPart(date, zone, READOUT_PART_OPTIONS.monthShort, 'month');
+            case 'MM': return pad(zoned.month);
+            case 'M': return zoned.month.toString();
+            case 'DD': return pad(zoned.day);
+            case 'D': return zoned.day.toString();
+            case 'dddd': return getReadoutPart(date, zone, READOUT_PART_OPTIONS.weekdayLong, 'weekday');
+            case 'ddd': return getReadoutPart(date, zone, READOUT_PART_OPTIONS.weekdayShort, 'weekday');
+            case 'HH': return pad(zoned.hours);
+            case 'H': return zoned.hours.toString();
+            case 'hh': return pad(hour12);
+            case 'h': return hour12.toString();
+            case 'mm': return pad(zoned.minutes);
+            case 'm': return zoned.minutes.toString();
+            case 'ss': return pad(zoned.seconds);
+            case 's': return zoned.seconds.toString();
+            case 'A':
+            case 'a': {
+                const period = getReadoutPart(date, zone, READOUT_PART_OPTIONS.dayPeriod, 'dayPeriod') ||
+                    (zoned.hours < 12 ? 'AM' : 'PM');
+                return token === 'A' ? period.toUpperCase() : period.toLowerCase();
+            }
         }
+        return token;
+    });
+}
 
-        geometry.addGroup(i * indicesPerSegment, indicesOuterThirds, matOuter);
-        geometry.addGroup(i * indicesPerSegment + indicesOuterThirds, indicesMiddleThird, matMiddle);
+// Intl options for the automatic layout, built again after readoutChanged()
+function getReadoutOptions() {
+    if (readoutOptions) return readoutOptions;
+    readoutOptions = {
+        hour: timeStyle === '24' ? '2-digit' : 'numeric',
+        minute: '2-digit',
+        hourCycle: timeStyle === '24' ? 'h23' : 'h12'
+    };
+    if (readoutSettings.seconds) readoutOptions.second = '2-digit';
+    if (readoutSettings.weekday) readoutOptions.weekday = 'short';
+    if (readoutSettings.date) {
+        readoutOptions.month = 'short';
+        readoutOptions.day = 'numeric';
     }
+    return readoutOptions;
+}
 
-    geometry.computeVertexNormals();
+// The readout text for date on the clock in zone ('' for the browser's zone)
+function formatReadout(date, zone) {
+    if (readoutSettings.format) return formatCustomReadout(date, zone, readoutSettings.format);
+    return getReadoutFormatter(zone, getReadoutOptions()).format(date);
+}
 
-    const materials = [
-        new THREE.MeshStandardMaterial({
-            color: 0xD3D3D3, // Material 0: Light gray (Main strip A)
-            side: THREE.DoubleSide,
-            metalness: 0.5,
-            roughness: 0.1,
-            transparent: true,
-            opacity: 0.95
-        }),
-        new THREE.MeshStandardMaterial({
-            color: 0x222222, // Material 1: Dark gray (Tick color)
-            side: THREE.DoubleSide,
-            metalness: 0.5,
-            roughness: 0.1
-        }),
-        new THREE.MeshStandardMaterial({
-            color: 0x222222, // Material 2: Dark gray (Same as ticks, for alternating)
-            side: THREE.DoubleSide,
-            metalness: 0.5,
-            roughness: 0.1,
-            transparent: true,
-            opacity: 0.95
-        })
-    ];
+// formatReadout() for the per-frame work: once per displayed second (see getSecondCache())
+function getFrameReadout(now, zone) {
+    const cache = getSecondCache(now, zone);
+    if (cache.readout === null) cache.readout = formatReadout(now, zone);
+    return cache.readout;
+}
 
-    const mesh = new THREE.Mesh(geometry, materials);
+// After a change to the readout settings or the time style: drop what was formatted the old way
+function readoutChanged() {
+    readoutOptions = null;
+    secondCaches.forEach(cache => {
+        cache.readout = null;
+        cache.caption = null;
+    });
+}
 
-    if (mobiusStripMesh) {
-        mobiusGroup.remove(mobiusStripMesh);
-        mobiusStripMesh.geometry.dispose(); // Clean up old geometry
-        mobiusStripMesh.material.forEach(m => m.dispose()); // Clean up old materials if they were unique
+// Applies readout options ({ seconds, date, weekday, format, locale, position, size }); invalid ones are ignored.
+function applyReadoutSettings(options) {
+    ['seconds', 'date', 'weekday'].forEach(key => {
+        if (typeof options[key] === 'boolean') readoutSettings[key] = options[key];
+    });
+    if (typeof options.format === 'string') readoutSettings.format = options.format;
+    if (typeof options.locale === 'string' && (options.locale === '' || isValidLocale(options.locale))) {
+        readoutSettings.locale = options.locale;
     }
-    mobiusStripMesh = mesh;
-    mobiusGroup.add(mobiusStripMesh);
+    if (READOUT_POSITIONS.includes(options.position)) readoutSettings.position = options.position;
+    if (READOUT_SIZES.includes(options.size)) readoutSettings.size = options.size;
+    readoutChanged();
+    updateReadoutLayout();
 }
 
+function updateReadoutLayout() {
+    const digitalTime = document.getElementById('digital-time');
+    if (!digitalTime) return;
+    digitalTime.dataset.position = readoutSettings.position;
+    digitalTime.dataset.size = readoutSettings.size;
+}
+
+function syncReadoutUI() {
+    ['seconds', 'date', 'weekday'].forEach(key => {
+        const checkbox = document.getElementById(`readout-${key}`);
+        if (checkbox) checkbox.checked = readoutSettings[key];
+    });
+    ['format', 'locale', 'position', 'size'].forEach(key => {
+        const input = document.getElementById(`readout-${key}`);
+        if (input && document.activeElement !== input) input.value = readoutSettings[key];
+    });
+    // The format replaces the seconds, weekday and date choices
+    ['seconds', 'date', 'weekday'].forEach(key => {
+        const checkbox = document.getElementById(`readout-${key}`);
+        if (checkbox) checkbox.disabled = readoutSettings.format !== '';
+    });
+}
 
+function setupReadoutUI() {
+    ['seconds', 'date', 'weekday'].forEach(key => {
+        const checkbox = document.getElementById(`readout-${key}`);
+        if (!checkbox) return;
+        checkbox.addEventListener('change', () => {
+            applyReadoutSettings({ [key]: checkbox.checked });
+            settingsChanged();
+        });
+    });
+    ['position', 'size'].forEach(key => {
+        const select = document.getElementById(`readout-${key}`);
+        if (!select) return;
+        select.addEventListener('change', () => {
+            applyReadoutSettings({ [key]: select.value });
+            settingsChanged();
+        });
+    });
 
-function setTickScheme(scheme) {
-    currentTickScheme = scheme;
-    createMobiusStripMesh(); // Recreate the mesh with the new scheme
+    const formatInput = document.getElementById('readout-format');
+    if (formatInput) {
+        formatInput.addEventListener('change', () => {
+            applyReadoutSettings({ format: formatInput.value.trim() });
+            syncReadoutUI();
+            settingsChanged();
+        });
+    }
+
+    const localeInput = document.getElementById('readout-locale');
+    if (localeInput) {
+        localeInput.addEventListener('change', () => {
+            applyReadoutSettings({ locale: localeInput.value.trim() });
+            localeInput.value = readoutSettings.locale; // an unknown locale is ignored
+            settingsChanged();
+        });
+    }
+
+    syncReadoutUI();
+    updateReadoutLayout();
 }
 
-let hourSphere, minuteSphere, secondSphere;
-let edgePath = [];
+// --- ACCESSIBILITY ---
+// Screen readers hear the time from a polite live region (#time-announcer): on request (Announce Time, the T key
+//  or MobiusClock.announceTime()) and, with announce=N, every N minutes on the minute, so announce=60 is on the
+//  hour. Nothing is announced on a schedule while time is simulated. The 3D view is labeled with the time too.
+// Motion follows the system's prefers-reduced-motion unless motion=full or motion=reduced overrides it. Reduced
+//  motion stops the auto-rotation, the orbiting light, the outer ring's spin near the hour and CSS animations.
+const ANNOUNCE_INTERVALS = [0, 1, 5, 15, 30, 60]; // minutes; 0 is off
+const MOTION_SETTINGS = ['auto', 'full', 'reduced'];
+
+let announceInterval = 0;
+let motionSetting = 'auto';
+let reducedMotion = false; // motionSetting resolved against prefers-reduced-motion, see applyMotionSetting()
+let lastLabeledMinute = null;
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+// The primary clock's time as a sentence, or the timer or stopwatch reading
+function getSpokenTime() {
+    if (clockMode !== 'clock') {
+        return `${t(clockMode === 'timer' ? 'Timer' : 'Stopwatch')}: ${formatDuration(getModeDisplayMs(), false)}`;
+    }
+    const now = getNow();
+    const timeZone = clocks.length > 0 ? clocks[0].timeZone : '';
+    const time = getReadoutFormatter(timeZone, { hour: 'numeric', minute: '2-digit', hour12: timeStyle === 'ampm' }).format(now);
+    return t('It is {time}', { time: timeZone ? `${time} ${getZoneAbbreviation(now, timeZone)}` : time });
+}
 
-function createHourNumbers() {
-    if (hourNumbersGroup) {
-        mobiusGroup.remove(hourNumbersGroup);
-        // Optional: dispose of geometries/materials if needed to prevent memory leaks
-        // But for simple text geometries, just removing might be okay for now, 
-        // or we can iterate and dispose.
-        hourNumbersGroup.children.forEach(child => {
-            // traverse and dispose... 
-            // For now, simple removal is likely sufficient for this scale.
+function announceTime() {
+    const text = getSpokenTime();
+    const announcer = document.getElementById('time-announcer');
+    if (announcer) {
+        // Emptying the region first makes screen readers repeat an unchanged announcement
+        announcer.textContent = '';
+        setTimeout(() => { announcer.textContent = text; }, 100);
+    }
+    return text;
+}
+
+function updateTimeLabel() {
+    const container = document.getElementById('container');
+    if (container) container.setAttribute('aria-label', getSpokenTime());
+}
+
+// Called from updateClock() every frame; acts once per minute of the displayed time
+function updateTimeAnnouncements(now) {
+    const minute = Math.floor(now.getTime() / 60000);
+    if (minute === lastLabeledMinute || (simulation && lastLabeledMinute !== null)) return;
+    const first = lastLabeledMinute === null;
+    lastLabeledMinute = minute;
+    updateTimeLabel();
+    if (first || !announceInterval) return;
+    if (getZonedTime(now, clocks[0].timeZone).minutes % announceInterval === 0) announceTime();
+}
+
+function applyMotionSetting() {
+    reducedMotion = motionSetting === 'reduced' ||
+        (motionSetting === 'auto' && reducedMotionQuery !== null && reducedMotionQuery.matches);
+    document.body.classList.toggle('reduced-motion', reducedMotion);
+    if (reducedMotion) clocks.forEach(clock => { clock.mobiusGroup.rotation.y = 0; });
+    // Rotation stays as set, to resume if motion is allowed again, but can't be turned on meanwhile
+    ['rotation-button', 'mobile-rotate'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = reducedMotion;
+    });
+}
+
+function syncAccessibilityUI() {
+    const intervalSelect = document.getElementById('announce-interval');
+    const motionSelect = document.getElementById('motion-select');
+    if (intervalSelect) intervalSelect.value = announceInterval;
+    if (motionSelect) motionSelect.value = motionSetting;
+}
+
+function setupAccessibilityUI() {
+    const intervalSelect = document.getElementById('announce-interval');
+    if (intervalSelect) {
+        intervalSelect.addEventListener('change', () => {
+            announceInterval = Number(intervalSelect.value);
+            settingsChanged();
+        });
+    }
+    const motionSelect = document.getElementById('motion-select');
+    if (motionSelect) {
+        motionSelect.addEventListener('change', () => {
+            motionSetting = motionSelect.value;
+            applyMotionSetting();
+            settingsChanged();
         });
     }
-    hourNumbersGroup = new THREE.Group();
-    hourNumbersGroup.visible = initialHoursVisible;
-    mobiusGroup.add(hourNumbersGroup);
+    const announceButton = document.getElementById('announce-now');
+    if (announceButton) announceButton.addEventListener('click', announceTime);
+
+    // T announces the time, unless typing in a field
+    addGlobalListener(document, 'keydown', (event) => {
+        if (event.key.toLowerCase() !== 't' || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest && event.target.closest('input, select, textarea, [contenteditable]')) return;
+        announceTime();
+    });
 
-    const loader = new THREE.FontLoader();
-    loader.load('https://unpkg.com/three@0.128.0/examples/fonts/helvetiker_regular.typeface.json', function (font) {
-        const textMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
-
-        for (let h = 1; h <= 24; h++) {
-            let hourNumStr = h.toString();
-            let suffixStr = 'AM';
-            if (timeStyle === "24") {
-                suffixStr = '';
-                if (h === 24) {
-                    hourNumStr = '00';
-                }
-                else {
-                    hourNumStr = h.toString().padStart(2, '0');
-                }
-            }
-            else {
-                if (h === 24) { hourNumStr = '12'; suffixStr = 'AM'; }
-                else if (h === 12) { hourNumStr = '12'; suffixStr = 'PM'; }
-                else if (h > 12) { hourNumStr = (h - 12).toString(); suffixStr = 'PM'; }
-                else { hourNumStr = h.toString(); suffixStr = 'AM'; }
-            }
+    if (reducedMotionQuery) {
+        const onChange = () => applyMotionSetting();
+        if (reducedMotionQuery.addEventListener) reducedMotionQuery.addEventListener('change', onChange);
+        else if (reducedMotionQuery.addListener) reducedMotionQuery.addListener(onChange); // older Safari
+    }
+    applyMotionSetting();
+    syncAccessibilityUI();
+}
 
-            const hourGroup = new THREE.Group();
+// --- CHIMES ---
+// Hourly strikes, Westminster quarters and a tick each second, synthesized with WebAudio like the alarm beeps.
+// They follow the displayed time, simulated or not, and are scheduled a little ahead on the audio clock (see
+//  scheduleChimes()), so the first stroke of the hour lands exactly on the hour, while the outer ring spins; the
+//  hour's quarter phrases play before it. A chime that would not be over by the next quarter at the current speed
+//  is cut down: to the strikes alone, then to a single stroke on the hour (Fast Mode) and no quarters.
+// Ticks follow the seconds indicator: displayed seconds up to CHIME_MAX_TICK_SPEED, real seconds from HIGH_SPEED
+//  on (where the indicator shows real seconds), none in between. Nothing sounds while time is paused or runs
+//  backwards, in timer and stopwatch mode, or in the quiet hours (of the primary clock's displayed time).
+const CHIME_TYPES = ['hours', 'quarters', 'ticks'];
+const CHIME_SCHEDULE_MS = 250;
+const CHIME_LOOKAHEAD_MS = 1500; // real time scheduled ahead; covers the 1 s timers of a background tab
+const CHIME_MAX_TICK_SPEED = 10;
+const CHIME_MAX_GAIN = 0.3; // at volume 100; a bell's partials add up to about 2.5
+const QUARTER_MS = 15 * 60000;
+const BELL_NOTE_S = 0.65; // between the notes of a quarter phrase, and the rest after each phrase
+const BELL_STRIKE_S = 2; // between the strokes of the hour, and from the last quarter note to the first stroke
+const BELL_RING_S = 4; // how long a stroke is heard
+// The four quarter bells (G#4 F#4 E4 B3), the five changes rung on them, and the changes for :00, :15, :30 and :45
+const WESTMINSTER_BELLS = [415.3, 369.99, 329.63, 246.94];
+const WESTMINSTER_CHANGES = [[0, 1, 2, 3], [2, 0, 1, 3], [2, 1, 0, 2], [0, 2, 1, 3], [3, 1, 0, 2]];
+const WESTMINSTER_QUARTERS = [[1, 2, 3, 4], [0], [1, 2], [3, 4, 0]];
+const HOUR_BELL_HZ = 164.81; // E3
+// A bell's partials as [frequency ratio, amplitude, decay time in seconds]: hum, prime, minor third, fifth, nominal
+const BELL_PARTIALS = [[0.5, 0.5, 1.2], [1, 1, 0.9], [1.2, 0.4, 0.6], [1.5, 0.25, 0.45], [2, 0.3, 0.35], [2.76, 0.12, 0.2]];
+
+let chimeSettings = { hours: false, quarters: false, ticks: false, volume: 50, quietHours: null }; // quietHours: { start, end } in minutes of the day
+let chimeTimer = null;
+let chimeCursor = null; // displayed time (ms) up to which bells are scheduled
+let tickCursor = null; // the same for ticks, on the clock they follow
+let chimeSpeed = null; // the speed the cursors were scheduled at
+let chimeOutput = null; // master volume, between the chimes and the audio context's destination
+let chimeBatches = []; // { gain, end }: the notes of one scheduling pass, to silence them if time jumps
+
+// 'hours,quarters' -> { hours: true, quarters: true, ticks: false }; 'off' -> all false; null if invalid
+function parseChimeTypes(value) {
+    const types = { hours: false, quarters: false, ticks: false };
+    const names = value.toLowerCase().split(',').map(s => s.trim()).filter(s => s && s !== 'off');
+    if (!names.every(name => CHIME_TYPES.includes(name))) return null;
+    names.forEach(name => { types[name] = true; });
+    return types;
+}
 
-            // 1. Number Mesh
-            const numGeo = new THREE.TextGeometry(hourNumStr, {
-                font: font,
-                size: 0.25,
-                height: 0.02, // Thinner extrusion for better look? Or keep 0.05
-                curveSegments: 4,
-                bevelEnabled: false
-            });
-            numGeo.computeBoundingBox();
-            const numWidth = numGeo.boundingBox.max.x - numGeo.boundingBox.min.x;
-            const numMesh = new THREE.Mesh(numGeo, textMaterial);
-            hourGroup.add(numMesh);
-
-            var suffixWidth = 0;
-
-            var marginX = 0;
-
-            if (timeStyle !== "24") {
-                // 2. Suffix Meshes (Stacked)
-                const topChar = suffixStr[0]; // 'A' or 'P'
-                const botChar = suffixStr[1]; // 'M'
-                const suffixSize = 0.12;
-                marginX = 0.05; // Increased margin
-
-                // Top Suffix
-                const topGeo = new THREE.TextGeometry(topChar, {
-                    font: font,
-                    size: suffixSize,
-                    height: 0.02,
-                    curveSegments: 4,
-                    bevelEnabled: false
-                });
-                const topMesh = new THREE.Mesh(topGeo, textMaterial);
-                // Use boundingBox.max.x to position relative to the actual right edge of the number
-                topMesh.position.set(numGeo.boundingBox.max.x + marginX, 0.13, 0);
-                hourGroup.add(topMesh);
-
-                // Bottom Suffix
-                const botGeo = new THREE.TextGeometry(botChar, {
-                    font: font,
-                    size: suffixSize,
-                    height: 0.02,
-                    curveSegments: 4,
-                    bevelEnabled: false
-                });
-                const botMesh = new THREE.Mesh(botGeo, textMaterial);
-                botMesh.position.set(numGeo.boundingBox.max.x + marginX, 0.0, 0);
-                hourGroup.add(botMesh);
-
-                // 3. Center the content
-                // Approximate total width
-                topGeo.computeBoundingBox();
-                botGeo.computeBoundingBox();
-                const topWidth = topGeo.boundingBox.max.x - topGeo.boundingBox.min.x;
-                const botWidth = botGeo.boundingBox.max.x - botGeo.boundingBox.min.x;
-                suffixWidth = Math.max(topWidth, botWidth);
-            }
+function formatChimeTypes(settings) {
+    return CHIME_TYPES.filter(type => settings[type]).join(',') || 'off';
+}
+
+// '22-7' or '22:00-07:30' -> { start: 1320, end: 450 }; null if invalid
+function parseQuietHours(value) {
+    const match = /^(\d{1,2})(?::(\d{2}))?-(\d{1,2})(?::(\d{2}))?$/.exec(value.trim());
+    if (!match) return null;
+    const start = Number(match[1]) * 60 + Number(match[2] || 0);
+    const end = Number(match[3]) * 60 + Number(match[4] || 0);
+    if (Number(match[1]) > 23 || Number(match[3]) > 23 || Number(match[2] || 0) > 59 || Number(match[4] || 0) > 59 || start === end) return null;
+    return { start: start, end: end };
+}
+
+function formatMinutesOfDay(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
 
+function formatQuietHours(quietHours) {
+    return quietHours ? `${formatMinutesOfDay(quietHours.start)}-${formatMinutesOfDay(quietHours.end)}` : '';
+}
 
-            // Total width is from min.x of number to max.x of suffix
-            // We assume number starts around 0, but let's be precise
-            const totalWidth = (numGeo.boundingBox.max.x + marginX + suffixWidth) - numGeo.boundingBox.min.x;
-            const totalHeight = 0.25;
+function isQuietTime(time) {
+    const quiet = chimeSettings.quietHours;
+    if (!quiet) return false;
+    const zoned = getZonedTime(new Date(time), clocks[0].timeZone);
+    const minutes = zoned.hours * 60 + zoned.minutes;
+    return quiet.start < quiet.end ? minutes >= quiet.start && minutes < quiet.end : minutes >= quiet.start || minutes < quiet.end;
+}
 
-            // Shift all children to center
-            // We want to shift by (min.x + totalWidth/2) ?
-            // Or just center the bounding box of the whole group.
-            // Let's shift by half the total width relative to the start.
-            const shiftX = numGeo.boundingBox.min.x + totalWidth / 2;
+function chimesEnabled() {
+    return CHIME_TYPES.some(type => chimeSettings[type]);
+}
 
-            hourGroup.children.forEach(child => {
-                child.position.x -= shiftX;
-                child.position.y -= totalHeight / 2;
-            });
+// Merges { hours, quarters, ticks, volume, quietHours } into the chime settings; values are already validated
+function applyChimeSettings(options) {
+    Object.assign(chimeSettings, options);
+    if (chimeOutput) chimeOutput.gain.value = getChimeGain();
+}
 
-            // 4. Position the Group on the Strip
-            // Restore original positioning logic:
-            // Midnight (24/0) is at index 180. Direction is backwards (minus).
-            // Index = 180 - (h * 30). Handle wrapping.
-            let idx = ((180 - (h * 30)) % 720 + 720) % 720;
+function getChimeGain() {
+    return Math.pow(chimeSettings.volume / 100, 2) * CHIME_MAX_GAIN;
+}
+
+function getChimeOutput(ctx) {
+    if (!chimeOutput || chimeOutput.context !== ctx) {
+        chimeOutput = ctx.createGain();
+        chimeOutput.gain.value = getChimeGain();
+        chimeOutput.connect(ctx.destination);
+    }
+    return chimeOutput;
+}
 
-            const p = edgePath[idx];
+// Forgets what was scheduled and silences the notes that haven't finished
+function resetChimes() {
+    chimeBatches.forEach(batch => batch.gain.disconnect());
+    chimeBatches = [];
+    chimeCursor = null;
+    tickCursor = null;
+}
 
-            // Calculate direction for offset (outward)
-            const centerIndex = idx % m_NumPoints;
-            const centerPt = m_RectCenter3DPtArray[centerIndex];
+// One stroke of a bell: a few inharmonic partials, each fading at its own rate.
+function playBell(ctx, output, frequency, when, loudness) {
+    BELL_PARTIALS.forEach(([ratio, amplitude, decay]) => {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.frequency.value = frequency * ratio;
+        gain.gain.setValueAtTime(0, when);
+        gain.gain.linearRampToValueAtTime(amplitude * loudness, when + 0.005);
+        gain.gain.setTargetAtTime(0, when + 0.005, decay);
+        osc.connect(gain);
+        gain.connect(output);
+        osc.start(when);
+        osc.stop(when + BELL_RING_S);
+    });
+}
 
-            // Vector from center to edge point
-            const dir = new THREE.Vector3().subVectors(p, centerPt).normalize();
+function playTick(ctx, output, when) {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = 'square';
+    osc.frequency.value = 1800;
+    gain.gain.setValueAtTime(0.2, when);
+    gain.gain.exponentialRampToValueAtTime(0.001, when + 0.02);
+    osc.connect(gain);
+    gain.connect(output);
+    osc.start(when);
+    osc.stop(when + 0.03);
+}
 
-            // Position slightly outside
-            const pos = new THREE.Vector3().copy(p).add(dir.multiplyScalar(0.53));
-            hourGroup.position.copy(pos);
+// The notes of the chime at a quarter boundary (epoch ms), as [seconds from the boundary, frequency, loudness].
+//  The hour's quarter phrases come before the hour, so the first stroke is on it.
+function getChimeNotes(time, speed, types = chimeSettings) {
+    const zoned = getZonedTime(new Date(time), clocks[0].timeZone);
+    const quarter = Math.floor(zoned.minutes / 15);
+    const phrases = [];
+    if (types.quarters) {
+        let at = 0;
+        WESTMINSTER_QUARTERS[quarter].forEach(change => {
+            WESTMINSTER_CHANGES[change].forEach(bell => {
+                phrases.push([at, WESTMINSTER_BELLS[bell], 0.5]);
+                at += BELL_NOTE_S;
+            });
+            at += BELL_NOTE_S;
+        });
+    }
+    const strikes = [];
+    if (types.hours && quarter === 0) {
+        const count = zoned.hours % 12 || 12;
+        for (let i = 0; i < count; i++) strikes.push([i * BELL_STRIKE_S, HOUR_BELL_HZ, 1]);
+    }
+    if (quarter === 0 && phrases.length > 0) {
+        const lead = phrases[phrases.length - 1][0] + BELL_STRIKE_S;
+        phrases.forEach(note => { note[0] -= lead; });
+    }
+    // Whatever fits before the next quarter at this speed, strikes first
+    const fits = notes => notes.length === 0 ||
+        (notes[notes.length - 1][0] - notes[0][0] + BELL_RING_S) * 1000 * speed < QUARTER_MS;
+    const full = phrases.concat(strikes);
+    if (fits(full)) return full;
+    if (fits(strikes)) return strikes;
+    return strikes.slice(0, 1);
+}
 
-            // Orient text to face outward from the strip (Initial orientation)
-            hourGroup.lookAt(new THREE.Vector3().addVectors(pos, dir));
+// Runs every CHIME_SCHEDULE_MS: schedules the notes due within the next CHIME_LOOKAHEAD_MS of real time.
+//  Scheduling on the audio clock keeps them exact however late the timer runs.
+function scheduleChimes() {
+    const speed = simulation ? simulation.speed : 1;
+    // Created here if the autoplay policy allows it; otherwise it waits suspended for a gesture (setupChimesUI())
+    const ctx = chimesEnabled() && clockMode === 'clock' && speed > 0 ? audioContext || getAudioContext() : null;
+    if (!ctx || ctx.state !== 'running' || speed !== chimeSpeed) {
+        resetChimes();
+        chimeSpeed = speed;
+        if (!ctx || ctx.state !== 'running') return;
+    }
+    const audioNow = ctx.currentTime;
+    const now = getNow().getTime();
+    const end = now + CHIME_LOOKAHEAD_MS * speed;
+    const batch = { gain: null, end: 0 };
+    const schedule = (when, play) => {
+        if (!batch.gain) {
+            batch.gain = ctx.createGain();
+            batch.gain.connect(getChimeOutput(ctx));
+        }
+        batch.end = Math.max(batch.end, when + BELL_RING_S);
+        play(batch.gain, Math.max(audioNow, when));
+    };
 
-            hourNumbersGroup.add(hourGroup);
+    // After a gap longer than the lookahead (a sleeping computer) or a jump of the time, start afresh from now
+    //  instead of catching up
+    if (chimeCursor === null || chimeCursor < now || chimeCursor > end) {
+        resetChimes();
+        chimeCursor = now;
+    }
+    if (chimeSettings.hours || chimeSettings.quarters) {
+        // A note is scheduled in the pass whose window holds its own time. getChimeNotes() keeps every chime within
+        //  a quarter of its boundary, so the boundaries up to a quarter either side of the window are enough.
+        for (let boundary = Math.floor(chimeCursor / QUARTER_MS) * QUARTER_MS; boundary < end + QUARTER_MS; boundary += QUARTER_MS) {
+            if (isQuietTime(boundary)) continue;
+            getChimeNotes(boundary, speed).forEach(([offset, frequency, loudness]) => {
+                const time = boundary + offset * 1000 * speed;
+                if (time <= chimeCursor || time > end) return;
+                schedule(audioNow + (time - now) / speed / 1000, (output, when) => playBell(ctx, output, frequency, when, loudness));
+            });
+        }
+    }
+    chimeCursor = end;
+
+    // Ticks, on the displayed seconds or the real ones
+    const tickRate = speed <= CHIME_MAX_TICK_SPEED ? speed : (speed >= HIGH_SPEED ? 1 : 0);
+    if (chimeSettings.ticks && tickRate > 0 && !isQuietTime(now)) {
+        const tickNow = speed <= CHIME_MAX_TICK_SPEED ? now : Date.now();
+        const tickEnd = tickNow + CHIME_LOOKAHEAD_MS * tickRate;
+        if (tickCursor === null || tickCursor < tickNow || tickCursor > tickEnd) tickCursor = tickNow;
+        for (let second = Math.floor(tickCursor / 1000 + 1) * 1000; second <= tickEnd; second += 1000) {
+            schedule(audioNow + (second - tickNow) / tickRate / 1000, (output, when) => playTick(ctx, output, when));
         }
+        tickCursor = tickEnd;
+    } else {
+        tickCursor = null;
+    }
+
+    if (batch.gain) chimeBatches.push(batch);
+    chimeBatches = chimeBatches.filter(b => b.end > audioNow);
+}
+
+// Plays the current hour's full chime now, as a preview (and to unlock audio from the click)
+function testChime() {
+    const ctx = getAudioContext();
+    if (!ctx) return;
+    const now = getNow();
+    const zoned = getZonedTime(now, clocks[0].timeZone);
+    const hour = now.getTime() - ((zoned.minutes * 60 + zoned.seconds) * 1000 + zoned.milliseconds);
+    const notes = getChimeNotes(hour, 1, { hours: true, quarters: true });
+    const batch = { gain: ctx.createGain(), end: 0 };
+    batch.gain.connect(getChimeOutput(ctx));
+    const start = ctx.currentTime + 0.05 - notes[0][0];
+    notes.forEach(([offset, frequency, loudness]) => playBell(ctx, batch.gain, frequency, start + offset, loudness));
+    batch.end = start + notes[notes.length - 1][0] + BELL_RING_S;
+    chimeBatches.push(batch);
+}
+
+function syncChimesUI() {
+    CHIME_TYPES.forEach(type => {
+        const box = document.getElementById(`chime-${type}`);
+        if (box) box.checked = chimeSettings[type];
+    });
+    const volume = document.getElementById('chime-volume');
+    if (volume) volume.value = chimeSettings.volume;
+    const quiet = chimeSettings.quietHours;
+    const startInput = document.getElementById('chime-quiet-start');
+    const endInput = document.getElementById('chime-quiet-end');
+    if (startInput && document.activeElement !== startInput) startInput.value = quiet ? formatMinutesOfDay(quiet.start) : '';
+    if (endInput && document.activeElement !== endInput) endInput.value = quiet ? formatMinutesOfDay(quiet.end) : '';
+}
+
+function setupChimesUI() {
+    CHIME_TYPES.forEach(type => {
+        const box = document.getElementById(`chime-${type}`);
+        if (!box) return;
+        box.addEventListener('change', () => {
+            applyChimeSettings({ [type]: box.checked });
+            if (box.checked) getAudioContext(); // unlock audio while we have a user gesture
+            settingsChanged();
+        });
     });
+    const volume = document.getElementById('chime-volume');
+    if (volume) {
+        volume.addEventListener('input', () => applyChimeSettings({ volume: Number(volume.value) }));
+        volume.addEventListener('change', settingsChanged);
+    }
+    // Quiet hours apply once both ends are set; clearing either turns them off
+    const startInput = document.getElementById('chime-quiet-start');
+    const endInput = document.getElementById('chime-quiet-end');
+    [startInput, endInput].forEach(input => {
+        if (!input) return;
+        input.addEventListener('change', () => {
+            chimeSettings.quietHours = startInput.value && endInput.value ? parseQuietHours(`${startInput.value}-${endInput.value}`) : null;
+            settingsChanged();
+        });
+    });
+    const testButton = document.getElementById('chime-test');
+    if (testButton) testButton.addEventListener('click', testChime);
+
+    // Chimes set by the URL, the API or saved settings can't sound until the page gets a gesture
+    ['pointerdown', 'keydown'].forEach(type => addGlobalListener(document, type, () => {
+        if (chimesEnabled() && (!audioContext || audioContext.state !== 'running')) getAudioContext();
+    }));
+
+    syncChimesUI();
+    chimeTimer = setInterval(scheduleChimes, CHIME_SCHEDULE_MS);
+}
+
+// --- RENDER LOOP ---
+// animate() draws a frame at most fps times a second (zenFps in Zen Mode), and at up to INTERACTIVE_FPS while the
+//  user is interacting and for INTERACTION_HOLD_MS after (while the view settles), while rotating, while the
+//  outer ring spins at the hour or for an alarm, while recording and while simulated time runs fast. A frame rate
+//  of 1 lands each frame on the whole second, so the seconds indicator steps like a quartz hand. Long waits use a
+//  timer instead of idling through animation frames, and nothing is drawn while the page is hidden. The Canvas 2D
+//  renderer is capped at CANVAS_2D_MAX_FPS on top of this.
+// stats=true shows a HUD with the frame rate and the share of time animate() takes (a rough CPU load) over each
+//  second, and the last frame's draw calls and triangles (renderer.info) and the quality tier (see QUALITY).
+const FPS_LIMITS = { min: 1, max: 60 };
+const INTERACTIVE_FPS = 60;
+const INTERACTION_HOLD_MS = 2000;
+const FRAME_TIMER_MIN_MS = 30; // shorter waits ride on animation frames
+const FRAME_SLACK_MS = 3; // animation frames come a little early or late
+const ROTATION_SPEED = 0.3; // radians per second
+
+let frameRate = { fps: 60, zenFps: 1 };
+let statsVisible = false;
+let frameTimer = null;
+let lastFrameTime = null;
+let frameRequested = false; // draw the next frame whatever the cap, e.g. after a setting changed
+let interactiveUntil = 0;
+let frameStats = { start: 0, frames: 0, busyMs: 0 };
+
+function isValidFps(value) {
+    return Number.isInteger(value) && value >= FPS_LIMITS.min && value <= FPS_LIMITS.max;
+}
+
+function getTargetFps() {
+    let fps = zenMode ? frameRate.zenFps : frameRate.fps;
+    const smooth = performance.now() < interactiveUntil || (rotationEnabled && !reducedMotion) || alarmSpinActive ||
+        hourSpinActive || isRecording() ||
+        (simulation !== null && Math.abs(simulation.speed) > 1 && clockMode === 'clock');
+    if (smooth) fps = Math.max(fps, INTERACTIVE_FPS);
+    if (renderer && renderer.isCanvas2DRenderer) fps = Math.min(fps, CANVAS_2D_MAX_FPS);
+    return fps;
 }
 
+function scheduleFrame() {
+    const interval = 1000 / getTargetFps();
+    const wait = interval >= 1000 ? interval - Date.now() % interval : lastFrameTime + interval - performance.now();
+    if (frameRequested || wait <= FRAME_TIMER_MIN_MS) {
+        animationFrameId = requestAnimationFrame(animate);
+        return;
+    }
+    frameTimer = setTimeout(() => {
+        frameTimer = null;
+        animationFrameId = requestAnimationFrame(animate);
+    }, wait);
+}
 
+// Draws a frame soon, without waiting out the cap: after a setting changed, or on input (interacting), which also
+//  raises the frame rate for a while.
+function wakeRenderLoop(interacting) {
+    if (interacting) interactiveUntil = performance.now() + INTERACTION_HOLD_MS;
+    frameRequested = true;
+    if (frameTimer) {
+        clearTimeout(frameTimer);
+        frameTimer = null;
+    }
+    if (animationFrameId === null && !document.hidden && clocks.length > 0) animationFrameId = requestAnimationFrame(animate);
+}
 
 function animate() {
-    requestAnimationFrame(animate); // this tells the browser to call animate() for the *next* frame
+    animationFrameId = null;
+    if (document.hidden) return; // the visibilitychange listener starts the loop again
+    const start = performance.now();
+    const interval = 1000 / getTargetFps();
+    // Timed waits already land on the frame; an animation frame that comes too soon just waits for the next
+    if (!frameRequested && interval < 1000 && lastFrameTime !== null && start - lastFrameTime < interval - FRAME_SLACK_MS) {
+        scheduleFrame();
+        return;
+    }
+    const sinceLast = lastFrameTime === null ? Infinity : start - lastFrameTime;
+    const elapsed = Math.min(sinceLast, 100) / 1000; // seconds, for the rotation
+    // Frames come at the first animation frame after their time, so count from when they were due to keep the rate
+    lastFrameTime = sinceLast >= interval - FRAME_SLACK_MS && sinceLast < 2 * interval ? lastFrameTime + interval : start;
+    frameRequested = false;
+
+    if (controls) controls.update(); // needed every frame for damping
     updateClock();
-    if (rotationEnabled) {
-        mobiusGroup.rotation.y += 0.005;
+    if (rotationEnabled && !reducedMotion) {
+        clocks.forEach(clock => { clock.mobiusGroup.rotation.y += ROTATION_SPEED * elapsed; });
     }
 
-    if (topRightLight) {
+    if (topRightLight && !reducedMotion) {
         const time = Date.now() * 0.001; // seconds
         const radius = 0.5;
         const centerX = 1;
@@ -630,618 +1757,4614 @@ function animate() {
         topRightLight.position.z = centerZ + Math.sin(angle) * radius;
     }
     renderer.render(scene, camera);
-}
-function setupUIEventListeners() {
-    // --- DESKTOP BUTTONS ---
-    const rotationButton = document.getElementById('rotation-button');
-    const fastModeButton = document.getElementById('fast-mode-button');
-    const hoursButton = document.getElementById('hours-button');
-
-    // Rotation
-    const toggleRotation = () => {
-        rotationEnabled = !rotationEnabled;
-        mobiusGroup.rotation.y = 0;
-        const text = rotationEnabled ? 'Stop Rotation' : 'Rotate';
-        if (rotationButton) rotationButton.textContent = text;
-        const mobileBtn = document.getElementById('mobile-rotate');
-        if (mobileBtn) mobileBtn.textContent = rotationEnabled ? 'Stop' : 'Rotate';
-
-        // Visual feedback
-        if (rotationButton) rotationButton.classList.toggle('active', rotationEnabled);
-        if (mobileBtn) mobileBtn.classList.toggle('active', rotationEnabled);
-    };
-    if (rotationButton) rotationButton.addEventListener('click', toggleRotation);
 
-    // Fast Mode
-    const toggleFastMode = () => {
-        fastMode = !fastMode;
-        const text = fastMode ? 'Stop Fast' : 'Fast Mode';
-        if (fastModeButton) fastModeButton.textContent = text;
-        const mobileBtn = document.getElementById('mobile-fast');
-        if (mobileBtn) mobileBtn.textContent = fastMode ? 'Stop' : 'Fast';
-
-        if (fastModeButton) fastModeButton.classList.toggle('active', fastMode);
-        if (mobileBtn) mobileBtn.classList.toggle('active', fastMode);
-    };
-    if (fastModeButton) fastModeButton.addEventListener('click', toggleFastMode);
+    sampleFrameTime(sinceLast, interval, performance.now() - start);
+    updateFrameStats(start);
+    scheduleFrame();
+}
 
-    // Hours
-    const toggleHours = () => {
-        if (hourNumbersGroup) {
-            hourNumbersGroup.visible = !hourNumbersGroup.visible;
-            const isActive = hourNumbersGroup.visible;
-            const text = isActive ? 'Hide Hours' : 'Show Hours';
-            if (hoursButton) {
-                hoursButton.textContent = text;
-                hoursButton.classList.toggle('active', isActive);
-            }
-            const mobileBtn = document.getElementById('mobile-hours');
-            if (mobileBtn) {
-                mobileBtn.classList.toggle('active', isActive);
-            }
-        }
-    };
-    if (hoursButton) hoursButton.addEventListener('click', toggleHours);
+function updateFrameStats(frameStart) {
+    if (!statsVisible) return;
+    const now = performance.now();
+    frameStats.frames++;
+    frameStats.busyMs += now - frameStart;
+    const span = now - frameStats.start;
+    if (span < 1000) return;
+    const overlay = document.getElementById('perf-overlay');
+    if (overlay) {
+        const fps = frameStats.frames * 1000 / span;
+        // Draw calls and triangles are the last frame's (renderer.info counts them per frame)
+        const { calls, triangles } = renderer.info.render;
+        overlay.textContent = `${fps.toFixed(fps < 10 ? 1 : 0)} fps (max ${getTargetFps()}) · ` +
+            `${(frameStats.busyMs / frameStats.frames).toFixed(1)} ms/frame · CPU ${(frameStats.busyMs / span * 100).toFixed(1)}%\n` +
+            `${calls} draw calls · ${triangles.toLocaleString('en')} triangles · ` +
+            `quality ${getQualityTier()}${qualitySetting === 'auto' ? ' (auto)' : ''}`;
+    }
+    frameStats = { start: now, frames: 0, busyMs: 0 };
+}
 
+function setStatsVisible(visible) {
+    statsVisible = visible;
+    frameStats = { start: performance.now(), frames: 0, busyMs: 0 };
+    const overlay = document.getElementById('perf-overlay');
+    if (overlay) {
+        overlay.hidden = !visible;
+        overlay.textContent = '';
+    }
+}
 
-    // --- MOBILE TOOLBAR BUTTONS ---
-    const mobileRotate = document.getElementById('mobile-rotate');
-    if (mobileRotate) mobileRotate.addEventListener('click', toggleRotation);
+function syncPerformanceUI() {
+    const fpsSelect = document.getElementById('fps-select');
+    const zenFpsSelect = document.getElementById('zen-fps-select');
+    const statsBox = document.getElementById('stats-toggle');
+    if (fpsSelect) fpsSelect.value = frameRate.fps;
+    if (zenFpsSelect) zenFpsSelect.value = frameRate.zenFps;
+    if (statsBox) statsBox.checked = statsVisible;
+}
 
-    const mobileFast = document.getElementById('mobile-fast');
-    if (mobileFast) mobileFast.addEventListener('click', toggleFastMode);
+function setupPerformanceUI() {
+    [['fps-select', 'fps'], ['zen-fps-select', 'zenFps']].forEach(([id, key]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.addEventListener('change', () => {
+            frameRate[key] = Number(select.value);
+            settingsChanged();
+        });
+    });
+    const statsBox = document.getElementById('stats-toggle');
+    if (statsBox) {
+        statsBox.addEventListener('change', () => {
+            setStatsVisible(statsBox.checked);
+            settingsChanged();
+        });
+    }
 
-    const mobileHours = document.getElementById('mobile-hours');
-    if (mobileHours) mobileHours.addEventListener('click', toggleHours);
+    // Input raises the frame rate; hovering doesn't, as nothing moves until a button is down
+    ['pointerdown', 'wheel', 'keydown'].forEach(type => {
+        addGlobalListener(window, type, () => wakeRenderLoop(true), { passive: true });
+    });
+    addGlobalListener(window, 'pointermove', (event) => {
+        if (event.buttons) wakeRenderLoop(true);
+    }, { passive: true });
+    addGlobalListener(document, 'visibilitychange', () => {
+        if (!document.hidden) wakeRenderLoop(false);
+    });
 
-    const zenButton = document.getElementById('zen-button');
-    if (zenButton) zenButton.addEventListener('click', toggleZenMode);
+    setStatsVisible(statsVisible);
+    syncPerformanceUI();
+}
 
-    const mobileZen = document.getElementById('mobile-zen');
-    if (mobileZen) mobileZen.addEventListener('click', toggleZenMode);
+// --- QUALITY ---
+// Quality tiers trade looks for speed on low-end devices. A tier caps the strip resolution (the resolution setting
+//  still applies below the cap) and sets antialiasing, the pixel ratio, and how finely the indicators and the hour
+//  labels are tessellated. quality=low, medium or high fixes the tier; quality=auto (the default) starts high and
+//  steps down a tier whenever the measured frame time (see sampleFrameTime()) is over budget. It never steps back
+//  up, so it settles rather than flapping between tiers.
+// Antialiasing is chosen when a WebGL context is created, so changing it replaces the renderer and its canvas.
+const QUALITY_SETTINGS = ['auto', 'low', 'medium', 'high'];
+const QUALITY_TIERS = {
+    low: { maxResolution: 120, antialias: false, maxPixelRatio: 0.75, sphereSegments: 12, tubeSegments: 8, circleSegments: 16, curveSegments: 1 },
+    medium: { maxResolution: 240, antialias: true, maxPixelRatio: 1, sphereSegments: 20, tubeSegments: 12, circleSegments: 24, curveSegments: 3 },
+    high: { maxResolution: Infinity, antialias: true, maxPixelRatio: 1.5, sphereSegments: 32, tubeSegments: 16, circleSegments: 32, curveSegments: 6 }
+};
+const QUALITY_ORDER = ['low', 'medium', 'high'];
+const QUALITY_SAMPLE_FRAMES = 60;
+const QUALITY_SETTLE_MS = 3000; // not measured after startup or a change, while shaders compile and fonts load
+// Budgets for the median frame: a WebGL frame may come this much later than the frame rate aimed for (so frames
+//  drawn back to back keep up 30 fps); Canvas 2D draws on the CPU, so its drawing time itself is measured and may
+//  take this share of each frame at CANVAS_2D_MAX_FPS
+const QUALITY_WEBGL_LATE_MS = 1000 / 30 - 1000 / INTERACTIVE_FPS;
+const QUALITY_2D_BUDGET_SHARE = 0.5;
+
+let qualitySetting = 'auto';
+let autoQualityTier = 'high'; // where quality=auto has got to
+let qualitySamples = [];
+let qualitySettleUntil = 0;
+
+function getQualityTier() {
+    return qualitySetting === 'auto' ? autoQualityTier : qualitySetting;
+}
 
-    const mobileExplainer = document.getElementById('mobile-explainer');
-    if (mobileExplainer) mobileExplainer.addEventListener('click', () => {
-        document.getElementById('modal-explainer').style.display = 'block';
-    });
+function getQuality() {
+    return QUALITY_TIERS[getQualityTier()];
+}
 
+function getQualityPixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, getQuality().maxPixelRatio);
+}
 
-    // --- SETTINGS PANEL ---
-    const settingsBtn = document.getElementById('settings-btn');
-    const settingsPanel = document.getElementById('settings-panel');
-    const closeSettings = document.getElementById('close-settings');
+// The strip resolution actually built: the resolution setting, up to the tier's cap
+function getEffectiveResolution() {
+    return Math.min(stripResolution, getQuality().maxResolution);
+}
 
-    if (settingsBtn) {
-        settingsBtn.addEventListener('click', () => {
-            settingsPanel.classList.add('open');
-        });
+// Called by animate() for every frame drawn: sinceLast is the time since the previous frame was due, interval the
+//  frame interval aimed for, drawMs the time this one took to update and draw. WebGL draws on the GPU, so what
+//  shows its load is how late frames come.
+function sampleFrameTime(sinceLast, interval, drawMs) {
+    if (qualitySetting !== 'auto' || autoQualityTier === QUALITY_ORDER[0] || performance.now() < qualitySettleUntil) return;
+    let sample, budget;
+    if (renderer.isCanvas2DRenderer) {
+        sample = drawMs;
+        budget = QUALITY_2D_BUDGET_SHARE * 1000 / CANVAS_2D_MAX_FPS;
+    } else {
+        // Against the interval this frame aimed for, so it measures at any frame rate, Zen's included. A wake-up
+        //  or a change of frame rate gives the odd outlier, which the median ignores.
+        sample = sinceLast - interval;
+        if (!isFinite(sample) || sample > 1000) return; // the first frame, or after a stall
+        budget = QUALITY_WEBGL_LATE_MS;
+    }
+    qualitySamples.push(sample);
+    if (qualitySamples.length < QUALITY_SAMPLE_FRAMES) return;
+    const median = qualitySamples.sort((a, b) => a - b)[Math.floor(qualitySamples.length / 2)];
+    qualitySamples = [];
+    if (median > budget) {
+        const before = getQuality();
+        autoQualityTier = QUALITY_ORDER[QUALITY_ORDER.indexOf(autoQualityTier) - 1];
+        console.log(`Frames over budget (${median.toFixed(1)} of ${budget.toFixed(1)} ms); lowering the quality to ${autoQualityTier}`);
+        qualityChanged(before);
     }
+}
 
-    if (closeSettings) {
-        closeSettings.addEventListener('click', () => {
-            settingsPanel.classList.remove('open');
-        });
+// quality: one of QUALITY_SETTINGS. auto starts over from the top tier.
+function setQuality(quality) {
+    const before = getQuality();
+    qualitySetting = quality;
+    if (quality === 'auto') autoQualityTier = QUALITY_ORDER[QUALITY_ORDER.length - 1];
+    qualityChanged(before);
+}
+
+// Rebuilds whatever the tier changes, now that getQuality() has changed from before
+function qualityChanged(before) {
+    const after = getQuality();
+    qualitySamples = [];
+    qualitySettleUntil = performance.now() + QUALITY_SETTLE_MS;
+    applyRendererQuality(before);
+    if (getEffectiveResolution() !== NRECT) {
+        NRECT = getEffectiveResolution();
+        updateDerivedGeometry();
+        rebuildStrips(); // indicators and labels too
+    } else {
+        if (before.sphereSegments !== after.sphereSegments) {
+            ['hours', 'minutes', 'seconds'].forEach(type => setIndicatorShape(type, indicatorShapes[type]));
+        }
+        if (before.curveSegments !== after.curveSegments) createHourNumbers();
     }
+    wakeRenderLoop(false);
+}
 
-    // Close settings if clicking outside (optional, but nice)
+// The renderer's part of a tier change: its pixel ratio, and a new renderer if antialiasing changed
+function applyRendererQuality(before) {
+    if (before.antialias !== getQuality().antialias && !renderer.isCanvas2DRenderer && !isRecording()) replaceRenderer();
+    renderer.setPixelRatio(getQualityPixelRatio());
+    renderer.setSize(window.innerWidth, window.innerHeight);
+}
 
+// A new renderer (and canvas) in place of the old, e.g. for a change of antialiasing
+function replaceRenderer() {
+    const old = renderer;
+    renderer = createRenderer();
+    old.domElement.replaceWith(renderer.domElement);
+    old.dispose();
+    if (old.forceContextLoss) old.forceContextLoss();
+}
 
-    // Settings Inputs
-    const shapeHours = document.getElementById('shape-hours');
-    const shapeMinutes = document.getElementById('shape-minutes');
-    const shapeSeconds = document.getElementById('shape-seconds');
+function syncQualityUI() {
+    const select = document.getElementById('quality-select');
+    if (select) select.value = qualitySetting;
+}
 
-    if (shapeHours) {
-        shapeHours.addEventListener('change', (e) => {
-            setIndicatorShape('hours', e.target.value);
+function setupQualityUI() {
+    const select = document.getElementById('quality-select');
+    if (select) {
+        select.addEventListener('change', () => {
+            setQuality(select.value);
+            settingsChanged();
         });
     }
-    if (shapeMinutes) {
-        shapeMinutes.addEventListener('change', (e) => {
-            setIndicatorShape('minutes', e.target.value);
-        });
+    qualitySettleUntil = performance.now() + QUALITY_SETTLE_MS;
+    syncQualityUI();
+}
+
+// --- TICK SCHEMES ---
+// A tick scheme colors the thirds of each strip segment: the outer thirds (front and back, which carry the two
+//  halves of the 24-hour edge) and the middle third (the minute track). Schemes are declarative, so users can
+//  write their own as JSON (customTicks= in the URL, the editor in Settings, or an imported file):
+//   {
+//     "materials": ["strip", "tick", "#e0a030"],
+//     "outer": [{ "unit": "hour", "tick": 1, "material": 1 }, { "unit": "hour", "from": 9, "to": 17, "material": 2 }],
+//     "middle": [{ "unit": "minute", "tick": 5, "material": 1 }]
+//   }
+// materials are theme colors (strip, tick, alternate) or #rrggbb; material 0 is the background of every third.
+//  Rules apply in order, later ones over earlier ones. unit is minute or hour: on the outer thirds, hours of the
+//  day (0-24) and minutes past the hour; on the middle third, minutes (0-60) and the hours of the face (0-12).
+//  { tick: n } marks the segment at every n units. { from, to } fills the units from up to (not including) to,
+//  wrapping past the end if from > to; with every, that repeats every so many units (alternate stripes).
+// Tick marks stay visible over the timer tint and the sun shading, and are what the 3D export raises or sinks.
+const TICK_SCHEME_DEFINITIONS = {
+    standard: {
+        materials: ['strip', 'tick', 'alternate'],
+        outer: [{ unit: 'hour', tick: 1, material: 1 }],
+        middle: [{ unit: 'minute', tick: 1, material: 1 }]
+    },
+    minimal: {
+        materials: ['strip', 'tick', 'alternate'],
+        outer: [{ unit: 'hour', tick: 1, material: 1 }],
+        middle: [{ unit: 'hour', tick: 1, material: 1 }]
+    },
+    alternating: {
+        materials: ['strip', 'tick', 'alternate'],
+        outer: [{ unit: 'hour', from: 0, to: 1, every: 2, material: 2 }],
+        middle: [{ unit: 'hour', from: 0, to: 1, every: 2, material: 2 }]
+    },
+    alternating_ticks: {
+        materials: ['strip', 'tick', 'alternate'],
+        outer: [{ unit: 'hour', from: 0, to: 1, every: 2, material: 2 }],
+        middle: [{ unit: 'minute', from: 1, to: 2, every: 2, material: 2 }]
+    }
+};
+const TICK_SCHEMES = Object.keys(TICK_SCHEME_DEFINITIONS).concat('custom');
+const TICK_THEME_MATERIALS = { strip: 0, tick: 1, alternate: 2 }; // theme colors -> strip material index
+const TICK_THEME_COLORS = Object.keys(TICK_THEME_MATERIALS);
+const TICK_RULE_KEYS = ['unit', 'material', 'tick', 'from', 'to', 'every'];
+const TICK_SCHEME_MAX_MATERIALS = 16;
+const TICK_SCHEME_MAX_RULES = 64;
+const TICK_EPSILON = 1e-6;
+const CUSTOM_TICKS_STORAGE_KEY = 'mobiusClock.customTicks';
+
+let customTickScheme = TICK_SCHEME_DEFINITIONS.standard;
+
+function getTickScheme() {
+    return currentTickScheme === 'custom' ? customTickScheme : TICK_SCHEME_DEFINITIONS[currentTickScheme];
+}
+
+// Checks a scheme object (as described above) and returns a clean copy; throws a TypeError or RangeError naming
+//  the first problem.
+function validateTickScheme(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new TypeError('A tick scheme must be an object with materials, outer and middle');
+    }
+    const materials = definition.materials === undefined ? ['strip', 'tick', 'alternate'] : definition.materials;
+    if (!Array.isArray(materials) || materials.length === 0 || materials.length > TICK_SCHEME_MAX_MATERIALS) {
+        throw new RangeError(`materials must be a list of 1 to ${TICK_SCHEME_MAX_MATERIALS} colors`);
+    }
+    materials.forEach((color, i) => {
+        if (!TICK_THEME_COLORS.includes(color) && !/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new RangeError(`Material ${i}: ${JSON.stringify(color)} is not strip, tick, alternate or #rrggbb`);
+        }
+    });
+
+    const scheme = { materials: materials.map(color => color.toLowerCase()) };
+    let ruleCount = 0;
+    ['outer', 'middle'].forEach(third => {
+        const rules = definition[third] === undefined ? [] : definition[third];
+        if (!Array.isArray(rules)) throw new TypeError(`${third} must be a list of rules`);
+        ruleCount += rules.length;
+        if (ruleCount > TICK_SCHEME_MAX_RULES) throw new RangeError(`At most ${TICK_SCHEME_MAX_RULES} rules`);
+        scheme[third] = rules.map((rule, i) => {
+            const where = `${third} rule ${i + 1}`;
+            if (!rule || typeof rule !== 'object') throw new TypeError(`${where} must be an object`);
+            const unknown = Object.keys(rule).find(key => !TICK_RULE_KEYS.includes(key));
+            if (unknown) throw new RangeError(`${where}: unknown key ${unknown}`);
+            if (rule.unit !== 'minute' && rule.unit !== 'hour') throw new RangeError(`${where}: unit must be minute or hour`);
+            if (!Number.isInteger(rule.material) || rule.material < 0 || rule.material >= materials.length) {
+                throw new RangeError(`${where}: material must be a number from 0 to ${materials.length - 1}`);
+            }
+            const isPositive = value => typeof value === 'number' && isFinite(value) && value > 0;
+            const isNumber = value => typeof value === 'number' && isFinite(value);
+            if ('tick' in rule) {
+                if (!isPositive(rule.tick)) throw new RangeError(`${where}: tick must be a number above 0`);
+                if ('from' in rule || 'to' in rule || 'every' in rule) throw new RangeError(`${where}: give tick, or from and to, not both`);
+                return { unit: rule.unit, tick: rule.tick, material: rule.material };
+            }
+            if (!isNumber(rule.from) || !isNumber(rule.to)) throw new RangeError(`${where}: give tick, or from and to`);
+            const clean = { unit: rule.unit, from: rule.from, to: rule.to, material: rule.material };
+            if ('every' in rule) {
+                if (!isPositive(rule.every)) throw new RangeError(`${where}: every must be a number above 0`);
+                clean.every = rule.every;
+            }
+            return clean;
+        });
+    });
+    return scheme;
+}
+
+// JSON text -> scheme; throws (a SyntaxError for bad JSON) like validateTickScheme()
+function parseTickScheme(text) {
+    return validateTickScheme(JSON.parse(text));
+}
+
+// indent: as in JSON.stringify; none for the URL
+function formatTickScheme(scheme, indent) {
+    return JSON.stringify(scheme, null, indent);
+}
+
+function loadCustomTickScheme() {
+    try {
+        const saved = localStorage.getItem(CUSTOM_TICKS_STORAGE_KEY);
+        if (saved) customTickScheme = parseTickScheme(saved);
+    } catch (e) {
+        console.log(`Could not load custom tick scheme: ${e.message}`);
+    }
+}
+
+function saveCustomTickScheme() {
+    try {
+        localStorage.setItem(CUSTOM_TICKS_STORAGE_KEY, formatTickScheme(customTickScheme));
+    } catch (e) {
+        console.log(`Could not save custom tick scheme: ${e.message}`);
+    }
+}
+
+// The material of one third of a segment under a list of rules. position is in the third's minutes (of the day for
+//  the outer thirds, of the hour for the middle third) at the segment's start point, where its tick sits; the
+//  segment runs span minutes back from there. Returns { material, mark }, mark being true for a tick rule.
+function applyTickRules(rules, position, span, isMiddle) {
+    let result = { material: 0, mark: false };
+    rules.forEach(rule => {
+        const unitMinutes = rule.unit === 'minute' ? 1 : (isMiddle ? 5 : 60);
+        const value = position / unitMinutes;
+        let matches;
+        if ('tick' in rule) {
+            // A multiple of tick within the segment (value - step, value]
+            const step = span / unitMinutes;
+            matches = Math.floor(value / rule.tick + TICK_EPSILON) * rule.tick > value - step + TICK_EPSILON;
+        } else {
+            const cycle = rule.unit === 'minute' ? 60 : (isMiddle ? 12 : 24);
+            const every = rule.every || cycle;
+            const atMiddle = ((value - span / unitMinutes / 2) % every + every) % every; // at the segment's middle
+            matches = rule.from <= rule.to ? (atMiddle >= rule.from && atMiddle < rule.to) : (atMiddle >= rule.from || atMiddle < rule.to);
+        }
+        if (matches) result = { material: rule.material, mark: 'tick' in rule };
+    });
+    return result;
+}
+
+// The front, back and middle thirds of segment i under the current scheme, as { material, mark } with material
+//  an index into the scheme's materials. The front third carries edgePath[i], the back third edgePath[NRECT + i].
+function getTickSchemeCells(i) {
+    const scheme = getTickScheme();
+    const edgePoints = 2 * NRECT;
+    const edgeSpan = 24 * 60 / edgePoints;
+    // Minutes of the day at an edgePath index, from its integer part so that ticks land exactly (see edgePathIndexToHour())
+    const edgeMinutes = k => (((NRECT / 2 - k) % edgePoints + edgePoints) % edgePoints) * edgeSpan;
+    const minuteSpan = 60 / NRECT;
+    const trackMinutes = (((NRECT / 2 - i) % NRECT + NRECT) % NRECT) * minuteSpan;
+    return [
+        applyTickRules(scheme.outer, edgeMinutes(i), edgeSpan, false),
+        applyTickRules(scheme.outer, edgeMinutes(NRECT + i), edgeSpan, false),
+        applyTickRules(scheme.middle, trackMinutes, minuteSpan, true)
+    ];
+}
+
+// A scheme material's color: a theme color by name, or its own
+function getTickMaterialColor(color) {
+    if (TICK_THEME_COLORS.includes(color)) return getTheme()[color];
+    return parseInt(color.substring(1), 16);
+}
+
+// Makes scheme the custom scheme and shows it
+function setCustomTickScheme(scheme) {
+    customTickScheme = scheme;
+    saveCustomTickScheme();
+    setTickScheme('custom');
+}
+
+function setTickSchemeStatus(text) {
+    const status = document.getElementById('tick-scheme-status');
+    if (status) status.textContent = text;
+}
+
+// Applies the editor's text as the custom scheme if it is valid, and says what is wrong if not
+function applyTickSchemeText(text) {
+    let scheme;
+    try {
+        scheme = parseTickScheme(text);
+    } catch (e) {
+        setTickSchemeStatus(t('Not applied: {error}', { error: e.message }));
+        return false;
+    }
+    setTickSchemeStatus('');
+    setCustomTickScheme(scheme);
+    syncUIWithState();
+    settingsChanged();
+    return true;
+}
+
+// Shows the current scheme in the editor, as a starting point when it is a built-in one. Not while the user is
+//  typing in it.
+function syncTickSchemeEditor() {
+    const editor = document.getElementById('tick-scheme-editor');
+    if (editor && document.activeElement !== editor) editor.value = formatTickScheme(getTickScheme(), 2);
+}
+
+function setupTickSchemeUI() {
+    const editor = document.getElementById('tick-scheme-editor');
+    if (editor) {
+        editor.addEventListener('input', () => applyTickSchemeText(editor.value));
+        editor.addEventListener('blur', () => {
+            setTickSchemeStatus('');
+            syncTickSchemeEditor();
+        });
+    }
+
+    const fileInput = document.getElementById('tick-scheme-file');
+    if (fileInput) {
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                applyTickSchemeText(reader.result);
+                fileInput.value = '';
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    const saveButton = document.getElementById('tick-scheme-save');
+    if (saveButton) {
+        saveButton.addEventListener('click', () => {
+            const blob = new Blob([formatTickScheme(getTickScheme(), 2) + '\n'], { type: 'application/json' });
+            downloadBlob(blob, `mobius-clock-ticks-${currentTickScheme}.json`);
+        });
+    }
+
+    syncTickSchemeEditor();
+}
+
+// --- INDICATOR MOTION ---
+// How the second and minute indicators move through the time of day (the timer and stopwatch always sweep):
+//  secondMotion=smooth sweeps; quartz jumps once a second, overshooting a little and settling back; mechanical
+//  moves in MECHANICAL_BEATS beats a second, like a balance wheel; railway is the Swiss railway clock's stop-to-go,
+//  sweeping round in RAILWAY_SWEEP_SECONDS and waiting at 12 for the minute to change. minuteMotion=continuous
+//  creeps with the seconds; step jumps on the minute, taking the hour indicator with it (as on the railway clock).
+const SECOND_MOTIONS = ['smooth', 'quartz', 'mechanical', 'railway'];
+const MINUTE_MOTIONS = ['continuous', 'step'];
+const QUARTZ_JUMP_MS = 150; // the jump and its overshoot; at longer frame intervals it is drawn landed
+const QUARTZ_OVERSHOOT = 1.70158; // the ease-out-back constant: the jump overshoots by about a tenth of a second
+const MECHANICAL_BEATS = 8;
+const RAILWAY_SWEEP_SECONDS = 58.5;
+
+let indicatorMotion = { seconds: 'smooth', minutes: 'continuous' };
+
+// Seconds (0-60) as the second indicator shows them, from the seconds of the time shown
+function getSecondIndicatorSeconds(seconds) {
+    switch (indicatorMotion.seconds) {
+        case 'quartz': {
+            const whole = Math.floor(seconds);
+            // Reduced motion, or frames too far apart to show the jump: just step
+            if (reducedMotion || 1000 / getTargetFps() > QUARTZ_JUMP_MS) return whole;
+            const progress = Math.min((seconds - whole) * 1000 / QUARTZ_JUMP_MS, 1) - 1;
+            return whole + (QUARTZ_OVERSHOOT + 1) * Math.pow(progress, 3) + QUARTZ_OVERSHOOT * Math.pow(progress, 2);
+        }
+        case 'mechanical':
+            return Math.floor(seconds * MECHANICAL_BEATS) / MECHANICAL_BEATS;
+        case 'railway':
+            return Math.min(seconds * 60 / RAILWAY_SWEEP_SECONDS, 60);
+        default:
+            return seconds;
+    }
+}
+
+function syncIndicatorMotionUI() {
+    const secondSelect = document.getElementById('second-motion-select');
+    const minuteSelect = document.getElementById('minute-motion-select');
+    if (secondSelect) secondSelect.value = indicatorMotion.seconds;
+    if (minuteSelect) minuteSelect.value = indicatorMotion.minutes;
+}
+
+function setupIndicatorMotionUI() {
+    [['second-motion-select', 'seconds'], ['minute-motion-select', 'minutes']].forEach(([id, key]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.addEventListener('change', () => {
+            indicatorMotion[key] = select.value;
+            updateClock();
+            settingsChanged();
+        });
+    });
+    syncIndicatorMotionUI();
+}
+
+// --- THEMES ---
+// A theme is a set of colors for the 3D scene. Built-in themes are fixed; the "custom" theme is edited with
+//  the color pickers in the settings panel and kept in localStorage. Switching themes recolors the existing
+//  materials in place (see applyTheme()); the creation functions read getTheme() for new objects.
+const THEME_KEYS = ['background', 'zenBackground', 'strip', 'tick', 'alternate', 'hourIndicator', 'minuteIndicator', 'secondIndicator', 'labels'];
+const THEME_LABELS = {
+    background: 'Background',
+    zenBackground: 'Zen background',
+    strip: 'Strip',
+    tick: 'Tick marks',
+    alternate: 'Alternate stripes',
+    hourIndicator: 'Hour indicator',
+    minuteIndicator: 'Minute indicator',
+    secondIndicator: 'Second indicator',
+    labels: 'Hour labels'
+};
+const CUSTOM_THEME_STORAGE_KEY = 'mobiusClock.customTheme';
+
+const THEMES = {
+    classic: {
+        background: 0x505050, zenBackground: 0x2a2a2a, strip: 0xD3D3D3, tick: 0x222222, alternate: 0x222222,
+        hourIndicator: 0xADFF2F, minuteIndicator: 0x00FFFF, secondIndicator: 0xFF7F50, labels: 0xFFFFFF
+    },
+    dark: {
+        background: 0x121212, zenBackground: 0x000000, strip: 0x3A3A3A, tick: 0xBBBBBB, alternate: 0x1E1E1E,
+        hourIndicator: 0x9CCC65, minuteIndicator: 0x4DD0E1, secondIndicator: 0xFF8A65, labels: 0xE0E0E0
+    },
+    light: {
+        background: 0xEDEDED, zenBackground: 0xD8D8D8, strip: 0xFFFFFF, tick: 0x333333, alternate: 0x9E9E9E,
+        hourIndicator: 0x2E7D32, minuteIndicator: 0x0277BD, secondIndicator: 0xD84315, labels: 0x212121
+    },
+    'high-contrast': {
+        background: 0x000000, zenBackground: 0x000000, strip: 0xFFFFFF, tick: 0x000000, alternate: 0x000000,
+        hourIndicator: 0xFFFF00, minuteIndicator: 0x00FFFF, secondIndicator: 0xFF00FF, labels: 0xFFFFFF
+    },
+    neon: {
+        background: 0x0B0221, zenBackground: 0x05010F, strip: 0x2B1055, tick: 0xFF2A6D, alternate: 0x05D9E8,
+        hourIndicator: 0x39FF14, minuteIndicator: 0x05D9E8, secondIndicator: 0xFF2A6D, labels: 0xD1F7FF
+    },
+    brass: {
+        background: 0x2B1D0E, zenBackground: 0x1A1108, strip: 0xC9A227, tick: 0x4A3410, alternate: 0x8C6A1C,
+        hourIndicator: 0xE8D5A3, minuteIndicator: 0xB87333, secondIndicator: 0x8B0000, labels: 0xF5E6C8
+    }
+};
+
+let customTheme = Object.assign({}, THEMES.classic);
+
+function getTheme() {
+    return currentThemeName === 'custom' ? customTheme : THEMES[currentThemeName];
+}
+
+function toHexString(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+}
+
+// "505050,d3d3d3,..." (THEME_KEYS order) -> theme object, or null if malformed.
+function parseThemeColors(str) {
+    const values = str.split(',').map(v => v.trim().replace(/^#/, ''));
+    if (values.length !== THEME_KEYS.length || !values.every(v => /^[0-9a-f]{6}$/i.test(v))) return null;
+    const theme = {};
+    THEME_KEYS.forEach((key, i) => { theme[key] = parseInt(values[i], 16); });
+    return theme;
+}
+
+function formatThemeColors(theme) {
+    return THEME_KEYS.map(key => theme[key].toString(16).padStart(6, '0')).join(',');
+}
+
+function loadCustomTheme() {
+    try {
+        const saved = localStorage.getItem(CUSTOM_THEME_STORAGE_KEY);
+        const theme = saved ? parseThemeColors(saved) : null;
+        if (theme) customTheme = theme;
+    } catch (e) {
+        console.log(`Could not load custom theme: ${e.message}`);
+    }
+}
+
+function saveCustomTheme() {
+    try {
+        localStorage.setItem(CUSTOM_THEME_STORAGE_KEY, formatThemeColors(customTheme));
+    } catch (e) {
+        console.log(`Could not save custom theme: ${e.message}`);
+    }
+}
+
+function setTheme(name) {
+    if (name !== 'custom' && !THEMES[name]) return;
+    currentThemeName = name;
+    applyTheme();
+    syncThemeEditor();
+}
+
+// Editing a color while on a built-in theme starts a custom theme from that built-in.
+function setCustomThemeColor(key, color) {
+    if (currentThemeName !== 'custom') customTheme = Object.assign({}, getTheme());
+    customTheme[key] = color;
+    currentThemeName = 'custom';
+    saveCustomTheme();
+    applyTheme();
+    syncThemeEditor();
+}
+
+// Recolors everything already in the scene to the current theme.
+function applyTheme() {
+    const theme = getTheme();
+    scene.background.setHex(zenMode ? theme.zenBackground : theme.background);
+    document.documentElement.style.setProperty('--scene-background', toHexString(theme.background));
+    document.body.dataset.theme = currentThemeName;
+
+    clocks.forEach(clock => {
+        const stripMaterials = clock.mobiusStripMesh.material;
+        stripMaterials[0].color.setHex(theme.strip);
+        stripMaterials[1].color.setHex(theme.tick);
+        stripMaterials[2].color.setHex(theme.alternate);
+        if (clock.hourSphere) clock.hourSphere.material.color.setHex(theme.hourIndicator);
+        if (clock.minuteSphere) clock.minuteSphere.material.color.setHex(theme.minuteIndicator);
+        if (clock.secondSphere) clock.secondSphere.material.color.setHex(theme.secondIndicator);
+        if (clock.hourNumbersGroup) {
+            clock.hourNumbersGroup.traverse(obj => {
+                if (obj.isMesh) obj.material.color.setHex(theme.labels);
+            });
+        }
+    });
+}
+
+function syncThemeEditor() {
+    const themeSelect = document.getElementById('theme-select');
+    if (themeSelect) themeSelect.value = currentThemeName;
+    const theme = getTheme();
+    THEME_KEYS.forEach(key => {
+        const input = document.getElementById(`theme-color-${key}`);
+        if (input) input.value = toHexString(theme[key]);
+    });
+}
+
+function setupThemeUI() {
+    const themeSelect = document.getElementById('theme-select');
+    if (themeSelect) {
+        themeSelect.addEventListener('change', (e) => {
+            setTheme(e.target.value);
+            settingsChanged();
+        });
+    }
+
+    const editor = document.getElementById('theme-editor');
+    if (editor) {
+        THEME_KEYS.forEach(key => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'color';
+            input.id = `theme-color-${key}`;
+            input.addEventListener('input', () => {
+                setCustomThemeColor(key, parseInt(input.value.substring(1), 16));
+                settingsChanged();
+            });
+            label.append(input, THEME_LABELS[key]);
+            editor.appendChild(label);
+        });
+    }
+
+    applyTheme();
+    syncThemeEditor();
+}
+
+// --- SAVED SETTINGS AND SHARE LINKS ---
+// The settings panel state is saved in localStorage in the same form as the URL hash (timeStyle=24&zen=true...),
+//  so both go through parseUrlParams(). Precedence: the URL first, then the saved settings, then the defaults.
+// Only user changes are saved (see settingsChanged()), so opening a share link doesn't overwrite them.
+const SETTINGS_STORAGE_KEY = 'mobiusClock.settings';
+const DEFAULT_SETTINGS = 'timeStyle=ampm&shapeHours=outer-ring&shapeMinutes=ring&shapeSeconds=sphere' +
+    '&secondMotion=smooth&minuteMotion=continuous' +
+    '&tickScheme=standard&theme=classic&rotation=false&showHours=true&zen=false' +
+    '&halfTwists=1&stripWidth=1.9&stripThickness=0.2&stripRadius=3.4&resolution=360' +
+    '&readoutSeconds=true&readoutDate=false&readoutWeekday=false&readoutPosition=top-right&readoutSize=normal' +
+    '&hourLabels=latin&announce=0&motion=auto&chimes=off&chimeVolume=50&fps=60&zenFps=1&stats=false&quality=auto';
+// Hash parameters that applyUrlSettings() can change on a running clock; any other change needs a reload.
+const LIVE_URL_PARAMS = ['timeStyle', 'shapeHours', 'shapeMinutes', 'shapeSeconds', 'secondMotion', 'minuteMotion',
+    'tickScheme', 'customTicks', 'theme', 'themeColors', 'tz', 'rotation', 'showHours', 'zen', 'view', 'halfTwists',
+    'stripWidth', 'stripThickness', 'stripRadius', 'resolution', 'readoutSeconds', 'readoutDate', 'readoutWeekday',
+    'readoutFormat', 'locale', 'readoutPosition', 'readoutSize', 'hourLabels', 'hourFont', 'lang', 'announce', 'motion',
+    'chimes', 'chimeVolume', 'quietHours', 'fps', 'zenFps', 'stats', 'quality'];
+
+let lastUrlParams = new URLSearchParams(window.location.hash.substring(1));
+
+function loadSavedSettings() {
+    try {
+        return new URLSearchParams(localStorage.getItem(SETTINGS_STORAGE_KEY) || '');
+    } catch (e) {
+        console.log(`Could not load settings: ${e.message}`);
+        return new URLSearchParams();
+    }
+}
+
+// Defaults, overlaid with the saved settings, overlaid with the URL hash.
+// An embedded clock is configured entirely by its element's attributes, so it skips the saved settings.
+function getStartupParams() {
+    const params = new URLSearchParams(DEFAULT_SETTINGS);
+    const hashParams = new URLSearchParams(window.location.hash.substring(1));
+    const embedded = ['true', 'on'].includes((hashParams.get('embed') || '').toLowerCase());
+    [embedded ? new URLSearchParams() : loadSavedSettings(), hashParams].forEach(layer => {
+        layer.forEach((value, key) => params.set(key, value));
+    });
+    return params;
+}
+
+// The current settings as URL parameters. In Zen the ticks and hour labels are Zen's, so save the ones underneath.
+function getSettingsParams() {
+    const params = new URLSearchParams();
+    params.set('timeStyle', timeStyle);
+    params.set('shapeHours', indicatorShapes.hours);
+    params.set('shapeMinutes', indicatorShapes.minutes);
+    params.set('shapeSeconds', indicatorShapes.seconds);
+    params.set('secondMotion', indicatorMotion.seconds);
+    params.set('minuteMotion', indicatorMotion.minutes);
+    params.set('tickScheme', zenMode ? preZenState.tickScheme : currentTickScheme);
+    if (params.get('tickScheme') === 'custom') params.set('customTicks', formatTickScheme(customTickScheme));
+    params.set('theme', currentThemeName);
+    if (currentThemeName === 'custom') params.set('themeColors', formatThemeColors(customTheme));
+    if (clocks.length === 1 && clocks[0].timeZone) params.set('tz', clocks[0].timeZone);
+    params.set('rotation', rotationEnabled);
+    params.set('showHours', zenMode ? preZenState.hoursVisible : areHoursVisible());
+    params.set('zen', zenMode);
+    const geometry = getStripGeometry();
+    Object.keys(geometry).forEach(key => params.set(key, geometry[key]));
+    Object.keys(READOUT_URL_PARAMS).forEach(key => {
+        if (readoutSettings[key] !== '') params.set(READOUT_URL_PARAMS[key], readoutSettings[key]);
+    });
+    params.set('hourLabels', formatHourLabels(hourLabelStyle));
+    if (hourFontUrl) params.set('hourFont', hourFontUrl);
+    if (uiLanguageSetting) params.set('lang', uiLanguageSetting);
+    params.set('announce', announceInterval);
+    params.set('motion', motionSetting);
+    params.set('chimes', formatChimeTypes(chimeSettings));
+    params.set('chimeVolume', chimeSettings.volume);
+    if (chimeSettings.quietHours) params.set('quietHours', formatQuietHours(chimeSettings.quietHours));
+    params.set('fps', frameRate.fps);
+    params.set('zenFps', frameRate.zenFps);
+    params.set('stats', statsVisible);
+    params.set('quality', qualitySetting);
+    return params;
+}
+
+function saveSettings() {
+    if (embedMode) return; // don't let an embedded clock overwrite the app's own settings
+    try {
+        const params = getSettingsParams();
+        params.delete('themeColors'); // the custom theme and tick scheme have their own keys
+        params.delete('customTicks');
+        localStorage.setItem(SETTINGS_STORAGE_KEY, params.toString());
+    } catch (e) {
+        console.log(`Could not save settings: ${e.message}`);
+    }
+}
+
+// Called by the UI after the user changes a setting.
+function settingsChanged() {
+    wakeRenderLoop(false);
+    saveSettings();
+    emitClockEvent('settingschange', getClockSettings());
+}
+
+// Writes the current settings into the hash (keeping other parameters such as clocks= or view=) and copies the link.
+function copyShareLink() {
+    const params = new URLSearchParams(window.location.hash.substring(1));
+    getSettingsParams().forEach((value, key) => params.set(key, value));
+    writeUrlParams(params);
+    lastUrlParams = params;
+
+    const link = window.location.href;
+    const status = document.getElementById('share-link-status');
+    const showStatus = (text) => {
+        if (!status) return;
+        status.textContent = text;
+        clearTimeout(copyShareLink.statusTimer);
+        copyShareLink.statusTimer = setTimeout(() => { status.textContent = ''; }, 3000);
+    };
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link).then(
+            () => showStatus(t('Link copied')),
+            () => showStatus(t('Link is in the address bar'))
+        );
+    } else {
+        showStatus(t('Link is in the address bar'));
+    }
+}
+
+// hashchange: re-apply the settings (URL, then saved, then defaults) to the running clock, so a kiosk can be
+//  reconfigured by changing its URL. Parameters that are only read at startup (clocks=, timer=, lat=...) reload.
+function applyUrlSettings() {
+    const hashParams = new URLSearchParams(window.location.hash.substring(1));
+    const keys = new Set([...lastUrlParams.keys(), ...hashParams.keys()]);
+    const needsReload = [...keys].some(key => !LIVE_URL_PARAMS.includes(key) && lastUrlParams.get(key) !== hashParams.get(key));
+    lastUrlParams = hashParams;
+    if (needsReload) {
+        window.location.reload();
+        return;
+    }
+
+    if (zenMode) toggleZenMode(); // change the settings underneath Zen, then re-enter it if still wanted
+    clockConfigs = [{ timeZone: '', caption: '' }];
+    initialView = null;
+    applyReadoutSettings({ format: '', locale: '' }); // the settings without a default value
+    hourFontUrl = '';
+    chimeSettings.quietHours = null;
+    setLanguage('');
+    loadCustomTheme();
+    loadCustomTickScheme();
+    const geometryBefore = JSON.stringify(getStripGeometry());
+    const qualityBefore = getQuality();
+    const wantZen = parseUrlParams(getStartupParams());
+    if (getQuality() !== qualityBefore) qualityChanged(qualityBefore);
+    if (JSON.stringify(getStripGeometry()) !== geometryBefore) rebuildStrips();
+    updateExplainerTwists();
+
+    ['hours', 'minutes', 'seconds'].forEach(type => setIndicatorShape(type, indicatorShapes[type]));
+    setTickScheme(currentTickScheme);
+    setTheme(currentThemeName);
+    if (clocks.length === 1 && clockConfigs[0].timeZone !== clocks[0].timeZone) setTimeZone(clockConfigs[0].timeZone);
+    if (!rotationEnabled) clocks.forEach(clock => { clock.mobiusGroup.rotation.y = 0; });
+    createHourNumbers();
+    setHoursVisible(initialHoursVisible);
+    if (initialView) {
+        applyView(initialView);
+    } else if (viewChanged) {
+        resetView();
+    }
+    if (wantZen) toggleZenMode();
+    applyMotionSetting();
+    applyLanguage(); // also syncs the UI
+    wakeRenderLoop(false);
+    emitClockEvent('settingschange', getClockSettings());
+}
+
+function setupShareUI() {
+    const shareButton = document.getElementById('share-link-button');
+    if (shareButton) shareButton.addEventListener('click', copyShareLink);
+    addGlobalListener(window, 'hashchange', applyUrlSettings);
+}
+
+loadCustomTheme(); // before the URL, which may replace it (themeColors=)
+loadCustomTickScheme(); // likewise (customTicks=)
+const startInZen = parseUrlParams(getStartupParams());
+
+// generateMobius3dPoints(); // Moved call to be explicit or keep it here? 
+// It was here before.
+generateMobius3dPoints();
+
+// --- 2D RENDERER ---
+// Without WebGL (e.g. on locked-down thin clients), or with renderer=2d, the scene is drawn with Canvas 2D.
+//  The 2D renderer stands in for THREE.WebGLRenderer (setSize, render, domElement...), so the rest of the app,
+//  from themes and tick schemes to the camera controls, screenshots and recording, works unchanged on top of it.
+//  Each frame it projects the triangles of every visible mesh through the camera, shades each one flat from the
+//  scene's lights and paints them from far to near. Hour labels are drawn as canvas text where they project.
+//  Painting thousands of polygons is slow without a GPU, so the render loop draws at most CANVAS_2D_MAX_FPS frames a
+//  second with it.
+const CANVAS_2D_MAX_SIZE = 8192; // largest screenshot side; browsers allow 2D canvases at least this big
+const CANVAS_2D_MAX_FPS = 10;
+const CANVAS_2D_SHADES = 32; // brightness steps, so neighbouring triangles share a color and are filled as one path
+const CANVAS_2D_MIN_OPACITY = 0.9; // nearly opaque materials (the strip is 0.95) are drawn opaque, without seams
+
+function isWebGLAvailable() {
+    try {
+        const canvas = document.createElement('canvas');
+        return Boolean(window.WebGLRenderingContext && (canvas.getContext('webgl2') || canvas.getContext('webgl')));
+    } catch (e) {
+        return false;
+    }
+}
+
+// A THREE.WebGLRenderer, unless renderer=2d or WebGL cannot be had
+function createRenderer() {
+    if (rendererMode === 'webgl' && isWebGLAvailable()) {
+        try {
+            return new THREE.WebGLRenderer({ antialias: getQuality().antialias });
+        } catch (e) {
+            console.log(`Could not create a WebGL renderer, drawing in 2D instead: ${e.message}`);
+        }
+    }
+    rendererMode = '2d';
+    return createCanvas2DRenderer();
+}
+
+function createCanvas2DRenderer() {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    let width = canvas.width;
+    let height = canvas.height;
+    let pixelRatio = 1;
+    const info = { render: { calls: 0, triangles: 0, frame: 0 } }; // as WebGLRenderer keeps it, for the HUD
+
+    const resizeCanvas = () => {
+        canvas.width = Math.floor(width * pixelRatio);
+        canvas.height = Math.floor(height * pixelRatio);
+    };
+
+    return {
+        isCanvas2DRenderer: true,
+        domElement: canvas,
+        capabilities: { maxTextureSize: CANVAS_2D_MAX_SIZE },
+        info: info,
+        setPixelRatio(ratio) {
+            pixelRatio = ratio;
+            resizeCanvas();
+        },
+        getPixelRatio() {
+            return pixelRatio;
+        },
+        // updateStyle false leaves the canvas's CSS size alone, as with WebGLRenderer
+        setSize(newWidth, newHeight, updateStyle) {
+            width = newWidth;
+            height = newHeight;
+            resizeCanvas();
+            if (updateStyle !== false) {
+                canvas.style.width = newWidth + 'px';
+                canvas.style.height = newHeight + 'px';
+            }
+        },
+        getSize(target) {
+            return target.set(width, height);
+        },
+        render(scene, camera) {
+            if (!context) return;
+            Object.assign(info.render, drawScene2D(context, scene, camera, canvas.width, canvas.height));
+            info.render.frame++;
+        },
+        dispose() { }
+    };
+}
+
+// Returns the number of fills and texts drawn (calls) and of triangles in them, like WebGLRenderer's info.render
+function drawScene2D(ctx, scene, camera, width, height) {
+    scene.updateMatrixWorld();
+    if (camera.parent === null) camera.updateMatrixWorld();
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1;
+    if (scene.background && scene.background.isColor) {
+        ctx.fillStyle = scene.background.getStyle();
+        ctx.fillRect(0, 0, width, height);
+    } else {
+        ctx.clearRect(0, 0, width, height);
+    }
+
+    // Ambient light as one color; directional lights as world-space directions toward the light
+    const frame = {
+        width: width,
+        height: height,
+        camera: camera,
+        cameraPosition: new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld),
+        ambient: new THREE.Color(0, 0, 0),
+        lights: [],
+        items: [] // triangles and labels, painted far to near
+    };
+    scene.traverseVisible(obj => {
+        if (obj.isAmbientLight) {
+            frame.ambient.add(obj.color.clone().multiplyScalar(obj.intensity));
+        } else if (obj.isDirectionalLight) {
+            const direction = new THREE.Vector3().setFromMatrixPosition(obj.matrixWorld)
+                .sub(new THREE.Vector3().setFromMatrixPosition(obj.target.matrixWorld)).normalize();
+            frame.lights.push({ direction: direction, color: obj.color.clone().multiplyScalar(obj.intensity) });
+        }
+    });
+    scene.traverseVisible(obj => {
+        if (!obj.isMesh) return;
+        if (obj.userData.label) addLabel2D(obj, frame);
+        else addTriangles2D(obj, frame);
+    });
+    frame.items.sort((a, b) => b.depth - a.depth);
+
+    // Runs of triangles in the same color go into one path, filled (and stroked over the seams) together
+    let style = null;
+    let alpha = 1;
+    let pathOpen = false;
+    let calls = 0;
+    let triangles = 0;
+    const flush = () => {
+        if (!pathOpen) return;
+        calls++;
+        ctx.fill();
+        if (alpha === 1) ctx.stroke();
+        pathOpen = false;
+    };
+    ctx.lineWidth = 1;
+    ctx.lineJoin = 'round';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    frame.items.forEach(item => {
+        if (item.text) {
+            flush();
+            style = null;
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = item.style;
+            ctx.font = item.font;
+            ctx.fillText(item.text, item.x, item.y);
+            calls++;
+            return;
+        }
+        if (item.style !== style || item.alpha !== alpha) {
+            flush();
+            style = item.style;
+            alpha = item.alpha;
+            ctx.fillStyle = style;
+            ctx.strokeStyle = style;
+            ctx.globalAlpha = alpha;
+            ctx.beginPath();
+            pathOpen = true;
+        }
+        const points = item.points;
+        triangles += points.length / 2 - 2; // a merged quad is two
+        ctx.moveTo(points[0], points[1]);
+        for (let i = 2; i < points.length; i += 2) ctx.lineTo(points[i], points[i + 1]);
+        ctx.closePath();
+    });
+    flush();
+    ctx.globalAlpha = 1;
+    return { calls: calls, triangles: triangles };
+}
+
+function addTriangles2D(mesh, frame) {
+    const geometry = mesh.geometry;
+    const position = geometry.attributes.position;
+    if (!position) return;
+
+    // World position and screen position (pixels, plus the distance in front of the camera) of every vertex
+    const count = position.count;
+    const world = new Float32Array(count * 3);
+    const screen = new Float32Array(count * 3);
+    const m = mesh.matrixWorld.elements;
+    const v = frame.camera.matrixWorldInverse.elements;
+    const p = frame.camera.projectionMatrix.elements;
+    for (let i = 0; i < count; i++) {
+        const x = position.getX(i);
+        const y = position.getY(i);
+        const z = position.getZ(i);
+        const wx = m[0] * x + m[4] * y + m[8] * z + m[12];
+        const wy = m[1] * x + m[5] * y + m[9] * z + m[13];
+        const wz = m[2] * x + m[6] * y + m[10] * z + m[14];
+        const vx = v[0] * wx + v[4] * wy + v[8] * wz + v[12];
+        const vy = v[1] * wx + v[5] * wy + v[9] * wz + v[13];
+        const vz = v[2] * wx + v[6] * wy + v[10] * wz + v[14];
+        const clipX = p[0] * vx + p[4] * vy + p[8] * vz + p[12];
+        const clipY = p[1] * vx + p[5] * vy + p[9] * vz + p[13];
+        const clipW = p[3] * vx + p[7] * vy + p[11] * vz + p[15];
+        world[i * 3] = wx;
+        world[i * 3 + 1] = wy;
+        world[i * 3 + 2] = wz;
+        screen[i * 3] = (clipX / clipW + 1) * frame.width / 2;
+        screen[i * 3 + 1] = (1 - clipY / clipW) * frame.height / 2;
+        screen[i * 3 + 2] = -vz;
+    }
+
+    const index = geometry.index;
+    const vertexCount = index ? index.count : count;
+    const materials = Array.isArray(mesh.material) ? mesh.material : null;
+    const groups = materials && geometry.groups.length ? geometry.groups : [{ start: 0, count: vertexCount, materialIndex: 0 }];
+    const near = frame.camera.near;
+    const normal = new THREE.Vector3();
+    const edge = new THREE.Vector3();
+    const toCamera = new THREE.Vector3();
+
+    groups.forEach(group => {
+        const material = materials ? materials[group.materialIndex] : mesh.material;
+        if (!material || !material.visible) return;
+        const opacity = material.transparent ? material.opacity : 1;
+        if (opacity <= 0) return;
+        const alpha = opacity < CANVAS_2D_MIN_OPACITY ? opacity : 1;
+        const end = Math.min(group.start + group.count, vertexCount);
+        let previous = null;
+
+        for (let tri = group.start; tri + 2 < end; tri += 3) {
+            const a = (index ? index.getX(tri) : tri) * 3;
+            const b = (index ? index.getX(tri + 1) : tri + 1) * 3;
+            const c = (index ? index.getX(tri + 2) : tri + 2) * 3;
+            if (screen[a + 2] < near || screen[b + 2] < near || screen[c + 2] < near) continue; // behind the camera
+
+            // Screen y runs down, so a front face (counter-clockwise) has a negative signed area here
+            const area = (screen[b] - screen[a]) * (screen[c + 1] - screen[a + 1]) -
+                (screen[b + 1] - screen[a + 1]) * (screen[c] - screen[a]);
+            if (area === 0) continue;
+            if (material.side === THREE.FrontSide && area > 0) continue;
+            if (material.side === THREE.BackSide && area < 0) continue;
+
+            normal.set(world[b] - world[a], world[b + 1] - world[a + 1], world[b + 2] - world[a + 2]);
+            edge.set(world[c] - world[a], world[c + 1] - world[a + 1], world[c + 2] - world[a + 2]);
+            normal.cross(edge).normalize();
+            toCamera.set(world[a], world[a + 1], world[a + 2]).subVectors(frame.cameraPosition, toCamera);
+            if (normal.dot(toCamera) < 0) normal.negate(); // light the side that faces the camera
+
+            const style = shadeColor2D(material, normal, frame);
+            const depth = (screen[a + 2] + screen[b + 2] + screen[c + 2]) / 3;
+            // Strips, spheres and tori list each quad as two triangles in a row: paint such a pair as one quad
+            if (previous && previous.style === style && previous.vertices.length === 3) {
+                const quad = mergeTriangles2D(previous.vertices, [a, b, c]);
+                if (quad) {
+                    previous.vertices = quad;
+                    previous.points = quad.reduce((points, i) => points.concat(screen[i], screen[i + 1]), []);
+                    previous.depth = (previous.depth + depth) / 2;
+                    previous = null;
+                    continue;
+                }
+            }
+            previous = {
+                depth: depth,
+                style: style,
+                alpha: alpha,
+                vertices: [a, b, c],
+                points: [screen[a], screen[a + 1], screen[b], screen[b + 1], screen[c], screen[c + 1]]
+            };
+            frame.items.push(previous);
+        }
+    });
+}
+
+// The outline of two triangles that share an edge, or null if they don't: the other triangle's free vertex goes
+//  between the shared ones
+function mergeTriangles2D(first, second) {
+    const free = second.filter(i => !first.includes(i));
+    if (free.length !== 1) return null;
+    for (let k = 0; k < 3; k++) {
+        const next = (k + 1) % 3;
+        if (second.includes(first[k]) && second.includes(first[next])) {
+            return first.slice(0, k + 1).concat(free, first.slice(k + 1));
+        }
+    }
+    return null;
+}
+
+// Flat Lambert shading: the material's diffuse color lit by the ambient and directional lights, plus its emissive
+//  color. As in MeshStandardMaterial, the metallic part of a surface doesn't reflect diffusely.
+function shadeColor2D(material, normal, frame) {
+    const light = frame.ambient.clone();
+    frame.lights.forEach(l => {
+        const lambert = Math.max(0, normal.dot(l.direction));
+        light.r += l.color.r * lambert;
+        light.g += l.color.g * lambert;
+        light.b += l.color.b * lambert;
+    });
+    const diffuse = 1 - (material.metalness || 0);
+    const channel = (base, lit, emissive) => {
+        const level = Math.round(lit * diffuse * CANVAS_2D_SHADES) / CANVAS_2D_SHADES;
+        return Math.round(Math.min(1, base * level + emissive) * 255);
+    };
+    const color = material.color || new THREE.Color(1, 1, 1);
+    const emissive = material.emissive ? material.emissive.clone().multiplyScalar(material.emissiveIntensity) : new THREE.Color(0, 0, 0);
+    return `rgb(${channel(color.r, light.r, emissive.r)},${channel(color.g, light.g, emissive.g)},${channel(color.b, light.b, emissive.b)})`;
+}
+
+// An hour label (see createLabelMesh()) as upright text, centered where the 3D label would be
+function addLabel2D(mesh, frame) {
+    const geometry = mesh.geometry;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const center = geometry.boundingBox.getCenter(new THREE.Vector3()).applyMatrix4(mesh.matrixWorld);
+    const distance = -center.clone().applyMatrix4(frame.camera.matrixWorldInverse).z;
+    if (distance < frame.camera.near) return;
+
+    const pixelsPerUnit = frame.camera.projectionMatrix.elements[5] * frame.height / 2 / distance;
+    const fontPx = mesh.userData.label.size / 0.72 * pixelsPerUnit; // digits are about 0.72 of the font size
+    if (fontPx < 3) return;
+    center.project(frame.camera);
+    frame.items.push({
+        depth: distance,
+        text: mesh.userData.label.text,
+        style: mesh.material.color.getStyle(),
+        font: `${Math.round(fontPx)}px sans-serif`,
+        x: (center.x + 1) * frame.width / 2,
+        y: (1 - center.y) * frame.height / 2
+    });
+}
+
+let scene, camera, renderer;
+// rotationEnabled declared above
+let topRightLight;
+let animationFrameId = null;
+// zenMode declared above
+let preZenState = {};
+
+
+function init() {
+    scene = new THREE.Scene();
+    scene.background = new THREE.Color(getTheme().background); // Medium gray in the classic theme
+
+    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera.position.z = 7;
+
+    renderer = createRenderer();
+    renderer.setPixelRatio(getQualityPixelRatio());
+    renderer.setSize(window.innerWidth, window.innerHeight);
+
+
+    document.getElementById('container').appendChild(renderer.domElement);
+    setupCameraControls();
+    if (initialView) applyView(initialView);
+
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+    scene.add(ambientLight);
+
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
+    directionalLight.position.set(0, 1, 1);
+    scene.add(directionalLight);
+
+    topRightLight = new THREE.DirectionalLight(0xffffff, 0.8); // 2nd parameter is intensity
+    topRightLight.position.set(1, 1, 2); // the parameters are x, y, z position in units of
+    scene.add(topRightLight);
+
+    updateEdgePath();
+
+    clocks = clockConfigs.map(createClockInstance);
+    refreshAlarmMarkers(); // once clocks[0] exists: alarm times are in its zone
+    createHourNumbers();
+    // ready: when the hour labels are up, now if the font has already loaded (or failed), otherwise from loadHourFont()
+    if (hourNumbersFont || hourFontFailedUrl) emitClockEvent('ready');
+
+    animate();
+}
+
+// --- CLOCK INSTANCES ---
+// Each clock in the scene is a plain object holding its own group, strip mesh, indicators and hour numbers.
+// The indicator shapes, tick scheme and time style are shared; the time zone and caption are per clock.
+let clocks = [];
+
+function createClockInstance(config) {
+    const clock = {
+        timeZone: config.timeZone || '',
+        caption: config.caption || '',
+        mobiusGroup: new THREE.Group(),
+        mobiusStripMesh: null,
+        hourNumbersGroup: null,
+        hourSphere: null,
+        minuteSphere: null,
+        secondSphere: null,
+        alarmMarkersGroup: null,
+        eventArcsGroup: null,
+        sunPhases: null, // daylight phase per edgePath point, see computeSunPhases()
+        captionEl: null,
+        captionTimeEl: null,
+        captionX: null, // where the caption was last put, to move it only when that changes
+        captionY: null
+    };
+    scene.add(clock.mobiusGroup);
+
+    computeSunPhases(clock);
+    createMobiusStripMesh(clock);
+    createClockHands(clock);
+    createClockCaption(clock);
+    createEventArcs(clock);
+    return clock;
+}
+
+// Captions are HTML overlays (crisper than 3D text) positioned under each strip in updateClock().
+// A lone clock doesn't get one unless it was given a caption explicitly; the digital time covers it.
+function createClockCaption(clock) {
+    const container = document.getElementById('clock-captions');
+    if (!container || (clockConfigs.length < 2 && !clock.caption)) return;
+
+    clock.captionEl = document.createElement('div');
+    clock.captionEl.className = 'clock-caption';
+    clock.captionEl.innerHTML = '<div class="clock-caption-name"></div><div class="clock-caption-time"></div>';
+    clock.captionEl.querySelector('.clock-caption-name').textContent = clock.caption;
+    clock.captionTimeEl = clock.captionEl.querySelector('.clock-caption-time');
+    container.appendChild(clock.captionEl);
+}
+
+function setHoursVisible(visible) {
+    clocks.forEach(clock => {
+        if (clock.hourNumbersGroup) clock.hourNumbersGroup.visible = visible;
+    });
+}
+
+function areHoursVisible() {
+    return clocks.length > 0 && clocks[0].hourNumbersGroup ? clocks[0].hourNumbersGroup.visible : false;
+}
+
+
+function createMobiusStripMesh(clock) {
+    const geometry = new THREE.BufferGeometry();
+    const vertices = [];
+    const indices = [];
+
+    // Load all of the points into the vertices array.  We will refer to them via their indexes (indices) into this 
+    //   vertices array when defining the triangles that will go into the confusingly-named indices array below.
+    //   Seems like the indices array should have been called the triangles array, but oh well.
+    for (let i = 0; i < m_NumPoints; i++) {
+        vertices.push(m_FrontInnerCorner3DPtArray[i].x, m_FrontInnerCorner3DPtArray[i].y, m_FrontInnerCorner3DPtArray[i].z);
+        vertices.push(m_BackInnerCorner3DPtArray[i].x, m_BackInnerCorner3DPtArray[i].y, m_BackInnerCorner3DPtArray[i].z);
+        vertices.push(m_FrontOuterCorner3DPtArray[i].x, m_FrontOuterCorner3DPtArray[i].y, m_FrontOuterCorner3DPtArray[i].z);
+        vertices.push(m_BackOuterCorner3DPtArray[i].x, m_BackOuterCorner3DPtArray[i].y, m_BackOuterCorner3DPtArray[i].z);
+
+        //  TODO: push vertices for the 4 thirdway arrays. 
+        vertices.push(m_ThirdwayFromFrontToBackInner3DPtArray[i].x,
+            m_ThirdwayFromFrontToBackInner3DPtArray[i].y,
+            m_ThirdwayFromFrontToBackInner3DPtArray[i].z);
+        vertices.push(m_ThirdwayFromBackToFrontInner3DPtArray[i].x,
+            m_ThirdwayFromBackToFrontInner3DPtArray[i].y,
+            m_ThirdwayFromBackToFrontInner3DPtArray[i].z);
+        vertices.push(m_ThirdwayFromFrontToBackOuter3DPtArray[i].x,
+            m_ThirdwayFromFrontToBackOuter3DPtArray[i].y,
+            m_ThirdwayFromFrontToBackOuter3DPtArray[i].z);
+        vertices.push(m_ThirdwayFromBackToFrontOuter3DPtArray[i].x,
+            m_ThirdwayFromBackToFrontOuter3DPtArray[i].y,
+            m_ThirdwayFromBackToFrontOuter3DPtArray[i].z);
+
+        //
+    }
+
+    for (let i = 0; i < m_NumPoints; i++) {
+        let r1 = i;
+        let r2 = (i + 1) % m_NumPoints; // use mod op to handle wrap to 0 at end
+
+        //let fi1 = r1 * 4;
+        let fi1 = r1 * 8;
+        let bi1 = fi1 + 1;
+        let fo1 = fi1 + 2;
+        let bo1 = fi1 + 3;
+
+        let fi3 = fi1 + 4;
+        let bi3 = fi1 + 5;
+        let fo3 = fi1 + 6;
+        let bo3 = fi1 + 7;
+
+        //let fi2 = r2 * 4;
+        let fi2 = r2 * 8;
+        let bi2 = fi2 + 1;
+        let fo2 = fi2 + 2;
+        let bo2 = fi2 + 3;
+
+        let fi4 = fi2 + 4;
+        let bi4 = fi2 + 5;
+        let fo4 = fi2 + 6;
+        let bo4 = fi2 + 7;
+
+
+        // must reverse the order for last slice due to 180 rotation (an odd number of half-twists always ends
+        //  upside down, so this holds for 3 and 5 too)
+        if (i === m_NumPoints - 1) {
+            bo2 = 0;
+            fo2 = bo2 + 1;
+            bi2 = bo2 + 2;
+            fi2 = bo2 + 3;
+
+            bo4 = 4;
+            fo4 = 5;
+            bi4 = 6;
+            fi4 = 7;
+        }
+
+        // The following must push the points using the right-hand rule.
+        // These share the same material.
+
+
+
+        // This represents the front third of the strip.
+        indices.push(fi2, fi3, fi1); // inner face
+        indices.push(fi2, fi4, fi3);
+        indices.push(fo1, fo3, fo2); // outer face
+        indices.push(fo4, fo2, fo3);
+        indices.push(fo1, fi2, fi1); // front edge face
+        indices.push(fo2, fi2, fo1);
+
+        // This represents the back third of the strip.
+
+        indices.push(bi4, bi1, bi3); // inner face
+        indices.push(bi4, bi2, bi1);
+        indices.push(bo4, bo3, bo1); // outer face
+        indices.push(bo4, bo1, bo2);
+        indices.push(bi2, bo1, bi1); // back edge face
+        indices.push(bi2, bo2, bo1);
+
+        // These represent the inside third, front and back. These will be
+        //  in a separate group bc they may use a different material.
+        indices.push(fi4, bi3, fi3); // tick inner face (thirdway)
+        indices.push(fi4, bi4, bi3);
+        indices.push(fo4, fo3, bo3); // tick outer face (thirdway)
+        indices.push(fo4, bo3, bo4);
+
+
+
+    }
+
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setIndex(indices);
+
+    geometry.computeVertexNormals();
+
+    const materials = [
+        new THREE.MeshStandardMaterial({
+            color: getTheme().strip, // Material 0: Light gray in the classic theme (Main strip A)
+            side: THREE.DoubleSide,
+            metalness: 0.5,
+            roughness: 0.1,
+            transparent: true,
+            opacity: 0.95
+        }),
+        new THREE.MeshStandardMaterial({
+            color: getTheme().tick, // Material 1: Dark gray in the classic theme (Tick color)
+            side: THREE.DoubleSide,
+            metalness: 0.5,
+            roughness: 0.1
+        }),
+        new THREE.MeshStandardMaterial({
+            color: getTheme().alternate, // Material 2: Same as ticks in the classic theme, for alternating
+            side: THREE.DoubleSide,
+            metalness: 0.5,
+            roughness: 0.1,
+            transparent: true,
+            opacity: 0.95
+        }),
+        new THREE.MeshStandardMaterial({
+            color: TIMER_TINT_COLOR, // Material 3: Timer remaining-time tint
+            side: THREE.DoubleSide,
+            metalness: 0.5,
+            roughness: 0.1
+        }),
+        // Materials 4-8: Daylight phases for the sun overlay (day, civil, nautical, astronomical twilight, night)
+        ...SUN_PHASE_COLORS.map(color => new THREE.MeshStandardMaterial({
+            color: color,
+            side: THREE.DoubleSide,
+            metalness: 0.3,
+            roughness: 0.4
+        }))
+    ];
+    // Materials 9 on: the tick scheme's own colors (its theme colors are materials 0-2)
+    clock.tickMaterials = getTickScheme().materials.map(color => {
+        if (TICK_THEME_COLORS.includes(color)) return TICK_THEME_MATERIALS[color];
+        materials.push(new THREE.MeshStandardMaterial({
+            color: getTickMaterialColor(color),
+            side: THREE.DoubleSide,
+            metalness: 0.5,
+            roughness: 0.1
+        }));
+        return materials.length - 1;
+    });
+
+    const mesh = new THREE.Mesh(geometry, materials);
+
+    if (clock.mobiusStripMesh) {
+        clock.mobiusGroup.remove(clock.mobiusStripMesh);
+        clock.mobiusStripMesh.geometry.dispose(); // Clean up old geometry
+        clock.mobiusStripMesh.material.forEach(m => m.dispose()); // Clean up old materials if they were unique
+    }
+    clock.mobiusStripMesh = mesh;
+    clock.mobiusGroup.add(clock.mobiusStripMesh);
+    applySegmentMaterials(clock);
+}
+
+// Assigns a material to the thirds of each segment: first from the tick scheme (see TICK SCHEMES), then from any overlay
+//  (the timer's remaining-time tint, the sun's daylight shading). Only the geometry groups change, so
+//  this is cheap enough to call whenever an overlay moves.
+// The front and back thirds get separate groups because they carry different halves of the hour edge:
+//  the front third of segment i holds edgePath[i], the back third holds edgePath[NRECT + i].
+function applySegmentMaterials(clock) {
+    const geometry = clock.mobiusStripMesh.geometry;
+    geometry.clearGroups();
+
+    const indicesPerSegment = 48;
+    const indicesOuterThird = 18;
+    const indicesMiddleThird = 12;
+
+    for (let i = 0; i < m_NumPoints; i++) {
+        const [front, back, middle] = getTickSchemeCells(i);
+        let matFront = clock.tickMaterials[front.material];
+        let matBack = clock.tickMaterials[back.material];
+        let matMiddle = clock.tickMaterials[middle.material];
+
+        // Tint the minute track for the time left on the timer, keeping the tick marks
+        if (!middle.mark && isSegmentInTimerTint(i)) matMiddle = 3;
+
+        // Shade the hour edge by daylight, again keeping the tick marks
+        if (clock.sunPhases) {
+            if (!front.mark) matFront = SUN_MATERIAL_BASE + clock.sunPhases[i];
+            if (!back.mark) matBack = SUN_MATERIAL_BASE + clock.sunPhases[NRECT + i];
+        }
+
+        geometry.addGroup(i * indicesPerSegment, indicesOuterThird, matFront);
+        geometry.addGroup(i * indicesPerSegment + indicesOuterThird, indicesOuterThird, matBack);
+        geometry.addGroup(i * indicesPerSegment + 2 * indicesOuterThird, indicesMiddleThird, matMiddle);
+    }
+}
+
+
+
+function setTickScheme(scheme) {
+    currentTickScheme = scheme;
+    clocks.forEach(createMobiusStripMesh); // Recreate the meshes with the new scheme
+}
+
+let edgePath = [];
+let edgeMidpoints = []; // per edgePath point: the middle of the strip's edge there, halfway through the thickness
+let edgeTangents = []; // per edgePath point: the unit direction to the next point
+
+// The hour edge: along the front inner corners once around, then the back outer corners, which is where the front
+//  inner edge continues after the half-twist(s). It closes after two turns for any odd number of half-twists.
+function getEdgePath() {
+    return m_FrontInnerCorner3DPtArray.concat(m_BackOuterCorner3DPtArray);
+}
+
+// Sets edgePath and the tables the hour indicator reads every frame, after the points are (re)generated.
+function updateEdgePath() {
+    edgePath = getEdgePath();
+    edgeMidpoints = edgePath.map((point, i) => {
+        const k = i % m_NumPoints;
+        // First turn: the front inner edge, whose other corner is front outer; second turn: back outer and back inner
+        const other = i < m_NumPoints ? m_FrontOuterCorner3DPtArray[k] : m_BackInnerCorner3DPtArray[k];
+        return new THREE.Vector3().addVectors(point, other).multiplyScalar(0.5);
+    });
+    edgeTangents = edgePath.map((point, i) => new THREE.Vector3().subVectors(edgePath[(i + 1) % edgePath.length], point).normalize());
+}
+
+let hourNumbersFont = null; // loaded once, shared by all clocks
+let hourNumbersFontUrl = null;
+
+function createHourNumbers() {
+    // Keep the current visibility when rebuilding (e.g. after a time style change)
+    const visible = clocks.some(clock => clock.hourNumbersGroup) ? areHoursVisible() : initialHoursVisible;
+
+    clocks.forEach(clock => {
+        if (clock.hourNumbersGroup) {
+            clock.mobiusGroup.remove(clock.hourNumbersGroup);
+            // Every label has its own geometry; the extruded ones share the material addHourNumbers() made, and
+            //  canvas-drawn ones each have their own material and texture
+            const materials = new Set();
+            clock.hourNumbersGroup.traverse(obj => {
+                if (!obj.isMesh) return;
+                obj.geometry.dispose();
+                materials.add(obj.material);
+            });
+            materials.forEach(material => {
+                if (material.map) material.map.dispose();
+                material.dispose();
+            });
+        }
+        clock.hourNumbersGroup = new THREE.Group();
+        clock.hourNumbersGroup.visible = visible;
+        clock.mobiusGroup.add(clock.hourNumbersGroup);
+    });
+
+    const url = hourFontUrl || DEFAULT_HOUR_FONT_URL;
+    if (hourFontFailedUrl && hourFontFailedUrl !== url) {
+        // Another font was asked for: stop retrying the one that failed
+        hourFontFailedUrl = null;
+        hourFontLoading = false;
+        hourFontRetryCount = 0;
+        clearTimeout(hourFontRetryTimer);
+        updateFontStatus();
+    }
+    if (hourNumbersFont && hourNumbersFontUrl === url) {
+        clocks.forEach(clock => addHourNumbers(clock, hourNumbersFont));
+        return;
+    }
+    if (hourFontFailedUrl === url) {
+        clocks.forEach(clock => addHourNumbers(clock, null)); // canvas-drawn until a retry works
+        return;
+    }
+    loadHourFont(url);
+}
+
+function loadHourFont(url) {
+    hourFontLoading = true;
+    updateFontStatus();
+    const loader = new THREE.FontLoader();
+    loader.load(url, function (font) {
+        if (url !== (hourFontUrl || DEFAULT_HOUR_FONT_URL)) return; // another font was asked for meanwhile
+        hourNumbersFont = font;
+        hourNumbersFontUrl = url;
+        hourFontFailedUrl = null;
+        hourFontLoading = false;
+        hourFontRetryCount = 0;
+        clearTimeout(hourFontRetryTimer);
+        updateFontStatus();
+        createHourNumbers();
+        if (!clockReady && clocks.length > 0) emitClockEvent('ready');
+    }, undefined, function () {
+        if (url !== (hourFontUrl || DEFAULT_HOUR_FONT_URL)) return;
+        console.log(`Could not load the hour label font ${url}`);
+        const wasFailed = hourFontFailedUrl === url;
+        hourFontFailedUrl = url;
+        hourFontLoading = false;
+        if (!wasFailed) createHourNumbers(); // the canvas-drawn labels are already up after a failed retry
+        updateFontStatus();
+        scheduleHourFontRetry();
+        if (!clockReady && clocks.length > 0) emitClockEvent('ready');
+    });
+}
+
+function addHourNumbers(clock, font) {
+    const textMaterial = new THREE.MeshStandardMaterial({ color: getTheme().labels });
+
+    for (let h = 1; h <= 24; h++) {
+        const label = getHourLabel(h);
+        if (!label) continue;
+        const suffixStr = label.suffix;
+
+        const hourGroup = new THREE.Group();
+
+        // 1. Number Mesh
+        const numMesh = createLabelMesh(label.number, font, 0.25, textMaterial);
+        if (!numMesh) continue;
+        const numGeo = numMesh.geometry;
+        hourGroup.add(numMesh);
+
+        var suffixWidth = 0;
+
+        var marginX = 0;
+
+        if (suffixStr) {
+            // 2. Suffix Meshes (Stacked)
+            const topChar = suffixStr[0]; // 'A' or 'P'
+            const botChar = suffixStr[1]; // 'M'
+            const suffixSize = 0.12;
+            marginX = 0.05; // Increased margin
+
+            // Top Suffix
+            const topMesh = createLabelMesh(topChar, font, suffixSize, textMaterial);
+            const botMesh = createLabelMesh(botChar, font, suffixSize, textMaterial);
+            if (!topMesh || !botMesh) continue;
+            const topGeo = topMesh.geometry;
+            // Use boundingBox.max.x to position relative to the actual right edge of the number
+            topMesh.position.set(numGeo.boundingBox.max.x + marginX, 0.13, 0);
+            hourGroup.add(topMesh);
+
+            // Bottom Suffix
+            const botGeo = botMesh.geometry;
+            botMesh.position.set(numGeo.boundingBox.max.x + marginX, 0.0, 0);
+            hourGroup.add(botMesh);
+
+            // 3. Center the content
+            // Approximate total width
+            const topWidth = topGeo.boundingBox.max.x - topGeo.boundingBox.min.x;
+            const botWidth = botGeo.boundingBox.max.x - botGeo.boundingBox.min.x;
+            suffixWidth = Math.max(topWidth, botWidth);
+        }
+
+
+        // Total width is from min.x of number to max.x of suffix
+        // We assume number starts around 0, but let's be precise
+        const totalWidth = (numGeo.boundingBox.max.x + marginX + suffixWidth) - numGeo.boundingBox.min.x;
+        const totalHeight = 0.25;
+
+        // Shift all children to center
+        // We want to shift by (min.x + totalWidth/2) ?
+        // Or just center the bounding box of the whole group.
+        // Let's shift by half the total width relative to the start.
+        const shiftX = numGeo.boundingBox.min.x + totalWidth / 2;
+
+        hourGroup.children.forEach(child => {
+            child.position.x -= shiftX;
+            child.position.y -= totalHeight / 2;
+        });
+
+        // 4. Position the Group on the Strip
+        // Midnight (24/0) is at index NRECT / 2 and hours run backwards; see hourToEdgePathIndex().
+        // Whole hours always land on a point since NRECT is a multiple of 60.
+        let idx = Math.round(hourToEdgePathIndex(h % 24));
+
+        const p = edgePath[idx];
+
+        // Calculate direction for offset (outward)
+        const centerIndex = idx % m_NumPoints;
+        const centerPt = m_RectCenter3DPtArray[centerIndex];
+
+        // Vector from center to edge point
+        const dir = new THREE.Vector3().subVectors(p, centerPt).normalize();
+
+        // Position slightly outside
+        const pos = new THREE.Vector3().copy(p).add(dir.multiplyScalar(0.53));
+        hourGroup.position.copy(pos);
+
+        // Orient text to face outward from the strip (Initial orientation)
+        hourGroup.lookAt(new THREE.Vector3().addVectors(pos, dir));
+
+        clock.hourNumbersGroup.add(hourGroup);
+    }
+}
+
+
+
+function setupUIEventListeners() {
+    // --- DESKTOP BUTTONS ---
+    const rotationButton = document.getElementById('rotation-button');
+    const fastModeButton = document.getElementById('fast-mode-button');
+    const hoursButton = document.getElementById('hours-button');
+
+    // Rotation
+    const toggleRotation = () => {
+        rotationEnabled = !rotationEnabled;
+        clocks.forEach(clock => { clock.mobiusGroup.rotation.y = 0; });
+        const text = t(rotationEnabled ? 'Stop Rotation' : 'Rotate');
+        if (rotationButton) rotationButton.textContent = text;
+        const mobileBtn = document.getElementById('mobile-rotate');
+        if (mobileBtn) mobileBtn.textContent = t(rotationEnabled ? 'Stop' : 'Rotate');
+
+        // Visual feedback
+        if (rotationButton) rotationButton.classList.toggle('active', rotationEnabled);
+        if (mobileBtn) mobileBtn.classList.toggle('active', rotationEnabled);
+        settingsChanged();
+    };
+    if (rotationButton) rotationButton.addEventListener('click', toggleRotation);
+
+    // Fast Mode: simulated time at 24 hours a minute, from the time shown now. While any simulated time runs
+    //  the button goes back to live time.
+    const toggleFastMode = () => {
+        if (simulation) resumeLiveTime();
+        else setSimulationSpeed(FAST_MODE_SPEED);
+    };
+    if (fastModeButton) fastModeButton.addEventListener('click', toggleFastMode);
+
+    // Hours
+    const toggleHours = () => {
+        if (clocks.length > 0 && clocks[0].hourNumbersGroup) {
+            setHoursVisible(!areHoursVisible());
+            const isActive = areHoursVisible();
+            const text = t(isActive ? 'Hide Hours' : 'Show Hours');
+            if (hoursButton) {
+                hoursButton.textContent = text;
+                hoursButton.classList.toggle('active', isActive);
+            }
+            const mobileBtn = document.getElementById('mobile-hours');
+            if (mobileBtn) {
+                mobileBtn.classList.toggle('active', isActive);
+                mobileBtn.setAttribute('aria-pressed', isActive);
+            }
+            settingsChanged();
+        }
+    };
+    if (hoursButton) hoursButton.addEventListener('click', toggleHours);
+
+
+    // Reset View
+    const resetViewButton = document.getElementById('reset-view-button');
+    if (resetViewButton) resetViewButton.addEventListener('click', resetView);
+    const mobileResetView = document.getElementById('mobile-reset-view');
+    if (mobileResetView) mobileResetView.addEventListener('click', resetView);
+
+
+    // --- MOBILE TOOLBAR BUTTONS ---
+    const mobileRotate = document.getElementById('mobile-rotate');
+    if (mobileRotate) mobileRotate.addEventListener('click', toggleRotation);
+
+    const mobileFast = document.getElementById('mobile-fast');
+    if (mobileFast) mobileFast.addEventListener('click', toggleFastMode);
+
+    const mobileHours = document.getElementById('mobile-hours');
+    if (mobileHours) mobileHours.addEventListener('click', toggleHours);
+
+    const toggleZen = () => {
+        toggleZenMode();
+        settingsChanged();
+    };
+    const zenButton = document.getElementById('zen-button');
+    if (zenButton) zenButton.addEventListener('click', toggleZen);
+
+    const mobileZen = document.getElementById('mobile-zen');
+    if (mobileZen) mobileZen.addEventListener('click', toggleZen);
+
+    const mobileExplainer = document.getElementById('mobile-explainer');
+    if (mobileExplainer) mobileExplainer.addEventListener('click', openExplainer);
+
+
+    // --- SETTINGS PANEL ---
+    // Focus moves into the panel when it opens and back to the gear button when it closes (also with Escape)
+    const settingsBtn = document.getElementById('settings-btn');
+    const settingsPanel = document.getElementById('settings-panel');
+    const closeSettings = document.getElementById('close-settings');
+    const setSettingsOpen = (open) => {
+        settingsPanel.classList.toggle('open', open);
+        if (settingsBtn) settingsBtn.setAttribute('aria-expanded', open);
+        if (open && closeSettings) closeSettings.focus();
+        else if (!open && settingsBtn && settingsPanel.contains(document.activeElement)) settingsBtn.focus();
+    };
+
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', () => setSettingsOpen(true));
+    }
+
+    if (closeSettings) {
+        closeSettings.addEventListener('click', () => setSettingsOpen(false));
+    }
+    settingsPanel.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') setSettingsOpen(false);
+    });
+
+    // Close settings if clicking outside (optional, but nice)
+
+
+    // Settings Inputs
+    const shapeHours = document.getElementById('shape-hours');
+    const shapeMinutes = document.getElementById('shape-minutes');
+    const shapeSeconds = document.getElementById('shape-seconds');
+
+    if (shapeHours) {
+        shapeHours.addEventListener('change', (e) => {
+            setIndicatorShape('hours', e.target.value);
+            settingsChanged();
+        });
+    }
+    if (shapeMinutes) {
+        shapeMinutes.addEventListener('change', (e) => {
+            setIndicatorShape('minutes', e.target.value);
+            settingsChanged();
+        });
     }
     if (shapeSeconds) {
         shapeSeconds.addEventListener('change', (e) => {
             setIndicatorShape('seconds', e.target.value);
+            settingsChanged();
+        });
+    }
+
+    const tickSchemeSelect = document.getElementById('tick-scheme-select');
+    if (tickSchemeSelect) {
+        tickSchemeSelect.addEventListener('change', (e) => {
+            setTickScheme(e.target.value);
+            settingsChanged();
+        });
+    }
+
+    const timeZoneSelect = document.getElementById('time-zone-select');
+    if (timeZoneSelect) {
+        getTimeZoneList().forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            option.textContent = zone.replace(/_/g, ' ');
+            timeZoneSelect.appendChild(option);
+        });
+        timeZoneSelect.addEventListener('change', (e) => {
+            setTimeZone(e.target.value);
+            settingsChanged();
+        });
+    }
+
+    const timeStyleSelect = document.getElementById('time-style-select');
+    if (timeStyleSelect) {
+        // Set initial value based on current timeStyle
+        timeStyleSelect.value = timeStyle;
+
+        timeStyleSelect.addEventListener('change', (e) => {
+            timeStyle = e.target.value;
+            readoutChanged();
+            createHourNumbers();
+            settingsChanged();
+        });
+    }
+
+
+    // --- MODAL LOGIC FOR EXPLAINER ---
+    const explainerButton = document.getElementById('explainer-button');
+    const modalExplainer = document.getElementById('modal-explainer');
+    const modalCloseButton = document.getElementById('modal-close-button');
+
+    // Open the modal (Desktop)
+    if (explainerButton) {
+        explainerButton.addEventListener('click', openExplainer);
+    }
+
+    // Close the modal
+    if (modalCloseButton) {
+        modalCloseButton.addEventListener('click', closeExplainer);
+    }
+
+    // Also close the modal if the user clicks anywhere outside the content
+    modalExplainer.addEventListener('click', (event) => {
+        if (event.target === modalExplainer) {
+            closeExplainer();
+        }
+    });
+
+    // --- END MODAL LOGIC ---
+}
+
+let explainerReturnFocus = null; // the element that had focus before the explainer opened
+
+// Keyboard while the explainer is open: Tab stays inside it, Escape closes it. On the document, so that a Tab
+//  pressed with focus outside the modal (say after a click on the backdrop) also lands inside.
+function handleExplainerKeydown(event) {
+    if (event.key === 'Escape') closeExplainer();
+    else trapFocus(event, document.getElementById('modal-explainer'));
+}
+
+function openExplainer() {
+    const modalExplainer = document.getElementById('modal-explainer');
+    explainerReturnFocus = document.activeElement;
+    modalExplainer.style.display = 'block';
+    document.addEventListener('keydown', handleExplainerKeydown);
+    const closeButton = document.getElementById('modal-close-button');
+    if (closeButton) closeButton.focus();
+}
+
+function closeExplainer() {
+    const modalExplainer = document.getElementById('modal-explainer');
+    if (modalExplainer.contains(document.activeElement)) document.activeElement.blur();
+    modalExplainer.style.display = 'none';
+    document.removeEventListener('keydown', handleExplainerKeydown);
+    if (explainerReturnFocus && explainerReturnFocus.focus) explainerReturnFocus.focus();
+    explainerReturnFocus = null;
+}
+
+// Wraps Tab and Shift+Tab around the focusable elements of a modal, so focus can't leave it
+function trapFocus(event, modal) {
+    if (event.key !== 'Tab') return;
+    const focusable = Array.from(modal.querySelectorAll(
+        'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])')).filter(el => !el.disabled);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!modal.contains(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+    } else if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+function toggleZenMode() {
+    zenMode = !zenMode;
+    const body = document.body;
+    const zenBtn = document.getElementById('zen-button');
+    const mobileZenBtn = document.getElementById('mobile-zen');
+
+    if (zenMode) {
+        // Enter Zen Mode
+        body.classList.add('zen-active');
+        if (zenBtn) zenBtn.textContent = t('Exit Zen');
+        if (mobileZenBtn) mobileZenBtn.textContent = t('Exit');
+
+        // Save state
+        preZenState = {
+            hoursVisible: areHoursVisible(),
+            tickScheme: currentTickScheme,
+            simulation: simulation ? { time: getNow().getTime(), speed: simulation.speed } : null,
+            backgroundImage: body.style.backgroundImage || '',  // Save original background
+            backgroundColor: body.style.backgroundColor || ''
+        };
+
+        // Apply Zen settings
+        setHoursVisible(false);
+        setTickScheme('minimal'); // Minimal ticks (hour only)
+        resumeLiveTime();
+        scene.background.setHex(getTheme().zenBackground);  // Darken background
+        // Apply radial gradient vignette
+        //console.log('Setting Zen background gradient...');
+        //body.style.backgroundImage = 'radial-gradient(circle at center, #666 0%, #1a1a1a 100%)';
+        //body.style.backgroundColor = '';  // Clear the solid color
+        //console.log('Background applied:', body.style.backgroundImage);
+        //console.log('Computed background:', window.getComputedStyle(body).backgroundImage);
+
+    } else {
+        // Exit Zen Mode
+        body.classList.remove('zen-active');
+        if (zenBtn) zenBtn.textContent = t('Zen Mode');
+        if (mobileZenBtn) mobileZenBtn.textContent = t('Zen');
+
+        // Restore state
+        setHoursVisible(preZenState.hoursVisible);
+        setTickScheme(preZenState.tickScheme);
+        if (preZenState.simulation) setSimulation(preZenState.simulation.time, preZenState.simulation.speed);
+        scene.background.setHex(getTheme().background); // the theme may have changed during Zen
+        body.style.backgroundColor = preZenState.backgroundColor;
+        console.log('Restored background');
+    }
+    updateUIButtons();
+}
+
+function updateUIButtons() {
+    // Helper to sync buttons with current state
+    const rotationButton = document.getElementById('rotation-button');
+    const fastModeButton = document.getElementById('fast-mode-button');
+    const hoursButton = document.getElementById('hours-button');
+    const mobileRotate = document.getElementById('mobile-rotate');
+    const mobileFast = document.getElementById('mobile-fast');
+    const mobileHours = document.getElementById('mobile-hours');
+
+    // Rotation (not affected by Zen, but good to sync)
+    if (rotationButton) {
+        rotationButton.textContent = t(rotationEnabled ? 'Stop Rotation' : 'Rotate');
+        rotationButton.classList.toggle('active', rotationEnabled);
+    }
+    if (mobileRotate) {
+        mobileRotate.textContent = t(rotationEnabled ? 'Stop' : 'Rotate');
+        mobileRotate.classList.toggle('active', rotationEnabled);
+    }
+
+    // Fast Mode, which turns into "Now" while any simulated time runs
+    if (fastModeButton) {
+        fastModeButton.textContent = t(simulation ? 'Now' : 'Fast Mode');
+        fastModeButton.classList.toggle('active', simulation !== null);
+    }
+    if (mobileFast) {
+        mobileFast.textContent = t(simulation ? 'Now' : 'Fast');
+        mobileFast.classList.toggle('active', simulation !== null);
+    }
+
+    // Hours
+    if (hoursButton) {
+        const isActive = areHoursVisible();
+        hoursButton.textContent = t(isActive ? 'Hide Hours' : 'Show Hours');
+        hoursButton.classList.toggle('active', isActive);
+    }
+    if (mobileHours) {
+        const isActive = areHoursVisible();
+        mobileHours.classList.toggle('active', isActive);
+        mobileHours.setAttribute('aria-pressed', isActive);
+    }
+
+    // Tick scheme select
+    const tickSchemeSelect = document.getElementById('tick-scheme-select');
+    if (tickSchemeSelect) {
+        tickSchemeSelect.value = currentTickScheme;
+    }
+    syncTickSchemeEditor();
+}
+
+function syncUIWithState() {
+    updateUIButtons();
+
+    // Sync Shape Selects
+    const shapeHours = document.getElementById('shape-hours');
+    if (shapeHours) shapeHours.value = indicatorShapes.hours;
+
+    const shapeMinutes = document.getElementById('shape-minutes');
+    if (shapeMinutes) shapeMinutes.value = indicatorShapes.minutes;
+
+    const shapeSeconds = document.getElementById('shape-seconds');
+    if (shapeSeconds) shapeSeconds.value = indicatorShapes.seconds;
+
+    // Sync Time Zone. A zone from the URL may be missing from the list (e.g. an alias), so add it.
+    const timeZoneSelect = document.getElementById('time-zone-select');
+    const timeZone = clocks.length > 0 ? clocks[0].timeZone : '';
+    if (timeZoneSelect) {
+        if (timeZone && !Array.from(timeZoneSelect.options).some(o => o.value === timeZone)) {
+            const option = document.createElement('option');
+            option.value = timeZone;
+            option.textContent = timeZone.replace(/_/g, ' ');
+            timeZoneSelect.appendChild(option);
+        }
+        timeZoneSelect.value = timeZone;
+    }
+
+    // Sync Time Style
+    const timeStyleSelect = document.getElementById('time-style-select');
+    if (timeStyleSelect) timeStyleSelect.value = timeStyle;
+    syncReadoutUI();
+    syncHourLabelsUI();
+    syncAccessibilityUI();
+    syncChimesUI();
+    syncPerformanceUI();
+    syncQualityUI();
+    syncIndicatorMotionUI();
+    const languageSelect = document.getElementById('language-select');
+    if (languageSelect) languageSelect.value = uiLanguageSetting;
+
+    syncGeometryUI();
+
+    // Sync Zen Buttons (since updateUIButtons doesn't handle them fully)
+    const zenBtn = document.getElementById('zen-button');
+    const mobileZenBtn = document.getElementById('mobile-zen');
+    if (zenBtn) {
+        zenBtn.textContent = t(zenMode ? 'Exit Zen' : 'Zen Mode');
+        zenBtn.classList.toggle('active', zenMode);
+    }
+    if (mobileZenBtn) {
+        mobileZenBtn.textContent = t(zenMode ? 'Exit' : 'Zen');
+        mobileZenBtn.classList.toggle('active', zenMode);
+    }
+}
+
+// Reused by updateClockInstance() and updateClockCaption() every frame, so that animating allocates nothing
+const scratchCenter = new THREE.Vector3();
+const scratchMidpoint = new THREE.Vector3();
+const scratchOutward = new THREE.Vector3();
+const scratchTangent = new THREE.Vector3();
+const scratchQuaternion = new THREE.Quaternion();
+const AXIS_Y = new THREE.Vector3(0, 1, 0);
+const AXIS_Z = new THREE.Vector3(0, 0, 1);
+
+// Setting the same text again still costs a style and layout pass, so per-frame updates only write changes
+function setTextIfChanged(element, text) {
+    if (element && element.textContent !== text) element.textContent = text;
+}
+
+// Set while an outer-ring hour indicator spins for the hour on any clock, so getTargetFps() draws the spin smoothly
+let hourSpinActive = false;
+
+function updateClock() {
+    if (clocks.length === 0) return;
+    const now = getFrameNow();
+
+    const timeText = document.getElementById('digital-time-text');
+    const zoneLabel = document.getElementById('time-zone-label');
+    if (clockMode !== 'clock') {
+        updateModeTime();
+        setTextIfChanged(timeText, formatDuration(getModeDisplayMs(), clockMode === 'stopwatch'));
+        setTextIfChanged(zoneLabel, '');
+    } else {
+        // The digital readout follows the primary clock.
+        const timeZone = clocks[0].timeZone;
+        setTextIfChanged(timeText, getFrameReadout(now, timeZone));
+        // Only label the zone when one was chosen; the local zone is implied.
+        setTextIfChanged(zoneLabel, timeZone ? getFrameZoneAbbreviation(now, timeZone) : '');
+    }
+    updateSimulationLabel(now);
+    if (Math.abs(now.getTime() - sunCheckedAt) >= SUN_CHECK_MS) refreshSun(false);
+    emitTimeEvents(now);
+    updateTimeAnnouncements(now);
+
+    hourSpinActive = false;
+    clocks.forEach(clock => updateClockInstance(clock, now));
+}
+
+function updateClockInstance(clock, now) {
+    const { hourSphere, minuteSphere, secondSphere, hourNumbersGroup } = clock;
+    const zoned = getFrameZonedTime(now, clock.timeZone);
+    let iHour24 = zoned.hours;
+    let iMin60 = zoned.minutes;
+    let iSec60 = zoned.seconds;
+    let millisec = zoned.milliseconds;
+
+    if (clock.captionEl) updateClockCaption(clock, now);
+
+    let sec60 = iSec60 + millisec / 1000;
+    let min60 = indicatorMotion.minutes === 'step' ? iMin60 : iMin60 + sec60 / 60;
+    let hour24 = iHour24 + min60 / 60;
+
+    // Simulated time only applies to the time of day, not to the timer or stopwatch
+    const speed = simulation && clockMode === 'clock' ? Math.abs(simulation.speed) : 1;
+    // The outer ring spins within this many minutes of each hour: ±1 at normal speeds, widening at high speeds so
+    //  the spin always lasts at least half a real second (±6 minutes in Fast Mode)
+    const hourWindow = Math.max(1, speed / 240);
+
+    if (speed >= HIGH_SPEED) {
+        // The seconds indicator would only strobe, so it shows real seconds
+        sec60 = (Date.now() % 60000) / 1000;
+        if (indicatorShapes.hours === 'outer-ring') {
+            // Pause briefly at each hour; min60 is left alone so the minute indicator keeps moving smoothly
+            const fractionalHour = hour24 % 1;
+            const minutesWithinHour = fractionalHour < 0.5 ? fractionalHour * 60 : (1 - fractionalHour) * 60;
+            if (minutesWithinHour <= hourWindow) hour24 = Math.round(hour24);
+        }
+    }
+
+    // The second indicator's motion style (see INDICATOR MOTION) is for the time of day
+    if (clockMode === 'clock') sec60 = getSecondIndicatorSeconds(sec60);
+
+    // Timer and stopwatch: the indicators show the remaining or elapsed time instead of the time of day
+    if (clockMode !== 'clock') {
+        const ms = getModeDisplayMs();
+        sec60 = (ms / 1000) % 60;
+        min60 = (ms / 60000) % 60;
+        hour24 = (ms / 3600000) % 24;
+        iSec60 = Math.floor(sec60);
+        millisec = ms % 1000;
+    }
+
+    if (secondSphere) {
+        const secAngle = Math.PI / 2 - (sec60 / 60) * 2 * Math.PI;
+        secondSphere.position.x = m_Radius * Math.cos(secAngle);
+        secondSphere.position.y = m_Radius * Math.sin(secAngle);
+        secondSphere.position.z = 0;
+
+        if (indicatorShapes.seconds === 'disc') {
+            // Tangent for circle is (-sin, cos, 0)
+            const tangent = scratchTangent.set(-Math.sin(secAngle), Math.cos(secAngle), 0);
+            secondSphere.quaternion.setFromUnitVectors(AXIS_Y, tangent);
+        } else {
+            secondSphere.rotation.set(0, 0, 0);
+        }
+    }
+
+    if (minuteSphere) {
+        const minAngle = Math.PI / 2 - (min60 / 60) * 2 * Math.PI;
+        minuteSphere.position.x = m_Radius * Math.cos(minAngle);
+        minuteSphere.position.y = m_Radius * Math.sin(minAngle);
+        minuteSphere.position.z = 0;
+
+        const tangent = scratchTangent.set(-Math.sin(minAngle), Math.cos(minAngle), 0);
+        if (indicatorShapes.minutes === 'disc') {
+            minuteSphere.quaternion.setFromUnitVectors(AXIS_Y, tangent);
+        } else if (indicatorShapes.minutes === 'ring') {
+            minuteSphere.quaternion.setFromUnitVectors(AXIS_Z, tangent);
+        } else {
+            minuteSphere.rotation.set(0, 0, 0);
+        }
+    }
+
+    const pathIndexFloat = hourToEdgePathIndex(hour24);
+
+    const index1 = Math.floor(pathIndexFloat);
+    const index2 = (index1 + 1) % (2 * NRECT);
+    const fraction = pathIndexFloat - index1;
+
+    const p1 = edgePath[index1];
+    const p2 = edgePath[index2];
+
+    if (hourSphere && p1 && p2) {
+        hourSphere.position.lerpVectors(p1, p2, fraction);
+        const tangent = edgeTangents[index1];
+
+        if (indicatorShapes.hours === 'outer-ring' || indicatorShapes.hours === 'ring') {
+            // The rings sit around the middle of the edge (center of thickness), pushed outward from the centerline
+            const centerPt = scratchCenter.lerpVectors(
+                m_RectCenter3DPtArray[index1 % m_NumPoints], m_RectCenter3DPtArray[index2 % m_NumPoints], fraction);
+            const edgeMidpoint = scratchMidpoint.lerpVectors(edgeMidpoints[index1], edgeMidpoints[index2], fraction);
+            const dirOutward = scratchOutward.subVectors(edgeMidpoint, centerPt).normalize();
+            hourSphere.position.copy(edgeMidpoint);
+
+            // Torus axis along the edge
+            hourSphere.quaternion.setFromUnitVectors(AXIS_Z, tangent);
+
+            if (indicatorShapes.hours === 'ring') {
+                // Move outward from edge so inner edge of torus touches strip edge
+                const tubeRadius = 0.15;
+                hourSphere.position.addScaledVector(dirOutward, m_HourSphereRadius - tubeRadius);
+            } else {
+                const outerRadius = 0.4 + 0.13; // torus radius (0.4) + tube radius (0.13)
+                hourSphere.position.addScaledVector(dirOutward, outerRadius);
+
+                // Add rotation animation during ±1 minute from each hour
+                const fractionalHour = hour24 % 1; // 0 to 1 within each hour
+                const minutesWithinHour = fractionalHour < 0.5 ? fractionalHour * 60 : (1 - fractionalHour) * 60; // 0-30 within hour
+
+                // Check if within rotation window, for the time of day only (a ringing alarm can also ask for the spin;
+                //  reduced motion can't stop that)
+                if ((clockMode === 'clock' && minutesWithinHour <= hourWindow && !reducedMotion) || alarmSpinActive) {
+                    hourSpinActive = true;
+                    // Real time, so the spin looks the same at any speed, paused or backwards: one rotation every
+                    //  2 seconds, or every second at high speeds
+                    const realSeconds = (Date.now() % 60000) / 1000;
+                    const rotationAngle = (speed >= HIGH_SPEED ? realSeconds : realSeconds / 2) * Math.PI * 2;
+
+                    // Apply rotation around dirOutward in world space
+                    // Use premultiply to apply rotation BEFORE torus orientation
+                    // This ensures dirOutward is interpreted in world coordinates, not local torus space
+                    hourSphere.quaternion.premultiply(scratchQuaternion.setFromAxisAngle(dirOutward, rotationAngle));
+                }
+            }
+        } else if (indicatorShapes.hours === 'disc') {
+            hourSphere.quaternion.setFromUnitVectors(AXIS_Y, tangent);
+        }
+    }
+
+    // Billboard Hour Numbers
+    if (hourNumbersGroup && hourNumbersGroup.visible) {
+        hourNumbersGroup.children.forEach(child => {
+            child.lookAt(camera.position);
+        });
+    }
+}
+
+// Maps a time of day (0-24, may be fractional) to a fractional index into edgePath.
+// Midnight is at index NRECT / 2 (top of the arch), and time runs backwards along the path.
+function hourToEdgePathIndex(hour24) {
+    const hourProgress = hour24 / 24;
+    return ((NRECT / 2 - (hourProgress * (2 * NRECT))) % (2 * NRECT) + (2 * NRECT)) % (2 * NRECT);
+}
+
+// The inverse of hourToEdgePathIndex(): time of day (0-24) at a (fractional) edgePath index.
+function edgePathIndexToHour(pathIndex) {
+    return (((NRECT / 2 - pathIndex) / (2 * NRECT)) * 24 % 24 + 24) % 24;
+}
+
+// Returns the point at the given time of day on the hour edge, pushed outward (away from the
+//  strip's centerline) by the given distance, plus the outward direction. Used to place things
+//  alongside the hour indicator, such as alarm markers.
+function getEdgePoint(hour24, outwardOffset) {
+    const pathIndexFloat = hourToEdgePathIndex(hour24);
+    const index1 = Math.floor(pathIndexFloat);
+    const index2 = (index1 + 1) % (2 * NRECT);
+    const fraction = pathIndexFloat - index1;
+
+    const edgePt = new THREE.Vector3().lerpVectors(edgePath[index1], edgePath[index2], fraction);
+    const centerPt = new THREE.Vector3().lerpVectors(
+        m_RectCenter3DPtArray[index1 % m_NumPoints],
+        m_RectCenter3DPtArray[index2 % m_NumPoints],
+        fraction
+    );
+    const dirOutward = new THREE.Vector3().subVectors(edgePt, centerPt).normalize();
+    return {
+        position: edgePt.addScaledVector(dirOutward, outwardOffset),
+        dirOutward: dirOutward
+    };
+}
+
+// Keeps the HTML caption under its strip, wherever the layout (and rotation) put it.
+function updateClockCaption(clock, now) {
+    const anchor = scratchCenter.set(0, -(m_Radius + m_Len), 0);
+    anchor.x += clock.mobiusGroup.position.x;
+    anchor.y += clock.mobiusGroup.position.y;
+    anchor.z += clock.mobiusGroup.position.z;
+    anchor.project(camera);
+
+    const x = Math.round((anchor.x + 1) / 2 * window.innerWidth * 10) / 10;
+    const y = Math.round((1 - anchor.y) / 2 * window.innerHeight * 10) / 10;
+    if (x !== clock.captionX || y !== clock.captionY) {
+        clock.captionX = x;
+        clock.captionY = y;
+        clock.captionEl.style.transform = `translate(${x}px, ${y}px) translate(-50%, 0)`;
+    }
+
+    const cache = getSecondCache(now, clock.timeZone);
+    if (cache.caption === null) {
+        cache.caption = getFrameReadout(now, clock.timeZone);
+        if (clock.timeZone) cache.caption += ' ' + getFrameZoneAbbreviation(now, clock.timeZone);
+    }
+    setTextIfChanged(clock.captionTimeEl, cache.caption);
+}
+
+
+
+function setIndicatorShape(type, shape) {
+    indicatorShapes[type] = shape;
+    clocks.forEach(clock => createIndicator(clock, type));
+
+    // Trigger update to set positions immediately
+    updateClock();
+}
+
+function createIndicator(clock, type) {
+    const shape = indicatorShapes[type];
+    const mobiusGroup = clock.mobiusGroup;
+
+    // Define geometries based on shape, as finely as the quality tier asks
+    const { sphereSegments, tubeSegments, circleSegments } = getQuality();
+    let geometry;
+    if (shape === 'disc') {
+        const h = 0.1; // Thickness of the disc
+        if (type === 'hours') geometry = new THREE.CylinderGeometry(m_HourSphereRadius, m_HourSphereRadius, h, circleSegments);
+        else if (type === 'minutes') geometry = new THREE.CylinderGeometry(m_MinutesRadius, m_MinutesRadius, h, circleSegments);
+        else if (type === 'seconds') geometry = new THREE.CylinderGeometry(m_SecondsRadius, m_SecondsRadius, h, circleSegments);
+    } else if (shape === 'ring' || shape === 'outer-ring') {
+        // Ring (torus) - for minutes and hours
+        if (type === 'hours') {
+            if (shape === 'outer-ring') {
+                // Outer ring: torus radius matches hour number offset (0.4), smaller tube
+                geometry = new THREE.TorusGeometry(0.4, 0.13, tubeSegments, circleSegments);
+            } else {
+                // Regular ring
+                geometry = new THREE.TorusGeometry(m_HourSphereRadius, 0.15, tubeSegments, circleSegments);
+            }
+        } else if (type === 'minutes') {
+            geometry = new THREE.TorusGeometry(m_MinutesRadius, 0.12, tubeSegments, circleSegments);
+        }
+    } else {
+        if (type === 'hours') geometry = new THREE.SphereGeometry(m_HourSphereRadius, sphereSegments, sphereSegments);
+        else if (type === 'minutes') geometry = new THREE.SphereGeometry(m_MinutesRadius, sphereSegments, sphereSegments);
+        else if (type === 'seconds') geometry = new THREE.SphereGeometry(m_SecondsRadius, sphereSegments, sphereSegments);
+    }
+
+    // Update the specific mesh
+    if (type === 'hours') {
+        if (clock.hourSphere) {
+            mobiusGroup.remove(clock.hourSphere);
+            clock.hourSphere.geometry.dispose(); // Clean up old geometry
+        }
+        const hourMat = new THREE.MeshStandardMaterial({ color: getTheme().hourIndicator });
+        clock.hourSphere = new THREE.Mesh(geometry, hourMat);
+        mobiusGroup.add(clock.hourSphere);
+    } else if (type === 'minutes') {
+        if (clock.minuteSphere) {
+            mobiusGroup.remove(clock.minuteSphere);
+            clock.minuteSphere.geometry.dispose();
+        }
+        const minuteMat = new THREE.MeshStandardMaterial({ color: getTheme().minuteIndicator });
+        clock.minuteSphere = new THREE.Mesh(geometry, minuteMat);
+        mobiusGroup.add(clock.minuteSphere);
+    } else if (type === 'seconds') {
+        if (clock.secondSphere) {
+            mobiusGroup.remove(clock.secondSphere);
+            clock.secondSphere.geometry.dispose();
+        }
+        const secondMat = new THREE.MeshStandardMaterial({ color: getTheme().secondIndicator });
+        clock.secondSphere = new THREE.Mesh(geometry, secondMat);
+        mobiusGroup.add(clock.secondSphere);
+    }
+}
+
+function createClockHands(clock) {
+    // Initialize with current indicatorShapes (defaults or from URL)
+    createIndicator(clock, 'hours');
+    createIndicator(clock, 'minutes');
+    createIndicator(clock, 'seconds');
+}
+
+// Size of the space each clock occupies in the world-clock layout, in scene units.
+// A strip with its hour labels is about 10 units across; the extra height leaves room for the caption.
+const CLOCK_CELL_WIDTH = 10.5;
+const CLOCK_CELL_HEIGHT = 11.5;
+
+// Arranges the clocks in a row or grid centered on the origin, and returns the camera distance needed
+//  to fit them all. For 'auto', picks the column count that lets the camera get closest.
+function layoutClocks(aspect) {
+    const n = clocks.length;
+    const cellWidth = CLOCK_CELL_WIDTH * getGeometryScale();
+    const cellHeight = CLOCK_CELL_HEIGHT * getGeometryScale();
+    const halfFov = THREE.MathUtils.degToRad(camera.fov / 2);
+    const distanceFor = (cols) => {
+        const rows = Math.ceil(n / cols);
+        const neededHeight = Math.max(rows * cellHeight, cols * cellWidth / aspect);
+        return neededHeight / (2 * Math.tan(halfFov));
+    };
+
+    let cols;
+    if (clockLayout === 'row') {
+        cols = n;
+    } else if (clockLayout === 'grid') {
+        cols = Math.ceil(Math.sqrt(n));
+    } else {
+        cols = 1;
+        for (let c = 2; c <= n; c++) {
+            if (distanceFor(c) < distanceFor(cols)) cols = c;
+        }
+    }
+    const rows = Math.ceil(n / cols);
+
+    clocks.forEach((clock, i) => {
+        const row = Math.floor(i / cols);
+        // Center a short last row
+        const colsInRow = (row === rows - 1) ? n - row * cols : cols;
+        const col = i % cols;
+        clock.mobiusGroup.position.set(
+            (col - (colsInRow - 1) / 2) * cellWidth,
+            ((rows - 1) / 2 - row) * cellHeight,
+            0
+        );
+    });
+    return distanceFor(cols);
+}
+
+function handleWindowResize() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    renderer.setSize(width, height);
+
+    if (clocks.length > 1) {
+        defaultCameraDistance = layoutClocks(camera.aspect);
+    } else if (width < 600) {
+        // Adjust camera distance for mobile to fit the model
+        defaultCameraDistance = 13.0 * getGeometryScale(); // Zoom out for mobile to fit width
+    } else {
+        defaultCameraDistance = 7.2 * getGeometryScale(); // Default for desktop (adjusted larger)
+    }
+
+    // Keep a view the user has orbited to; otherwise follow the default for the new size
+    if (!viewChanged) resetView();
+    wakeRenderLoop(false);
+}
+
+// --- SIMULATED TIME ---
+// The clock can show a simulated time instead of the live one: it starts from any moment and runs at any
+//  multiple of real time, including backwards (negative speeds) and paused (0). Fast Mode is the 1440x preset,
+//  24 hours in 60 seconds. Only the time of day is simulated; alarms keep to live time, and the timer and
+//  stopwatch to real time.
+const FAST_MODE_SPEED = 1440;
+const HIGH_SPEED = 60; // from here on the seconds indicator keeps real time and the outer ring pauses at each hour
+const SIMULATION_SPEEDS = [-1440, -60, -1, 0, 1, 10, 60, 600, 1440, 3600];
+
+let simulation = null; // { realStart, timeStart, speed }, or null for live time
+let simulationResumeSpeed = 1; // speed to go back to when un-pausing
+let lastTimelineMinute = null;
+let timelineDragging = false;
+
+function getSimulatedTime() {
+    return simulation.timeStart + (performance.now() - simulation.realStart) * simulation.speed;
+}
+
+// time: epoch ms to show now; it then runs at speed x real time.
+function setSimulation(time, speed) {
+    simulation = { realStart: performance.now(), timeStart: time, speed: speed };
+    if (speed !== 0) simulationResumeSpeed = speed;
+    simulationChanged();
+}
+
+function setSimulationSpeed(speed) {
+    setSimulation(getNow().getTime(), speed);
+}
+
+function resumeLiveTime() {
+    if (!simulation) return;
+    simulation = null;
+    simulationResumeSpeed = 1;
+    simulationChanged();
+}
+
+function toggleSimulationPause() {
+    if (simulation && simulation.speed === 0) setSimulationSpeed(simulationResumeSpeed);
+    else setSimulationSpeed(0);
+}
+
+function reverseSimulation() {
+    if (simulation && simulation.speed === 0) simulationResumeSpeed = -simulationResumeSpeed;
+    else setSimulationSpeed(-(simulation ? simulation.speed : 1));
+}
+
+// Minutes since midnight on the primary clock, with fractions
+function getTimeOfDayMinutes(now) {
+    const zoned = getFrameZonedTime(now, clocks[0].timeZone);
+    return zoned.hours * 60 + zoned.minutes + zoned.seconds / 60 + zoned.milliseconds / 60000;
+}
+
+// Jumps to a time of day on the primary clock's current day, keeping the speed (or 1x when coming from live time).
+function jumpToTimeOfDay(minutes) {
+    const now = getNow();
+    const time = now.getTime() + (minutes - getTimeOfDayMinutes(now)) * 60000;
+    setSimulation(time, simulation ? simulation.speed : 1);
+}
+
+// Midnight at the start of the primary clock's current day
+function getStartOfDay(now) {
+    const today = getZonedTime(now, clocks[0].timeZone);
+    return zonedWallTimeToMs(today.year, today.month, today.day, 0, 0, 0, clocks[0].timeZone);
+}
+
+// A jump in time is not an hour change, and the day-dependent overlays may need redrawing
+function simulationChanged() {
+    wakeRenderLoop(false);
+    lastTickHour = null;
+    lastTimelineMinute = null;
+    refreshAlarmMarkers();
+    refreshCalendar(false);
+    refreshSun(false);
+    updateUIButtons();
+    updateSimulationUI();
+}
+
+function formatSimulationSpeed(speed) {
+    if (speed === 0) return 'Paused';
+    return (speed < 0 ? '−' : '') + Math.abs(speed) + '×';
+}
+
+// Called from updateClock(): the readout's speed label and the timeline slider follow the simulated time.
+function updateSimulationLabel(now) {
+    const label = document.getElementById('simulation-label');
+    setTextIfChanged(label, simulation && clockMode === 'clock' ? formatSimulationSpeed(simulation.speed) : '');
+
+    const timeline = document.getElementById('simulation-timeline');
+    const minute = Math.floor(getTimeOfDayMinutes(now));
+    if (timeline && minute !== lastTimelineMinute && !timelineDragging) {
+        lastTimelineMinute = minute;
+        timeline.value = minute;
+        document.getElementById('simulation-timeline-value').textContent =
+            `${Math.floor(minute / 60).toString().padStart(2, '0')}:${(minute % 60).toString().padStart(2, '0')}`;
+    }
+}
+
+function updateSimulationUI() {
+    const speedInput = document.getElementById('simulation-speed');
+    const pauseButton = document.getElementById('simulation-pause');
+    const nowButton = document.getElementById('simulation-now');
+    if (speedInput && document.activeElement !== speedInput) speedInput.value = simulation ? simulation.speed : 1;
+    if (pauseButton) {
+        const paused = simulation !== null && simulation.speed === 0;
+        pauseButton.textContent = t(paused ? 'Play' : 'Pause');
+        pauseButton.classList.toggle('active', paused);
+    }
+    if (nowButton) nowButton.disabled = !simulation;
+}
+
+function setupSimulationUI() {
+    const speedList = document.getElementById('simulation-speeds');
+    if (speedList) {
+        SIMULATION_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            speedList.appendChild(option);
         });
     }
 
-    const tickSchemeSelect = document.getElementById('tick-scheme-select');
-    if (tickSchemeSelect) {
-        tickSchemeSelect.addEventListener('change', (e) => {
-            setTickScheme(e.target.value);
+    const speedInput = document.getElementById('simulation-speed');
+    if (speedInput) {
+        speedInput.addEventListener('change', () => {
+            const speed = parseFloat(speedInput.value);
+            if (isFinite(speed)) setSimulationSpeed(speed);
+            else updateSimulationUI();
         });
     }
 
-    const timeStyleSelect = document.getElementById('time-style-select');
-    if (timeStyleSelect) {
-        // Set initial value based on current timeStyle
-        timeStyleSelect.value = timeStyle;
+    const timeline = document.getElementById('simulation-timeline');
+    if (timeline) {
+        timeline.addEventListener('input', () => jumpToTimeOfDay(parseInt(timeline.value, 10)));
+        // Don't move the slider under the pointer while it is being dragged
+        timeline.addEventListener('pointerdown', () => { timelineDragging = true; });
+        addGlobalListener(window, 'pointerup', () => { timelineDragging = false; });
+        addGlobalListener(window, 'pointercancel', () => { timelineDragging = false; });
+    }
 
-        timeStyleSelect.addEventListener('change', (e) => {
-            timeStyle = e.target.value;
-            createHourNumbers();
+    const pauseButton = document.getElementById('simulation-pause');
+    if (pauseButton) pauseButton.addEventListener('click', toggleSimulationPause);
+    const reverseButton = document.getElementById('simulation-reverse');
+    if (reverseButton) reverseButton.addEventListener('click', reverseSimulation);
+    const nowButton = document.getElementById('simulation-now');
+    if (nowButton) nowButton.addEventListener('click', resumeLiveTime);
+
+    updateSimulationUI();
+}
+
+// --- PUBLIC API ---
+// window.MobiusClock lets a host page (e.g. a dashboard embedding the clock) drive and observe it. See the
+//  README for the full reference. Events are DOM CustomEvents with the payload in event.detail:
+//   ready           the hour-label font has loaded and the clock is fully drawn
+//   tick            once per second of clock time: { date, hours, minutes, seconds, timeZone }
+//   hour            when the hour changes, same detail as tick
+//   settingschange  after any settings change from the UI, the API or the URL: the getSettings() object
+// Invalid arguments throw, unlike URL parameters, which are ignored when invalid.
+const INDICATOR_SHAPES = {
+    hours: ['outer-ring', 'ring', 'disc', 'sphere'],
+    minutes: ['ring', 'disc', 'sphere'],
+    seconds: ['sphere', 'disc']
+};
+
+const clockEvents = new EventTarget();
+let timeSource = null; // function returning a Date or epoch milliseconds; null means the system clock
+let clockReady = false;
+let lastTickSecond = null;
+let lastTickHour = null;
+
+// The time the clock shows: the simulated time when there is one (see SIMULATED TIME), otherwise live time.
+//  Everything that depends on "now" (indicators, calendar, sun) reads it here.
+function getNow() {
+    return simulation ? new Date(getSimulatedTime()) : getLiveNow();
+}
+
+// getNow() for the per-frame work, in a Date that is reused: read it straight away rather than keeping it.
+const frameNow = new Date();
+
+function getFrameNow() {
+    frameNow.setTime(simulation ? getSimulatedTime() : (timeSource ? getLiveNow().getTime() : Date.now()));
+    return frameNow;
+}
+
+// Live time: the time source's or the system clock's. Alarms go by this even while time is simulated.
+function getLiveNow() {
+    if (!timeSource) return new Date();
+    const value = timeSource();
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? new Date() : date;
+}
+
+function emitClockEvent(type, detail) {
+    if (type === 'ready') clockReady = true;
+    clockEvents.dispatchEvent(new CustomEvent(type, { detail: detail }));
+}
+
+// Called from updateClock() every frame; fires tick/hour when the primary clock's second/hour changes.
+function emitTimeEvents(now) {
+    const second = Math.floor(now.getTime() / 1000);
+    if (second === lastTickSecond) return;
+    lastTickSecond = second;
+
+    const timeZone = clocks[0].timeZone;
+    const zoned = getFrameZonedTime(now, timeZone);
+    const detail = {
+        date: new Date(now.getTime()), // now is reused from frame to frame (see getFrameNow())
+        hours: zoned.hours, minutes: zoned.minutes, seconds: zoned.seconds, timeZone: timeZone
+    };
+    emitClockEvent('tick', detail);
+    if (lastTickHour !== null && zoned.hours !== lastTickHour) emitClockEvent('hour', detail);
+    lastTickHour = zoned.hours;
+}
+
+function getClockSettings() {
+    const settings = Object.fromEntries(getSettingsParams());
+    settings.rotation = settings.rotation === 'true';
+    settings.showHours = settings.showHours === 'true';
+    settings.zen = settings.zen === 'true';
+    settings.tz = settings.tz || '';
+    if (settings.customTicks) settings.customTicks = JSON.parse(settings.customTicks);
+    Object.keys(STRIP_GEOMETRY_LIMITS).forEach(key => { settings[key] = Number(settings[key]); });
+    ['readoutSeconds', 'readoutDate', 'readoutWeekday'].forEach(key => { settings[key] = settings[key] === 'true'; });
+    settings.readoutFormat = settings.readoutFormat || '';
+    settings.locale = settings.locale || '';
+    settings.hourFont = settings.hourFont || '';
+    settings.lang = settings.lang || '';
+    settings.announce = Number(settings.announce);
+    settings.chimeVolume = Number(settings.chimeVolume);
+    settings.quietHours = settings.quietHours || '';
+    settings.fps = Number(settings.fps);
+    settings.zenFps = Number(settings.zenFps);
+    settings.stats = settings.stats === 'true';
+    settings.qualityTier = getQualityTier(); // the tier in use, which quality=auto picks
+    settings.renderer = rendererMode;
+    return settings;
+}
+
+// Settings changed through the API are announced but not saved; saving is for the user's own choices.
+function apiSettingsChanged() {
+    wakeRenderLoop(false);
+    syncUIWithState();
+    syncThemeEditor();
+    emitClockEvent('settingschange', getClockSettings());
+}
+
+// Listeners on window and document outlive the clock's own elements, so they are added through here for
+//  destroyClock() to remove.
+const globalListeners = [];
+
+function addGlobalListener(target, type, listener, options) {
+    target.addEventListener(type, listener, options);
+    globalListeners.push({ target, type, listener, options });
+}
+
+// Stops the clock and releases everything it holds: animation loop, timers, listeners, audio and GPU resources.
+function destroyClock() {
+    cancelAnimationFrame(animationFrameId);
+    clearTimeout(frameTimer);
+    [hourFontRetryTimer, saveViewTimer].forEach(timer => clearTimeout(timer));
+    [alarmCheckTimer, calendarRefreshTimer, chimeTimer].forEach(timer => clearInterval(timer));
+    stopAlarmSound();
+    if (isRecording()) stopRecording();
+    if (audioContext) audioContext.close();
+    audioContext = null;
+    chimeOutput = null;
+    chimeBatches = [];
+    globalListeners.forEach(({ target, type, listener, options }) => target.removeEventListener(type, listener, options));
+    globalListeners.length = 0;
+    document.removeEventListener('keydown', handleExplainerKeydown);
+    clockReady = false; // a clock built again announces ready again
+
+    if (controls) controls.dispose();
+    scene.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) [].concat(obj.material).forEach(material => material.dispose());
+    });
+    clocks.forEach(clock => { if (clock.captionEl) clock.captionEl.remove(); });
+    clocks = [];
+    alarmMarkerMaterial = null;
+    renderer.dispose();
+    renderer.domElement.remove();
+}
+
+const MobiusClock = {
+    // type: 'hours', 'minutes' or 'seconds'; shape: see INDICATOR_SHAPES
+    setShape(type, shape) {
+        if (!INDICATOR_SHAPES[type]) throw new RangeError(`Unknown indicator: ${type}`);
+        if (!INDICATOR_SHAPES[type].includes(shape)) throw new RangeError(`Unknown ${type} shape: ${shape}`);
+        setIndicatorShape(type, shape);
+        apiSettingsChanged();
+    },
+
+    // Any of { seconds, minutes }, as in the secondMotion and minuteMotion URL parameters
+    setIndicatorMotion(options) {
+        Object.keys(options).forEach(key => {
+            if (!(key in indicatorMotion)) throw new RangeError(`Unknown indicator motion option: ${key}`);
+            const motions = key === 'seconds' ? SECOND_MOTIONS : MINUTE_MOTIONS;
+            if (!motions.includes(options[key])) throw new RangeError(`Unknown ${key} motion: ${options[key]}`);
+        });
+        Object.assign(indicatorMotion, options);
+        updateClock();
+        apiSettingsChanged();
+    },
+
+    // One of TICK_SCHEMES, or a scheme object as described in TICK SCHEMES, which becomes the custom scheme
+    setTickScheme(scheme) {
+        if (typeof scheme === 'object') {
+            setCustomTickScheme(validateTickScheme(scheme));
+        } else {
+            if (!TICK_SCHEMES.includes(scheme)) throw new RangeError(`Unknown tick scheme: ${scheme}`);
+            setTickScheme(scheme);
+        }
+        apiSettingsChanged();
+    },
+
+    // 'ampm' or '24'
+    setTimeStyle(style) {
+        if (style !== 'ampm' && style !== '24') throw new RangeError(`Unknown time style: ${style}`);
+        timeStyle = style;
+        readoutChanged();
+        createHourNumbers();
+        apiSettingsChanged();
+    },
+
+    setZen(enabled) {
+        if (Boolean(enabled) !== zenMode) toggleZenMode();
+        apiSettingsChanged();
+    },
+
+    setRotation(enabled) {
+        rotationEnabled = Boolean(enabled);
+        clocks.forEach(clock => { clock.mobiusGroup.rotation.y = 0; });
+        apiSettingsChanged();
+    },
+
+    setHoursVisible(visible) {
+        setHoursVisible(Boolean(visible));
+        apiSettingsChanged();
+    },
+
+    // IANA zone name for the primary clock, or '' for the browser's zone
+    setTimeZone(zone) {
+        if (zone && !isValidTimeZone(zone)) throw new RangeError(`Unknown time zone: ${zone}`);
+        setTimeZone(zone || '');
+        apiSettingsChanged();
+    },
+
+    // Any of { halfTwists, stripWidth, stripThickness, stripRadius, resolution }; see STRIP_GEOMETRY_LIMITS
+    setGeometry(options) {
+        Object.keys(options).forEach(key => {
+            if (!STRIP_GEOMETRY_LIMITS[key]) throw new RangeError(`Unknown geometry option: ${key}`);
+            if (!isValidGeometryValue(key, options[key])) throw new RangeError(`Invalid ${key}: ${options[key]}`);
+        });
+        setStripGeometry(options);
+        apiSettingsChanged();
+    },
+
+    // One of the built-in theme names or 'custom'
+    setTheme(name) {
+        if (name !== 'custom' && !THEMES[name]) throw new RangeError(`Unknown theme: ${name}`);
+        setTheme(name);
+        apiSettingsChanged();
+    },
+
+    // source: a function returning the current time as a Date or epoch milliseconds (e.g. a server-synced
+    //  clock), or null to go back to the system clock. It is called every frame, so keep it cheap.
+    setTimeSource(source) {
+        if (source !== null && typeof source !== 'function') throw new TypeError('Time source must be a function or null');
+        timeSource = source;
+        lastTickHour = null; // a jump in time is not an hour change
+        refreshAlarmMarkers();
+        refreshCalendar(true);
+        refreshSun(true);
+        updateClock();
+    },
+
+    // Simulated time, as a multiple of real time: 1440 runs a day per minute, -1 runs backwards, 0 pauses.
+    //  Starts from the time shown now.
+    setSpeed(speed) {
+        if (typeof speed !== 'number' || !isFinite(speed)) throw new RangeError(`Invalid speed: ${speed}`);
+        setSimulationSpeed(speed);
+    },
+
+    // Shows the given time (a Date or epoch milliseconds) and keeps running from there at the current speed.
+    jumpTo(time) {
+        const ms = time instanceof Date ? time.getTime() : time;
+        if (typeof ms !== 'number' || !isFinite(ms)) throw new RangeError(`Invalid time: ${time}`);
+        setSimulation(ms, simulation ? simulation.speed : 1);
+    },
+
+    // Back to live time
+    resumeLiveTime() {
+        resumeLiveTime();
+    },
+
+    // As in the hourLabels URL parameter: numerals and/or which hours, e.g. 'roman' or 'cjk,cardinal'
+    setHourLabels(value) {
+        const style = typeof value === 'string' ? parseHourLabels(value) : null;
+        if (!style) throw new RangeError(`Invalid hour labels: ${value}`);
+        setHourLabelStyle(style);
+        apiSettingsChanged();
+    },
+
+    // URL of a typeface.json font for the hour labels, or '' for the default
+    setHourFont(url) {
+        if (typeof url !== 'string') throw new TypeError('Font URL must be a string');
+        setHourFont(url);
+        apiSettingsChanged();
+    },
+
+    // 'en', 'es', 'de', or '' for the browser's language
+    setLanguage(lang) {
+        if (lang !== '' && !LANGUAGES[lang]) throw new RangeError(`Unknown language: ${lang}`);
+        setLanguage(lang);
+        applyLanguage();
+        apiSettingsChanged();
+    },
+
+    // Announces the time through the screen-reader live region and returns the text
+    announceTime() {
+        return announceTime();
+    },
+
+    // Minutes between time announcements: 0 (off), 1, 5, 15, 30 or 60
+    setAnnounceInterval(minutes) {
+        if (!ANNOUNCE_INTERVALS.includes(minutes)) throw new RangeError(`Unsupported announcement interval: ${minutes}`);
+        announceInterval = minutes;
+        apiSettingsChanged();
+    },
+
+    // 'auto' (follow prefers-reduced-motion), 'full' or 'reduced'
+    setMotion(mode) {
+        if (!MOTION_SETTINGS.includes(mode)) throw new RangeError(`Unknown motion setting: ${mode}`);
+        motionSetting = mode;
+        applyMotionSetting();
+        apiSettingsChanged();
+    },
+
+    // Any of { hours, quarters, ticks } (true or false), volume (0-100) and quietHours ('22:00-07:00', or '' for none)
+    setChimes(options) {
+        const changes = {};
+        Object.keys(options).forEach(key => {
+            if (!(key in chimeSettings)) throw new RangeError(`Unknown chime option: ${key}`);
+        });
+        CHIME_TYPES.forEach(type => {
+            if (!(type in options)) return;
+            if (typeof options[type] !== 'boolean') throw new TypeError(`${type} must be true or false`);
+            changes[type] = options[type];
+        });
+        if ('volume' in options) {
+            if (typeof options.volume !== 'number' || !(options.volume >= 0 && options.volume <= 100)) throw new RangeError('Volume must be 0-100');
+            changes.volume = Math.round(options.volume);
+        }
+        if ('quietHours' in options) {
+            if (typeof options.quietHours !== 'string') throw new TypeError('quietHours must be a string');
+            changes.quietHours = options.quietHours ? parseQuietHours(options.quietHours) : null;
+            if (options.quietHours && !changes.quietHours) throw new RangeError(`Invalid quiet hours: ${options.quietHours}`);
+        }
+        applyChimeSettings(changes);
+        apiSettingsChanged();
+    },
+
+    // Plays the full chime for the current hour now, whatever the chime settings
+    testChime() {
+        testChime();
+    },
+
+    // Any of { fps, zenFps }: frame rate caps (1-60) outside and in Zen Mode; see RENDER LOOP
+    setFrameRate(options) {
+        Object.keys(options).forEach(key => {
+            if (!(key in frameRate)) throw new RangeError(`Unknown frame rate option: ${key}`);
+            if (!isValidFps(options[key])) throw new RangeError(`${key} must be a whole number from ${FPS_LIMITS.min} to ${FPS_LIMITS.max}`);
+        });
+        Object.assign(frameRate, options);
+        apiSettingsChanged();
+    },
+
+    // 'auto' (picked from the measured frame times), 'low', 'medium' or 'high'
+    setQuality(quality) {
+        if (!QUALITY_SETTINGS.includes(quality)) throw new RangeError(`Unknown quality: ${quality}`);
+        setQuality(quality);
+        apiSettingsChanged();
+    },
+
+    // Shows or hides the performance HUD
+    setStatsVisible(visible) {
+        if (typeof visible !== 'boolean') throw new TypeError('visible must be true or false');
+        setStatsVisible(visible);
+        apiSettingsChanged();
+    },
+
+    // Any of { seconds, date, weekday, format, locale, position, size }; see DIGITAL READOUT
+    setReadout(options) {
+        Object.keys(options).forEach(key => {
+            if (!(key in readoutSettings)) throw new RangeError(`Unknown readout option: ${key}`);
+        });
+        ['seconds', 'date', 'weekday'].forEach(key => {
+            if (key in options && typeof options[key] !== 'boolean') throw new TypeError(`${key} must be true or false`);
         });
+        ['format', 'locale'].forEach(key => {
+            if (key in options && typeof options[key] !== 'string') throw new TypeError(`${key} must be a string`);
+        });
+        if (options.locale && !isValidLocale(options.locale)) throw new RangeError(`Unknown locale: ${options.locale}`);
+        if ('position' in options && !READOUT_POSITIONS.includes(options.position)) throw new RangeError(`Unknown position: ${options.position}`);
+        if ('size' in options && !READOUT_SIZES.includes(options.size)) throw new RangeError(`Unknown size: ${options.size}`);
+        applyReadoutSettings(options);
+        apiSettingsChanged();
+    },
+
+    getTime() {
+        return getNow();
+    },
+
+    getSettings() {
+        return getClockSettings();
+    },
+
+    get isReady() {
+        return clockReady;
+    },
+
+    addEventListener(type, listener, options) {
+        clockEvents.addEventListener(type, listener, options);
+    },
+
+    removeEventListener(type, listener, options) {
+        clockEvents.removeEventListener(type, listener, options);
+    },
+
+    destroy() {
+        destroyClock();
+    }
+};
+window.MobiusClock = MobiusClock;
+
+// --- CAMERA CONTROLS ---
+// Orbit controls (drag to rotate, wheel/pinch to zoom, right-drag or two fingers to pan) around the
+//  center of the scene. The default view is the straight-on one from handleWindowResize(); once the user
+//  moves the camera, the pose is kept across resizes and written to the URL hash as view=..., so a
+//  particular view can be bookmarked or shared. "Reset View" goes back to the default.
+const MAX_PAN_DISTANCE = 15; // how far the orbit target may be dragged from the center
+
+let controls = null;
+let defaultCameraDistance = 7.2;
+let viewChanged = false;
+let saveViewTimer = null;
+
+function setupCameraControls() {
+    if (!THREE.OrbitControls) {
+        console.log('OrbitControls not available; camera controls disabled');
+        return;
     }
+    // On the container rather than the canvas, which a change of quality tier can replace (see replaceRenderer())
+    controls = new THREE.OrbitControls(camera, document.getElementById('container'));
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.08;
+    controls.minDistance = 3;
+    controls.maxDistance = 80;
+    controls.screenSpacePanning = true;
+    controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN };
+
+    controls.addEventListener('start', () => {
+        viewChanged = true;
+    });
+    controls.addEventListener('change', () => {
+        if (controls.target.length() > MAX_PAN_DISTANCE) {
+            controls.target.setLength(MAX_PAN_DISTANCE);
+        }
+        if (viewChanged) {
+            // Wait for the damping to settle before touching the URL
+            clearTimeout(saveViewTimer);
+            saveViewTimer = setTimeout(saveViewToUrl, 500);
+        }
+    });
+}
 
+// Moves the camera to a view=... pose: its position, then the point it looks at
+function applyView(view) {
+    camera.position.set(view[0], view[1], view[2]);
+    if (controls) {
+        controls.target.set(view[3], view[4], view[5]);
+        controls.update();
+    } else {
+        camera.lookAt(view[3], view[4], view[5]);
+    }
+    viewChanged = true;
+}
 
-    // --- MODAL LOGIC FOR EXPLAINER ---
-    const explainerButton = document.getElementById('explainer-button');
-    const modalExplainer = document.getElementById('modal-explainer');
-    const modalCloseButton = document.getElementById('modal-close-button');
+function resetView() {
+    camera.position.set(0, 0, defaultCameraDistance);
+    camera.up.set(0, 1, 0);
+    if (controls) {
+        controls.target.set(0, 0, 0);
+        controls.update();
+    } else {
+        camera.lookAt(0, 0, 0);
+    }
+    if (viewChanged) {
+        viewChanged = false;
+        setUrlParam('view', null);
+    }
+}
 
-    // Open the modal (Desktop)
-    if (explainerButton) {
-        explainerButton.addEventListener('click', () => {
-            modalExplainer.style.display = 'block';
+function saveViewToUrl() {
+    if (!viewChanged || !controls) return;
+    const pose = camera.position.toArray().concat(controls.target.toArray());
+    setUrlParam('view', pose.map(n => n.toFixed(2)).join(','));
+}
+
+// Sets (or with null, removes) one parameter in the URL hash without reloading or adding a history entry.
+function setUrlParam(name, value) {
+    const params = new URLSearchParams(window.location.hash.substring(1));
+    if (value === null) params.delete(name);
+    else params.set(name, value);
+    writeUrlParams(params);
+    lastUrlParams = params;
+}
+
+function writeUrlParams(params) {
+    // Commas, slashes, @ and colons are safe in a hash; keep them readable (view=1,2,3 and tz=Europe/London)
+    const hash = params.toString().replace(/%2C/gi, ',').replace(/%2F/gi, '/').replace(/%40/g, '@').replace(/%3A/gi, ':');
+    history.replaceState(null, '', hash ? '#' + hash : window.location.pathname + window.location.search);
+}
+
+// --- ALARMS ---
+// Alarms are wall-clock times ("07:30") in the primary clock's zone, optionally repeating on some weekdays.
+// An alarm without repeat days rings once and then switches itself off. Each enabled alarm is drawn as a
+//  marker on the 24-hour edge of every strip, and the list is kept in localStorage across reloads.
+const ALARMS_STORAGE_KEY = 'mobiusClock.alarms';
+const ALARM_SNOOZE_MINUTES = 5;
+const ALARM_RING_SECONDS = 120; // stop the sound on its own if nobody answers
+const ALARM_MARKER_COLOR = 0xFF4081;
+const WEEKDAY_LETTERS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+let alarms = [];
+let ringingAlarm = null;
+let alarmSoundTimer = null;
+let alarmStopTimer = null;
+let alarmCheckTimer = null;
+let alarmSpinActive = false; // read by updateClockInstance() to spin the outer ring
+let audioContext = null;
+let alarmMarkerMaterial = null; // shared by the markers of every clock
+
+function loadAlarms() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ALARMS_STORAGE_KEY) || '[]');
+        if (Array.isArray(saved)) {
+            // Keep what checkAlarms() relies on sane, whatever was stored
+            alarms = saved.filter(a => a && /^\d{2}:\d{2}$/.test(a.time)).map(a => Object.assign(a, {
+                days: Array.isArray(a.days) ? a.days.filter(d => Number.isInteger(d) && d >= 0 && d <= 6) : [],
+                enabled: a.enabled === true
+            }));
+        }
+    } catch (e) {
+        console.log(`Could not load saved alarms: ${e.message}`);
+    }
+}
+
+function saveAlarms() {
+    try {
+        localStorage.setItem(ALARMS_STORAGE_KEY, JSON.stringify(alarms));
+    } catch (e) {
+        console.log(`Could not save alarms: ${e.message}`);
+    }
+}
+
+function addAlarm(label, time, days, spin) {
+    alarms.push({
+        id: Date.now().toString(36) + Math.random().toString(36).substring(2, 6),
+        label: label,
+        time: time,
+        days: days,
+        spin: spin,
+        enabled: true,
+        snoozeUntil: 0,
+        lastFired: ''
+    });
+    alarms.sort((a, b) => a.time.localeCompare(b.time));
+    alarmsChanged();
+}
+
+function removeAlarm(id) {
+    alarms = alarms.filter(a => a.id !== id);
+    alarmsChanged();
+}
+
+function setAlarmEnabled(id, enabled) {
+    const alarm = alarms.find(a => a.id === id);
+    if (!alarm) return;
+    alarm.enabled = enabled;
+    if (!enabled) alarm.snoozeUntil = 0;
+    alarmsChanged();
+}
+
+function alarmsChanged() {
+    saveAlarms();
+    refreshAlarmMarkers();
+    renderAlarmList();
+}
+
+// Called every second. Alarms fire once per matching minute; lastFired remembers the minute
+//  so that a reload during that minute doesn't ring the same alarm again.
+function checkAlarms() {
+    if (clocks.length === 0) return;
+    const now = getLiveNow();
+    const zoned = getZonedTime(now, clocks[0].timeZone);
+    const hhmm = `${zoned.hours.toString().padStart(2, '0')}:${zoned.minutes.toString().padStart(2, '0')}`;
+    const minuteKey = `${zoned.year}-${zoned.month}-${zoned.day} ${hhmm}`;
+
+    alarms.forEach(alarm => {
+        if (alarm.snoozeUntil && now.getTime() >= alarm.snoozeUntil) {
+            alarm.snoozeUntil = 0;
+            fireAlarm(alarm);
+        } else if (alarm.enabled && alarm.time === hhmm && alarm.lastFired !== minuteKey &&
+            (alarm.days.length === 0 || alarm.days.includes(zoned.weekday))) {
+            alarm.lastFired = minuteKey;
+            if (alarm.days.length === 0) alarm.enabled = false; // one-shot
+            fireAlarm(alarm);
+        }
+    });
+
+    // The markers on other clocks depend on the zone offsets, which change with DST
+    if (zoned.seconds === 0) refreshAlarmMarkers();
+}
+
+function fireAlarm(alarm) {
+    if (ringingAlarm) stopAlarmSound(); // the newer alarm takes over the dialog
+    ringingAlarm = alarm;
+    alarmsChanged();
+
+    document.getElementById('alarm-dialog-label').textContent = alarm.label || t('Alarm');
+    document.getElementById('alarm-dialog-time').textContent = alarm.time;
+    document.getElementById('modal-alarm').style.display = 'block';
+
+    alarmSpinActive = !!alarm.spin;
+    playAlarmBeeps();
+    alarmSoundTimer = setInterval(playAlarmBeeps, 1000);
+    alarmStopTimer = setTimeout(stopAlarmSound, ALARM_RING_SECONDS * 1000);
+}
+
+function stopAlarmSound() {
+    clearInterval(alarmSoundTimer);
+    clearTimeout(alarmStopTimer);
+    alarmSoundTimer = null;
+    alarmStopTimer = null;
+    alarmSpinActive = false;
+}
+
+function dismissAlarm() {
+    stopAlarmSound();
+    ringingAlarm = null;
+    document.getElementById('modal-alarm').style.display = 'none';
+}
+
+function snoozeAlarm() {
+    if (ringingAlarm) {
+        ringingAlarm.snoozeUntil = getLiveNow().getTime() + ALARM_SNOOZE_MINUTES * 60 * 1000;
+        saveAlarms();
+    }
+    dismissAlarm();
+}
+
+// Browsers only let audio start after a user gesture, so the context is created (or resumed)
+//  from click handlers as well as when an alarm fires.
+function getAudioContext() {
+    if (!audioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        audioContext = new AudioContextClass();
+    }
+    if (audioContext.state === 'suspended') audioContext.resume();
+    return audioContext;
+}
+
+// Three short square-wave beeps, repeated every second while the alarm rings.
+function playAlarmBeeps() {
+    const ctx = getAudioContext();
+    if (!ctx) return;
+    const t0 = ctx.currentTime;
+    for (let i = 0; i < 3; i++) {
+        const start = t0 + i * 0.2;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = 'square';
+        osc.frequency.value = 880;
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(0.15, start + 0.01);
+        gain.gain.setValueAtTime(0.15, start + 0.12);
+        gain.gain.linearRampToValueAtTime(0, start + 0.15);
+        osc.connect(gain);
+        gain.connect(ctx.destination);
+        osc.start(start);
+        osc.stop(start + 0.16);
+    }
+}
+
+// Alarm times are in the primary clock's zone; convert to hours on the given clock's face.
+function getAlarmHourOnClock(alarm, clock, now) {
+    const [h, m] = alarm.time.split(':').map(Number);
+    let hour24 = h + m / 60;
+    if (clock !== clocks[0]) {
+        const shift = getZoneOffsetMinutes(now, clock.timeZone) - getZoneOffsetMinutes(now, clocks[0].timeZone);
+        hour24 = ((hour24 + shift / 60) % 24 + 24) % 24;
+    }
+    return hour24;
+}
+
+function createAlarmMarkers(clock) {
+    if (clock.alarmMarkersGroup) {
+        clock.mobiusGroup.remove(clock.alarmMarkersGroup);
+        clock.alarmMarkersGroup.children.forEach(marker => marker.geometry.dispose());
+    }
+    clock.alarmMarkersGroup = new THREE.Group();
+    clock.mobiusGroup.add(clock.alarmMarkersGroup);
+
+    const now = getNow();
+    if (!alarmMarkerMaterial) alarmMarkerMaterial = new THREE.MeshStandardMaterial({ color: ALARM_MARKER_COLOR });
+    alarms.forEach(alarm => {
+        if (!alarm.enabled) return;
+        // A small cone just outside the hour edge, pointing at the strip
+        const marker = new THREE.Mesh(new THREE.ConeGeometry(0.1, 0.28, 12), alarmMarkerMaterial);
+        const edge = getEdgePoint(getAlarmHourOnClock(alarm, clock, now), 0.22);
+        marker.position.copy(edge.position);
+        marker.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), edge.dirOutward.negate());
+        clock.alarmMarkersGroup.add(marker);
+    });
+}
+
+function refreshAlarmMarkers() {
+    clocks.forEach(createAlarmMarkers);
+}
+
+function formatAlarmDays(days) {
+    if (days.length === 0) return t('Once');
+    if (days.length === 7) return t('Every day');
+    return days.map(getWeekdayName).join(' ');
+}
+
+function renderAlarmList() {
+    const list = document.getElementById('alarm-list');
+    if (!list) return;
+    list.innerHTML = '';
+    alarms.forEach(alarm => {
+        const item = document.createElement('li');
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = alarm.enabled;
+        toggle.title = t('Enabled');
+        toggle.addEventListener('change', () => setAlarmEnabled(alarm.id, toggle.checked));
+
+        const text = document.createElement('span');
+        text.className = 'alarm-text';
+        text.textContent = `${alarm.time} ${alarm.label ? alarm.label + ' ' : ''}(${formatAlarmDays(alarm.days)})`;
+
+        const remove = document.createElement('button');
+        remove.className = 'alarm-remove';
+        remove.textContent = '×';
+        remove.title = t('Delete alarm');
+        remove.addEventListener('click', () => removeAlarm(alarm.id));
+
+        item.append(toggle, text, remove);
+        list.appendChild(item);
+    });
+}
+
+function setupAlarmUI() {
+    const daysContainer = document.getElementById('alarm-days');
+    if (daysContainer) {
+        WEEKDAY_LETTERS.forEach((letter, day) => {
+            const label = document.createElement('label');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.value = day;
+            label.append(box, letter);
+            daysContainer.appendChild(label);
         });
     }
 
-    // Close the modal
-    if (modalCloseButton) {
-        modalCloseButton.addEventListener('click', () => {
-            modalExplainer.style.display = 'none';
+    const addButton = document.getElementById('alarm-add');
+    if (addButton) {
+        addButton.addEventListener('click', () => {
+            const time = document.getElementById('alarm-time').value;
+            if (!/^\d{2}:\d{2}$/.test(time)) return;
+            const days = Array.from(document.querySelectorAll('#alarm-days input:checked')).map(box => Number(box.value));
+            addAlarm(document.getElementById('alarm-label').value.trim(), time, days,
+                document.getElementById('alarm-spin').checked);
+            document.getElementById('alarm-label').value = '';
+            getAudioContext(); // unlock audio while we have a user gesture
         });
     }
 
-    // Also close the modal if the user clicks anywhere outside the content
-    modalExplainer.addEventListener('click', (event) => {
-        if (event.target === modalExplainer) {
-            modalExplainer.style.display = 'none';
+    const dismissButton = document.getElementById('alarm-dismiss');
+    if (dismissButton) dismissButton.addEventListener('click', dismissAlarm);
+    const snoozeButton = document.getElementById('alarm-snooze');
+    if (snoozeButton) snoozeButton.addEventListener('click', snoozeAlarm);
+
+    // Saved alarms may ring before the user touches the page again; unlock audio on the first gesture.
+    addGlobalListener(document, 'pointerdown', () => {
+        if (alarms.length > 0) getAudioContext();
+    }, { once: true });
+
+    renderAlarmList();
+    // Embedded clocks have no alarms of their own, and must not ring the app's (see loadAlarms() at startup)
+    if (!embedMode) alarmCheckTimer = setInterval(checkAlarms, 1000);
+}
+
+// --- TIMER AND STOPWATCH ---
+// Both modes share one run state: elapsed time is what has been accumulated over earlier runs plus the
+//  current run. The timer shows duration - elapsed, the stopwatch shows elapsed. While the timer runs,
+//  the minute track is tinted for the time left (up to a full hour), like a kitchen countdown dial.
+const TIMER_TINT_COLOR = 0xFF5252;
+
+let modeRunning = false;
+let modeStartedAt = 0;     // Date.now() when the current run started
+let modeAccumulatedMs = 0; // elapsed time of earlier runs
+let laps = [];             // stopwatch lap totals, in ms
+let timerTintMinutes = 0;  // how much of the minute track is tinted, read by isSegmentInTimerTint()
+
+// Accepts "25m", "1h30m", "90s", "1:30:00", "10:00" (minutes:seconds) or a bare number of minutes.
+function parseDuration(str) {
+    str = (str || '').trim().toLowerCase();
+    if (/^\d+(\.\d+)?$/.test(str)) return Math.round(parseFloat(str) * 60000);
+
+    const clockMatch = str.match(/^(?:(\d+):)?(\d+):(\d{1,2})$/);
+    if (clockMatch) {
+        return ((parseInt(clockMatch[1] || '0', 10) * 60 + parseInt(clockMatch[2], 10)) * 60 +
+            parseInt(clockMatch[3], 10)) * 1000;
+    }
+
+    const unitMatch = str.match(/^(?:(\d+)h)?\s*(?:(\d+)m)?\s*(?:(\d+)s)?$/);
+    if (unitMatch && (unitMatch[1] || unitMatch[2] || unitMatch[3])) {
+        return ((parseInt(unitMatch[1] || '0', 10) * 60 + parseInt(unitMatch[2] || '0', 10)) * 60 +
+            parseInt(unitMatch[3] || '0', 10)) * 1000;
+    }
+    return null;
+}
+
+// "4:05", "1:04:05", or with tenths ("4:05.3") for the stopwatch.
+function formatDuration(ms, showTenths) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor(totalSeconds / 60) % 60;
+    const sec = totalSeconds % 60;
+    let str = h > 0 ? `${h}:${m.toString().padStart(2, '0')}` : `${m}`;
+    str += `:${sec.toString().padStart(2, '0')}`;
+    if (showTenths) str += `.${Math.floor(ms / 100) % 10}`;
+    return str;
+}
+
+function getModeElapsedMs() {
+    return modeAccumulatedMs + (modeRunning ? Date.now() - modeStartedAt : 0);
+}
+
+// What the indicators and the digital readout show in timer/stopwatch mode.
+function getModeDisplayMs() {
+    if (clockMode === 'timer') return Math.max(0, timerDurationMs - getModeElapsedMs());
+    return getModeElapsedMs();
+}
+
+function setClockMode(mode) {
+    clockMode = mode;
+    resetMode();
+    const modeControls = document.getElementById('mode-controls');
+    if (modeControls) modeControls.style.display = (mode === 'clock') ? 'none' : 'flex';
+    const lapButton = document.getElementById('mode-lap');
+    if (lapButton) lapButton.style.display = (mode === 'stopwatch') ? '' : 'none';
+    updateClock();
+}
+
+function setTimerDuration(ms) {
+    timerDurationMs = ms;
+    if (clockMode === 'timer') resetMode();
+}
+
+function startPauseMode() {
+    if (modeRunning) {
+        modeAccumulatedMs = getModeElapsedMs();
+        modeRunning = false;
+    } else {
+        if (clockMode === 'timer' && getModeDisplayMs() === 0) modeAccumulatedMs = 0; // restart a finished timer
+        modeStartedAt = Date.now();
+        modeRunning = true;
+        getAudioContext(); // unlock audio now, so the end-of-timer beeps can play
+    }
+    updateModeButtons();
+}
+
+function resetMode() {
+    modeRunning = false;
+    modeAccumulatedMs = 0;
+    laps = [];
+    renderLaps();
+    updateModeButtons();
+}
+
+function recordLap() {
+    if (clockMode !== 'stopwatch' || getModeElapsedMs() === 0) return;
+    laps.push(getModeElapsedMs());
+    renderLaps();
+}
+
+function renderLaps() {
+    const list = document.getElementById('lap-list');
+    if (!list) return;
+    list.innerHTML = '';
+    laps.forEach((total, i) => {
+        const split = total - (i > 0 ? laps[i - 1] : 0);
+        const item = document.createElement('li');
+        item.textContent = `${t('Lap')} ${i + 1}  ${formatDuration(split, true)}  (${formatDuration(total, true)})`;
+        list.insertBefore(item, list.firstChild); // newest on top
+    });
+}
+
+function updateModeButtons() {
+    const startButton = document.getElementById('mode-start');
+    if (startButton) {
+        startButton.textContent = t(modeRunning ? 'Pause' : 'Start');
+        startButton.classList.toggle('active', modeRunning);
+    }
+}
+
+// Called every frame from updateClock(): ends the timer when it runs out and keeps the tint in step.
+function updateModeTime() {
+    if (clockMode === 'timer' && modeRunning && getModeElapsedMs() >= timerDurationMs) {
+        modeAccumulatedMs = timerDurationMs;
+        modeRunning = false;
+        updateModeButtons();
+        timerFinished();
+    }
+
+    // Quantize to whole segments so the groups are only rebuilt when the tint actually moves
+    let tint = 0;
+    if (clockMode === 'timer') {
+        const segmentsPerMinute = NRECT / 60;
+        tint = Math.ceil(Math.min(getModeDisplayMs() / 60000, 60) * segmentsPerMinute) / segmentsPerMinute;
+    }
+    setTimerTint(tint);
+}
+
+function setTimerTint(minutes) {
+    if (minutes === timerTintMinutes) return;
+    timerTintMinutes = minutes;
+    clocks.forEach(applySegmentMaterials);
+}
+
+// True if segment i lies on the minute track between 12 o'clock and the timer's remaining time.
+// Minute 0 is at the top of the strip (point NRECT / 2), and minutes run backwards through the points.
+function isSegmentInTimerTint(i) {
+    if (timerTintMinutes <= 0) return false;
+    const minuteAtSegment = (((NRECT / 2 - (i + 1)) % NRECT + NRECT) % NRECT) / (NRECT / 60);
+    return minuteAtSegment < timerTintMinutes;
+}
+
+function timerFinished() {
+    playAlarmBeeps();
+    setTimeout(playAlarmBeeps, 1000);
+    setTimeout(playAlarmBeeps, 2000);
+    const digitalTime = document.getElementById('digital-time');
+    if (digitalTime) {
+        digitalTime.classList.add('timer-done');
+        setTimeout(() => digitalTime.classList.remove('timer-done'), 5000);
+    }
+}
+
+function setupModeUI() {
+    const modeSelect = document.getElementById('mode-select');
+    if (modeSelect) {
+        modeSelect.value = clockMode;
+        modeSelect.addEventListener('change', (e) => setClockMode(e.target.value));
+    }
+
+    const durationInput = document.getElementById('timer-duration');
+    if (durationInput) {
+        durationInput.value = formatDuration(timerDurationMs, false);
+        durationInput.addEventListener('change', () => {
+            const ms = parseDuration(durationInput.value);
+            if (ms) {
+                setTimerDuration(ms);
+                durationInput.value = formatDuration(ms, false);
+            } else {
+                durationInput.value = formatDuration(timerDurationMs, false);
+            }
+        });
+    }
+
+    const startButton = document.getElementById('mode-start');
+    if (startButton) startButton.addEventListener('click', startPauseMode);
+    const resetButton = document.getElementById('mode-reset');
+    if (resetButton) resetButton.addEventListener('click', resetMode);
+    const lapButton = document.getElementById('mode-lap');
+    if (lapButton) lapButton.addEventListener('click', recordLap);
+
+    setClockMode(clockMode);
+}
+
+// --- CALENDAR (ICS) ---
+// Events from an iCalendar file (or pasted text) are drawn as colored bands along the 24-hour edge, just
+//  outside the strip, so the hour indicator sweeps past the day's schedule. "Today" is the current date in
+//  the primary clock's zone. Recurring events are expanded with a subset of RRULE (DAILY, WEEKLY, MONTHLY,
+//  YEARLY with INTERVAL, COUNT, UNTIL, BYDAY and BYMONTHDAY) plus EXDATE and RECURRENCE-ID overrides.
+// All-day events are not drawn (they would cover the whole dial); they are named in the readout instead.
+const CALENDAR_STORAGE_KEY = 'mobiusClock.calendar';
+const EVENT_COLORS = [0x42A5F5, 0xFFCA28, 0xAB47BC, 0x26A69A, 0xEF5350, 0x8D6E63];
+const EVENT_BAND_INNER = 0.04; // offsets outward from the hour edge
+const EVENT_BAND_WIDTH = 0.1;
+const EVENT_BAND_GAP = 0.03;   // between lanes of overlapping events
+const MAX_RECURRENCE_STEPS = 5000;
+
+let calendarEvents = [];    // parsed VEVENTs
+let todaysEvents = [];      // { title, start, end, allDay, color, lane } with start/end in ms
+let calendarDayKey = '';
+let calendarRefreshTimer = null;
+
+function unescapeICSText(value) {
+    return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+// Returns { allDay, year, month, day, hours, minutes, seconds, zone } where zone is 'UTC', an IANA
+//  name from TZID, or '' for floating times (which are read in the primary clock's zone).
+function parseICSDate(value, params) {
+    const m = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!m) return null;
+    const allDay = !m[4] || params.VALUE === 'DATE';
+    let zone = '';
+    if (m[7]) zone = 'UTC';
+    else if (params.TZID && isValidTimeZone(params.TZID)) zone = params.TZID;
+    return {
+        allDay: allDay,
+        year: parseInt(m[1], 10),
+        month: parseInt(m[2], 10),
+        day: parseInt(m[3], 10),
+        hours: allDay ? 0 : parseInt(m[4], 10),
+        minutes: allDay ? 0 : parseInt(m[5], 10),
+        seconds: allDay ? 0 : parseInt(m[6], 10),
+        zone: zone
+    };
+}
+
+// ISO 8601 durations as used by DURATION, e.g. PT1H30M or P1D.
+function parseICSDuration(value) {
+    const m = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!m) return 0;
+    const seconds = ((((parseInt(m[2] || '0', 10) * 7 + parseInt(m[3] || '0', 10)) * 24 +
+        parseInt(m[4] || '0', 10)) * 60 + parseInt(m[5] || '0', 10)) * 60) + parseInt(m[6] || '0', 10);
+    return (m[1] === '-' ? -1 : 1) * seconds * 1000;
+}
+
+function parseRRule(value) {
+    const rule = { freq: '', interval: 1, count: 0, until: null, byDay: [], byMonthDay: [] };
+    value.split(';').forEach(part => {
+        const [key, val] = part.split('=');
+        if (!val) return;
+        switch (key.toUpperCase()) {
+            case 'FREQ': rule.freq = val.toUpperCase(); break;
+            case 'INTERVAL': rule.interval = Math.max(1, parseInt(val, 10) || 1); break;
+            case 'COUNT': rule.count = parseInt(val, 10) || 0; break;
+            case 'UNTIL': rule.until = parseICSDate(val, {}); break;
+            case 'BYDAY':
+                // e.g. MO,WE,FR or 2TU or -1FR (ordinals are used by MONTHLY rules)
+                rule.byDay = val.split(',').map(d => {
+                    const dm = d.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/i);
+                    return dm ? { nth: dm[1] ? parseInt(dm[1], 10) : 0, weekday: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'].indexOf(dm[2].toUpperCase()) } : null;
+                }).filter(d => d);
+                break;
+            case 'BYMONTHDAY': rule.byMonthDay = val.split(',').map(d => parseInt(d, 10)).filter(d => d); break;
         }
     });
-    // --- END MODAL LOGIC ---
+    return rule.freq ? rule : null;
 }
 
-function toggleZenMode() {
-    zenMode = !zenMode;
-    const body = document.body;
-    const zenBtn = document.getElementById('zen-button');
-    const mobileZenBtn = document.getElementById('mobile-zen');
+function parseICS(text) {
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n'); // unfold long lines
+    const events = [];
+    let current = null;
+    let nestedDepth = 0; // inside a VALARM (or other component) within the event
+
+    lines.forEach(line => {
+        if (!line) return;
+        if (/^BEGIN:VEVENT$/i.test(line)) {
+            current = { summary: '', uid: '', start: null, end: null, durationMs: null, rrule: null, exdates: [], recurrenceId: null, cancelled: false };
+            nestedDepth = 0;
+            return;
+        }
+        if (!current) return;
+        if (/^END:VEVENT$/i.test(line)) {
+            if (current.start && !current.cancelled) events.push(current);
+            current = null;
+            return;
+        }
+        if (/^BEGIN:/i.test(line)) { nestedDepth++; return; }
+        if (/^END:/i.test(line)) { nestedDepth--; return; }
+        if (nestedDepth > 0) return;
+
+        // NAME;PARAM=VALUE;PARAM="VA:LUE":value (a colon inside quotes doesn't end the name)
+        const nameMatch = line.match(/^((?:[^:;"]+)(?:;[^:;=]+=(?:"[^"]*"|[^:;"]*))*):(.*)$/);
+        if (!nameMatch) return;
+        const nameParts = nameMatch[1].split(';');
+        const name = nameParts[0].toUpperCase();
+        const params = {};
+        nameParts.slice(1).forEach(p => {
+            const eq = p.indexOf('=');
+            params[p.substring(0, eq).toUpperCase()] = p.substring(eq + 1).replace(/^"|"$/g, '');
+        });
+        const value = nameMatch[2];
+
+        switch (name) {
+            case 'SUMMARY': current.summary = unescapeICSText(value); break;
+            case 'UID': current.uid = value.trim(); break;
+            case 'DTSTART': current.start = parseICSDate(value, params); break;
+            case 'DTEND': current.end = parseICSDate(value, params); break;
+            case 'DURATION': current.durationMs = parseICSDuration(value); break;
+            case 'RRULE': current.rrule = parseRRule(value); break;
+            case 'EXDATE': value.split(',').forEach(v => { const d = parseICSDate(v, params); if (d) current.exdates.push(d); }); break;
+            case 'RECURRENCE-ID': current.recurrenceId = parseICSDate(value, params); break;
+            case 'STATUS': current.cancelled = value.trim().toUpperCase() === 'CANCELLED'; break;
+        }
+    });
 
-    if (zenMode) {
-        // Enter Zen Mode
-        body.classList.add('zen-active');
-        if (zenBtn) zenBtn.textContent = 'Exit Zen';
-        if (mobileZenBtn) mobileZenBtn.textContent = 'Exit';
+    // A RECURRENCE-ID event replaces one occurrence of its series: exclude that occurrence from the series.
+    events.forEach(ev => {
+        if (!ev.recurrenceId) return;
+        const series = events.find(other => other !== ev && other.uid === ev.uid && other.rrule);
+        if (series) series.exdates.push(ev.recurrenceId);
+    });
+    return events;
+}
 
-        // Save state
-        preZenState = {
-            hoursVisible: hourNumbersGroup ? hourNumbersGroup.visible : false,
-            tickScheme: currentTickScheme,
-            sceneBackground: scene.background.getHex(),
-            fastMode: fastMode,
-            backgroundImage: body.style.backgroundImage || '',  // Save original background
-            backgroundColor: body.style.backgroundColor || ''
-        };
+// Instant of an ICS date-time; floating times and dates are read in the given zone.
+function icsDateToMs(d, fallbackZone) {
+    return zonedWallTimeToMs(d.year, d.month, d.day, d.hours, d.minutes, d.seconds, d.zone || fallbackZone);
+}
+
+// Calendar arithmetic on whole days, independent of any zone.
+function dayNumber(year, month, day) {
+    return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+}
+
+function dayNumberToDate(n) {
+    const d = new Date(n * 86400000);
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+// Calls back with the day numbers of the event's occurrences, in order, until the callback returns false.
+// Occurrences before fromDay may be skipped (when there's no COUNT to keep), which saves walking
+//  a years-old daily series from its first day. Handles the RRULE subset listed above.
+function forEachOccurrenceDay(ev, fromDay, callback) {
+    const first = dayNumber(ev.start.year, ev.start.month, ev.start.day);
+    const rule = ev.rrule;
+    if (!rule) {
+        callback(first);
+        return;
+    }
+
+    // Longest possible period in days, so that skipping never jumps past an occurrence on or after fromDay
+    const maxPeriodDays = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 }[rule.freq] * rule.interval;
+    const firstStep = (rule.count || !maxPeriodDays) ? 0 : Math.max(0, Math.floor((fromDay - first) / maxPeriodDays) - 1);
+
+    let emitted = 0;
+    const emit = (n) => {
+        if (n < first) return true; // rules can produce days before DTSTART in the first period
+        if (rule.count && emitted >= rule.count) return false;
+        emitted++;
+        return callback(n) !== false;
+    };
+
+    for (let k = firstStep; k < firstStep + MAX_RECURRENCE_STEPS; k++) {
+        let days = [];
+        if (rule.freq === 'DAILY') {
+            days = [first + k * rule.interval];
+        } else if (rule.freq === 'WEEKLY') {
+            const weekStart = first - dayNumberToDate(first).weekday + k * 7 * rule.interval;
+            const weekdays = rule.byDay.length ? rule.byDay.map(d => d.weekday) : [dayNumberToDate(first).weekday];
+            days = weekdays.sort((a, b) => a - b).map(w => weekStart + w);
+        } else if (rule.freq === 'MONTHLY') {
+            const monthIndex = (ev.start.month - 1) + k * rule.interval;
+            const year = ev.start.year + Math.floor(monthIndex / 12);
+            const month = monthIndex % 12 + 1;
+            const monthStart = dayNumber(year, month, 1);
+            const monthLength = dayNumber(year, month + 1, 1) - monthStart;
+            if (rule.byDay.length) {
+                rule.byDay.forEach(d => {
+                    const firstWeekday = dayNumberToDate(monthStart).weekday;
+                    const matches = [];
+                    for (let dd = (d.weekday - firstWeekday + 7) % 7; dd < monthLength; dd += 7) matches.push(monthStart + dd);
+                    if (d.nth > 0 && matches[d.nth - 1] !== undefined) days.push(matches[d.nth - 1]);
+                    else if (d.nth < 0 && matches[matches.length + d.nth] !== undefined) days.push(matches[matches.length + d.nth]);
+                    else if (d.nth === 0) days.push(...matches);
+                });
+            } else {
+                const monthDays = rule.byMonthDay.length ? rule.byMonthDay : [ev.start.day];
+                monthDays.forEach(md => {
+                    const dd = md > 0 ? md - 1 : monthLength + md;
+                    if (dd >= 0 && dd < monthLength) days.push(monthStart + dd);
+                });
+            }
+            days.sort((a, b) => a - b);
+        } else if (rule.freq === 'YEARLY') {
+            const year = ev.start.year + k * rule.interval;
+            // Skips Feb 29 in non-leap years rather than moving it
+            if (dayNumberToDate(dayNumber(year, ev.start.month, ev.start.day)).month === ev.start.month) {
+                days = [dayNumber(year, ev.start.month, ev.start.day)];
+            }
+        } else {
+            callback(first); // unsupported frequency: treat as a single event
+            return;
+        }
+
+        for (const n of days) {
+            if (!emit(n)) return;
+        }
+    }
+}
 
-        // Apply Zen settings
-        if (hourNumbersGroup) hourNumbersGroup.visible = false;
-        setTickScheme('minimal'); // Minimal ticks (hour only)
-        if (fastMode) {
-            fastMode = false;
+// Today's occurrences of all events, clipped to [dayStart, dayEnd), as { title, start, end, allDay }.
+function getEventsForDay(events, dayStart, dayEnd, zone) {
+    const today = getZonedTime(new Date(dayStart), zone);
+    const todayNum = dayNumber(today.year, today.month, today.day);
+    const result = [];
+
+    events.forEach(ev => {
+        const startZone = ev.start.zone || zone;
+        const startNum = dayNumber(ev.start.year, ev.start.month, ev.start.day);
+
+        if (ev.start.allDay) {
+            const lengthDays = ev.end ? Math.max(1, dayNumber(ev.end.year, ev.end.month, ev.end.day) - startNum)
+                : Math.max(1, Math.round((ev.durationMs || 86400000) / 86400000));
+            const excluded = new Set(ev.exdates.map(d => dayNumber(d.year, d.month, d.day)));
+            forEachOccurrenceDay(ev, todayNum - lengthDays, n => {
+                if (n > todayNum) return false;
+                if (ev.rrule && ev.rrule.until && n > dayNumber(ev.rrule.until.year, ev.rrule.until.month, ev.rrule.until.day)) return false;
+                if (!excluded.has(n) && todayNum < n + lengthDays) {
+                    result.push({ title: ev.summary, start: dayStart, end: dayEnd, allDay: true });
+                }
+            });
+            return;
         }
-        scene.background.setHex(0x2a2a2a);  // Darken background
-        // Apply radial gradient vignette
-        //console.log('Setting Zen background gradient...');
-        //body.style.backgroundImage = 'radial-gradient(circle at center, #666 0%, #1a1a1a 100%)';
-        //body.style.backgroundColor = '';  // Clear the solid color
-        //console.log('Background applied:', body.style.backgroundImage);
-        //console.log('Computed background:', window.getComputedStyle(body).backgroundImage);
 
-    } else {
-        // Exit Zen Mode
-        body.classList.remove('zen-active');
-        if (zenBtn) zenBtn.textContent = 'Zen Mode';
-        if (mobileZenBtn) mobileZenBtn.textContent = 'Zen';
+        const firstStart = icsDateToMs(ev.start, zone);
+        const durationMs = Math.max(0, ev.end ? icsDateToMs(ev.end, zone) - firstStart : (ev.durationMs || 0));
+        const untilMs = (ev.rrule && ev.rrule.until) ? icsDateToMs(ev.rrule.until, zone) : Infinity;
+        const excluded = new Set(ev.exdates.map(d => icsDateToMs(d, startZone)));
+        const spanDays = Math.ceil(durationMs / 86400000) + 1; // an occurrence may start on an earlier day
+
+        forEachOccurrenceDay(ev, todayNum - spanDays, n => {
+            const d = dayNumberToDate(n);
+            const start = zonedWallTimeToMs(d.year, d.month, d.day, ev.start.hours, ev.start.minutes, ev.start.seconds, startZone);
+            if (start >= dayEnd || start > untilMs) return false;
+            const end = start + durationMs;
+            if (!excluded.has(start) && (end > dayStart || start >= dayStart)) {
+                result.push({ title: ev.summary, start: Math.max(start, dayStart), end: Math.min(end, dayEnd), allDay: false });
+            }
+        });
+    });
 
-        // Restore state
-        if (hourNumbersGroup) hourNumbersGroup.visible = preZenState.hoursVisible;
-        setTickScheme(preZenState.tickScheme);
-        fastMode = preZenState.fastMode;
-        scene.background.setHex(preZenState.sceneBackground);
-        body.style.backgroundColor = preZenState.backgroundColor;
-        console.log('Restored background');
+    result.sort((a, b) => a.start - b.start);
+    return result;
+}
+
+function loadCalendarText(text, save) {
+    try {
+        calendarEvents = parseICS(text);
+    } catch (e) {
+        console.log(`Could not parse calendar: ${e.message}`);
+        calendarEvents = [];
     }
-    updateUIButtons();
+    if (save) {
+        try {
+            if (text) localStorage.setItem(CALENDAR_STORAGE_KEY, text);
+            else localStorage.removeItem(CALENDAR_STORAGE_KEY);
+        } catch (e) {
+            console.log(`Could not save calendar: ${e.message}`);
+        }
+    }
+    refreshCalendar(true);
 }
 
-function updateUIButtons() {
-    // Helper to sync buttons with current state
-    const rotationButton = document.getElementById('rotation-button');
-    const fastModeButton = document.getElementById('fast-mode-button');
-    const hoursButton = document.getElementById('hours-button');
-    const mobileRotate = document.getElementById('mobile-rotate');
-    const mobileFast = document.getElementById('mobile-fast');
-    const mobileHours = document.getElementById('mobile-hours');
+// Recomputes today's events when the day changes (or when forced), and updates the readout.
+function refreshCalendar(force) {
+    if (clocks.length === 0) return;
+    const zone = clocks[0].timeZone;
+    const now = getNow().getTime();
+    const today = getZonedTime(new Date(now), zone);
+    const dayKey = `${today.year}-${today.month}-${today.day}`;
+
+    if (force || dayKey !== calendarDayKey) {
+        calendarDayKey = dayKey;
+        const dayStart = zonedWallTimeToMs(today.year, today.month, today.day, 0, 0, 0, zone);
+        const tomorrow = dayNumberToDate(dayNumber(today.year, today.month, today.day) + 1);
+        const dayEnd = zonedWallTimeToMs(tomorrow.year, tomorrow.month, tomorrow.day, 0, 0, 0, zone);
+        todaysEvents = getEventsForDay(calendarEvents, dayStart, dayEnd, zone);
+
+        // Give overlapping events their own lanes, and each event a color
+        const laneEnds = [];
+        todaysEvents.filter(e => !e.allDay).forEach((e, i) => {
+            let lane = laneEnds.findIndex(end => end <= e.start);
+            if (lane < 0) lane = laneEnds.length;
+            laneEnds[lane] = e.end;
+            e.lane = lane;
+            e.color = EVENT_COLORS[i % EVENT_COLORS.length];
+        });
+        clocks.forEach(createEventArcs);
 
-    // Rotation (not affected by Zen, but good to sync)
-    if (rotationButton) {
-        rotationButton.textContent = rotationEnabled ? 'Stop Rotation' : 'Rotate';
-        rotationButton.classList.toggle('active', rotationEnabled);
-    }
-    if (mobileRotate) {
-        mobileRotate.textContent = rotationEnabled ? 'Stop' : 'Rotate';
-        mobileRotate.classList.toggle('active', rotationEnabled);
+        const status = document.getElementById('ics-status');
+        if (status) {
+            status.textContent = calendarEvents.length ?
+                t('{count} events loaded, {today} today', { count: calendarEvents.length, today: todaysEvents.length }) : '';
+        }
     }
+    updateEventLabel(now, zone);
+}
 
-    // Fast Mode
-    if (fastModeButton) {
-        fastModeButton.textContent = fastMode ? 'Stop Fast' : 'Fast Mode';
-        fastModeButton.classList.toggle('active', fastMode);
+function formatShortTime(ms, zone) {
+    const zoned = getZonedTime(new Date(ms), zone);
+    const mm = zoned.minutes.toString().padStart(2, '0');
+    if (timeStyle === '24') return `${zoned.hours.toString().padStart(2, '0')}:${mm}`;
+    return `${zoned.hours % 12 || 12}:${mm} ${zoned.hours >= 12 ? 'PM' : 'AM'}`;
+}
+
+// "Now: Standup", else "Next 2:00 PM: Design review", else "All day: Offsite".
+function updateEventLabel(now, zone) {
+    const label = document.getElementById('event-label');
+    if (!label) return;
+    const timed = todaysEvents.filter(e => !e.allDay);
+    const current = timed.find(e => e.start <= now && now < e.end);
+    const next = timed.find(e => e.start > now);
+    const allDay = todaysEvents.find(e => e.allDay);
+    let text = '';
+    if (current) text = `Now: ${current.title}`;
+    else if (next) text = `Next ${formatShortTime(next.start, zone)}: ${next.title}`;
+    else if (allDay) text = `All day: ${allDay.title}`;
+    if (label.textContent !== text) label.textContent = text;
+}
+
+// A flat ribbon just outside the hour edge from startHour to endHour (endHour may pass 24).
+function createEdgeBand(startHour, endHour, innerOffset, outerOffset, material) {
+    const vertices = [];
+    const indices = [];
+    const steps = Math.max(1, Math.ceil((endHour - startHour) * 30)); // the edge path has 30 points per hour
+    for (let k = 0; k <= steps; k++) {
+        const hour = startHour + (endHour - startHour) * k / steps;
+        const inner = getEdgePoint(hour, innerOffset).position;
+        const outer = getEdgePoint(hour, outerOffset).position;
+        vertices.push(inner.x, inner.y, inner.z, outer.x, outer.y, outer.z);
+        if (k > 0) {
+            const a = (k - 1) * 2;
+            indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+        }
     }
-    if (mobileFast) {
-        mobileFast.textContent = fastMode ? 'Stop' : 'Fast';
-        mobileFast.classList.toggle('active', fastMode);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return new THREE.Mesh(geometry, material);
+}
+
+function createEventArcs(clock) {
+    if (clock.eventArcsGroup) {
+        clock.mobiusGroup.remove(clock.eventArcsGroup);
+        clock.eventArcsGroup.children.forEach(band => {
+            band.geometry.dispose();
+            band.material.dispose();
+        });
     }
+    clock.eventArcsGroup = new THREE.Group();
+    clock.mobiusGroup.add(clock.eventArcsGroup);
+
+    todaysEvents.forEach(e => {
+        if (e.allDay || e.end <= e.start) return;
+        const startHour = getZonedHour(e.start, clock.timeZone);
+        const endHour = startHour + (e.end - e.start) / 3600000;
+        const inner = EVENT_BAND_INNER + e.lane * (EVENT_BAND_WIDTH + EVENT_BAND_GAP);
+        const material = new THREE.MeshStandardMaterial({ color: e.color, side: THREE.DoubleSide, metalness: 0.2, roughness: 0.5 });
+        clock.eventArcsGroup.add(createEdgeBand(startHour, endHour, inner, inner + EVENT_BAND_WIDTH, material));
+    });
+}
 
-    // Hours
-    if (hoursButton) {
-        const isActive = hourNumbersGroup ? hourNumbersGroup.visible : false;
-        hoursButton.textContent = isActive ? 'Hide Hours' : 'Show Hours';
-        hoursButton.classList.toggle('active', isActive);
+function setupCalendarUI() {
+    const fileInput = document.getElementById('ics-file');
+    if (fileInput) {
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => loadCalendarText(reader.result, true);
+            reader.readAsText(file);
+        });
     }
-    if (mobileHours) {
-        const isActive = hourNumbersGroup ? hourNumbersGroup.visible : false;
-        mobileHours.classList.toggle('active', isActive);
+
+    const loadButton = document.getElementById('ics-load');
+    if (loadButton) {
+        loadButton.addEventListener('click', () => {
+            loadCalendarText(document.getElementById('ics-text').value, true);
+        });
     }
 
-    // Tick scheme select
-    const tickSchemeSelect = document.getElementById('tick-scheme-select');
-    if (tickSchemeSelect) {
-        tickSchemeSelect.value = currentTickScheme;
+    const clearButton = document.getElementById('ics-clear');
+    if (clearButton) {
+        clearButton.addEventListener('click', () => {
+            document.getElementById('ics-text').value = '';
+            if (fileInput) fileInput.value = '';
+            loadCalendarText('', true);
+        });
     }
-}
 
-function syncUIWithState() {
-    updateUIButtons();
+    // The saved calendar is the app's; an embedded clock doesn't show it
+    let saved = null;
+    try {
+        if (!embedMode) saved = localStorage.getItem(CALENDAR_STORAGE_KEY);
+    } catch (e) {
+        // storage unavailable (e.g. privacy mode)
+    }
+    if (saved) loadCalendarText(saved, false);
 
-    // Sync Shape Selects
-    const shapeHours = document.getElementById('shape-hours');
-    if (shapeHours) shapeHours.value = indicatorShapes.hours;
+    calendarRefreshTimer = setInterval(() => refreshCalendar(false), 1000);
+}
 
-    const shapeMinutes = document.getElementById('shape-minutes');
-    if (shapeMinutes) shapeMinutes.value = indicatorShapes.minutes;
+// --- SUN (DAYLIGHT AND TWILIGHT) ---
+// Shades the hour edge by the sun's altitude at each time of day for a given latitude/longitude:
+//  day, civil twilight (sun 0-6 degrees below the horizon), nautical (6-12), astronomical (12-18) and night.
+// Everything is computed locally from the standard low-precision solar position formulas (good to about
+//  a minute of time), so it works offline and handles polar day and night without special cases.
+const SUN_PHASE_COLORS = [0xFFE08A, 0xF4A261, 0x5C6BC0, 0x303F9F, 0x1A1A40];
+const SUN_MATERIAL_BASE = 4; // index of the first sun material in the strip's materials array
+const SUN_ALTITUDES = [-0.833, -6, -12, -18]; // sunrise/sunset (allowing for refraction), civil, nautical, astronomical
+// updateClock() has refreshSun() look for a new day whenever the time shown has moved this far, so the shading
+//  keeps up with simulated time however fast it runs
+const SUN_CHECK_MS = 60000;
+
+let sunDayKey = '';
+let sunCheckedAt = 0; // the time shown (epoch ms) when refreshSun() last looked
+let sunTimes = null;
+
+// Altitude of the sun's center above the horizon, in degrees.
+function getSunAltitude(ms, lat, lon) {
+    const rad = Math.PI / 180;
+    const d = ms / 86400000 - 10957.5; // days since J2000.0 (2000-01-01 12:00 UTC)
+    const g = (357.529 + 0.98560028 * d) * rad; // mean anomaly
+    const q = 280.459 + 0.98564736 * d; // mean longitude, degrees
+    const eclipticLon = (q + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * rad;
+    const obliquity = (23.439 - 0.00000036 * d) * rad;
+    const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLon), Math.cos(eclipticLon));
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLon));
+    const siderealHours = 18.697374558 + 24.06570982441908 * d; // Greenwich mean sidereal time
+    const hourAngle = siderealHours * 15 * rad + lon * rad - rightAscension;
+    return Math.asin(Math.sin(lat * rad) * Math.sin(declination) +
+        Math.cos(lat * rad) * Math.cos(declination) * Math.cos(hourAngle)) / rad;
+}
 
-    const shapeSeconds = document.getElementById('shape-seconds');
-    if (shapeSeconds) shapeSeconds.value = indicatorShapes.seconds;
+// 0 = day, 1 = civil twilight, 2 = nautical, 3 = astronomical, 4 = night
+function getSunPhase(altitude) {
+    let phase = 0;
+    while (phase < SUN_ALTITUDES.length && altitude < SUN_ALTITUDES[phase]) phase++;
+    return phase;
+}
 
-    // Sync Time Style
-    const timeStyleSelect = document.getElementById('time-style-select');
-    if (timeStyleSelect) timeStyleSelect.value = timeStyle;
+// Finds when the sun crosses each altitude between dayStart and dayEnd by stepping a minute at a time.
+// Returns { sunrise, sunset, civilDawn, civilDusk, nauticalDawn, nauticalDusk, astronomicalDawn,
+//  astronomicalDusk } in ms; a value is null when there's no such crossing today (e.g. polar summer).
+function getSunTimes(dayStart, dayEnd, lat, lon) {
+    const names = [['sunrise', 'sunset'], ['civilDawn', 'civilDusk'], ['nauticalDawn', 'nauticalDusk'], ['astronomicalDawn', 'astronomicalDusk']];
+    const times = {};
+    names.forEach(pair => { times[pair[0]] = null; times[pair[1]] = null; });
+
+    const step = 60000;
+    let prevAlt = getSunAltitude(dayStart, lat, lon);
+    for (let ms = dayStart + step; ms <= dayEnd; ms += step) {
+        const alt = getSunAltitude(ms, lat, lon);
+        SUN_ALTITUDES.forEach((threshold, i) => {
+            if ((prevAlt < threshold) === (alt < threshold)) return;
+            const crossing = ms - step + step * (threshold - prevAlt) / (alt - prevAlt);
+            const name = alt > prevAlt ? names[i][0] : names[i][1];
+            if (times[name] === null) times[name] = Math.round(crossing);
+        });
+        prevAlt = alt;
+    }
+    return times;
+}
 
-    // Sync Zen Buttons (since updateUIButtons doesn't handle them fully)
-    const zenBtn = document.getElementById('zen-button');
-    const mobileZenBtn = document.getElementById('mobile-zen');
-    if (zenBtn) {
-        zenBtn.textContent = zenMode ? 'Exit Zen' : 'Zen Mode';
-        zenBtn.classList.toggle('active', zenMode);
+// Fills clock.sunPhases with the daylight phase at each point of the hour edge, for today in the clock's zone.
+function computeSunPhases(clock) {
+    if (!sunEnabled || !sunLocation) {
+        clock.sunPhases = null;
+        return;
     }
-    if (mobileZenBtn) {
-        mobileZenBtn.textContent = zenMode ? 'Exit' : 'Zen';
-        mobileZenBtn.classList.toggle('active', zenMode);
+    const today = getZonedTime(getNow(), clock.timeZone);
+    const phases = new Uint8Array(2 * NRECT);
+    for (let k = 0; k < 2 * NRECT; k++) {
+        // Phase at the middle of the segment third, i.e. halfway to the next point
+        const hour = edgePathIndexToHour(k + 0.5);
+        const h = Math.floor(hour);
+        const minutes = (hour - h) * 60;
+        const ms = zonedWallTimeToMs(today.year, today.month, today.day, h, Math.floor(minutes), Math.round((minutes % 1) * 60), clock.timeZone);
+        phases[k] = getSunPhase(getSunAltitude(ms, sunLocation.lat, sunLocation.lon));
     }
+    clock.sunPhases = phases;
 }
 
-function updateClock() {
-    const now = new Date();
-    let iHour24 = now.getHours();
-    let iMin60 = now.getMinutes();
-    let iSec60 = now.getSeconds();
-    let millisec = now.getMilliseconds();
-
-    const ampm = iHour24 >= 12 ? 'PM' : 'AM';
-    let iHour12 = iHour24 % 12;
-    iHour12 = iHour12 ? iHour12 : 12;
-    const digitalTime = `${iHour12}:${iMin60.toString().padStart(2, '0')}:${iSec60.toString().padStart(2, '0')} ${ampm}`;
-    document.getElementById('digital-time').textContent = digitalTime;
-
-    let sec60 = iSec60 + millisec / 1000;
-    let min60 = iMin60 + sec60 / 60;
-    let hour24 = iHour24 + min60 / 60;
+// Recomputes the shading when the day changes (or when forced, e.g. after a location or zone change).
+function refreshSun(force) {
+    if (clocks.length === 0) return;
+    const zone = clocks[0].timeZone;
+    const now = getNow();
+    sunCheckedAt = now.getTime();
+    const today = getZonedTime(now, zone);
+    const dayKey = `${today.year}-${today.month}-${today.day}`;
+    if (!force && dayKey === sunDayKey) return;
+    sunDayKey = dayKey;
+
+    clocks.forEach(clock => {
+        computeSunPhases(clock);
+        applySegmentMaterials(clock);
+    });
 
-    if (fastMode && indicatorShapes.hours === 'outer-ring') {
-        // Calculate raw fast time (24 hours in 60 seconds)
-        let rawFastHour24 = (24.0 / 60.0) * sec60;
+    sunTimes = null;
+    if (sunEnabled && sunLocation) {
+        const dayStart = zonedWallTimeToMs(today.year, today.month, today.day, 0, 0, 0, zone);
+        const tomorrow = dayNumberToDate(dayNumber(today.year, today.month, today.day) + 1);
+        const dayEnd = zonedWallTimeToMs(tomorrow.year, tomorrow.month, tomorrow.day, 0, 0, 0, zone);
+        sunTimes = getSunTimes(dayStart, dayEnd, sunLocation.lat, sunLocation.lon);
+    }
+    renderSunTimes();
+}
 
-        // Calculate position within current hour to determine pause window
-        let fractionalHour = rawFastHour24 % 1; // 0 to 1 within each hour
-        let minutesWithinHour = fractionalHour < 0.5 ? fractionalHour * 60 : (1 - fractionalHour) * 60;
+function setSunLocation(lat, lon) {
+    if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return false;
+    sunLocation = { lat: lat, lon: lon };
+    refreshSun(true);
+    return true;
+}
 
-        // In fast mode with outer-ring, pause briefly at each hour
-        // Use smaller window (6 minutes = 0.25 seconds real time) to minimize position jump
-        if (minutesWithinHour <= 6) {
-            hour24 = Math.round(rawFastHour24);
-        } else {
-            hour24 = rawFastHour24;
-        }
+function setSunEnabled(enabled) {
+    sunEnabled = enabled && sunLocation !== null;
+    refreshSun(true);
+}
 
-        // Calculate min60 from raw fast time so minute indicator moves smoothly
-        // Don't use hour24 since it's paused at hours
-        let rawHourFrac = rawFastHour24 - Math.floor(rawFastHour24);
-        min60 = rawHourFrac * 60;
-    } else if (fastMode) {
-        // Normal fast mode without pauses (for other indicator shapes)
-        hour24 = (24.0 / 60.0) * sec60;
-        let hourFrac = hour24 - Math.floor(hour24);
-        min60 = hourFrac * 60;
+function renderSunTimes() {
+    const container = document.getElementById('sun-times');
+    if (!container) return;
+    if (!sunTimes) {
+        container.textContent = '';
+        return;
     }
+    const zone = clocks[0].timeZone;
+    const fmt = (ms) => ms === null ? '—' : formatShortTime(ms, zone);
+    container.innerHTML = '';
+    [
+        ['Sunrise / Sunset', sunTimes.sunrise, sunTimes.sunset],
+        ['Civil twilight', sunTimes.civilDawn, sunTimes.civilDusk],
+        ['Nautical twilight', sunTimes.nauticalDawn, sunTimes.nauticalDusk],
+        ['Astronomical twilight', sunTimes.astronomicalDawn, sunTimes.astronomicalDusk]
+    ].forEach(([name, rise, set], i) => {
+        const row = document.createElement('div');
+        const swatch = document.createElement('span');
+        swatch.className = 'sun-swatch';
+        swatch.style.background = '#' + SUN_PHASE_COLORS[i].toString(16).padStart(6, '0');
+        row.append(swatch, `${t(name)}: ${fmt(rise)} – ${fmt(set)}`);
+        container.appendChild(row);
+    });
+}
 
-    if (secondSphere) {
-        const secAngle = Math.PI / 2 - (sec60 / 60) * 2 * Math.PI;
-        secondSphere.position.x = m_Radius * Math.cos(secAngle);
-        secondSphere.position.y = m_Radius * Math.sin(secAngle);
-        secondSphere.position.z = 0;
-
-        if (indicatorShapes.seconds === 'disc') {
-            // Tangent for circle is (-sin, cos, 0)
-            const tangent = new THREE.Vector3(-Math.sin(secAngle), Math.cos(secAngle), 0).normalize();
-            secondSphere.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), tangent);
-        } else {
-            secondSphere.rotation.set(0, 0, 0);
-        }
+function setupSunUI() {
+    const enabledBox = document.getElementById('sun-enabled');
+    const latInput = document.getElementById('sun-lat');
+    const lonInput = document.getElementById('sun-lon');
+    if (sunLocation) {
+        if (latInput) latInput.value = sunLocation.lat;
+        if (lonInput) lonInput.value = sunLocation.lon;
     }
+    if (enabledBox) enabledBox.checked = sunEnabled;
 
-    if (minuteSphere) {
-        const minAngle = Math.PI / 2 - (min60 / 60) * 2 * Math.PI;
-        minuteSphere.position.x = m_Radius * Math.cos(minAngle);
-        minuteSphere.position.y = m_Radius * Math.sin(minAngle);
-        minuteSphere.position.z = 0;
-
-        if (indicatorShapes.minutes === 'disc') {
-            const tangent = new THREE.Vector3(-Math.sin(minAngle), Math.cos(minAngle), 0).normalize();
-            minuteSphere.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), tangent);
-        } else if (indicatorShapes.minutes === 'ring') {
-            const tangent = new THREE.Vector3(-Math.sin(minAngle), Math.cos(minAngle), 0).normalize();
-            minuteSphere.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), tangent);
-        } else {
-            minuteSphere.rotation.set(0, 0, 0);
+    const applyInputs = () => {
+        if (setSunLocation(parseFloat(latInput.value), parseFloat(lonInput.value)) && enabledBox && enabledBox.checked) {
+            setSunEnabled(true);
         }
+    };
+    if (latInput) latInput.addEventListener('change', applyInputs);
+    if (lonInput) lonInput.addEventListener('change', applyInputs);
+    if (enabledBox) {
+        enabledBox.addEventListener('change', () => {
+            if (enabledBox.checked && !sunLocation) applyInputs();
+            setSunEnabled(enabledBox.checked);
+            enabledBox.checked = sunEnabled; // stays off until there's a location
+        });
     }
 
-    const hourProgress = hour24 / 24;
-    const pathIndexFloat = ((NRECT / 2 - (hourProgress * (2 * NRECT))) % (2 * NRECT) + (2 * NRECT)) % (2 * NRECT);
-
-    const index1 = Math.floor(pathIndexFloat);
-    const index2 = (index1 + 1) % (2 * NRECT);
-    const fraction = pathIndexFloat - index1;
-
-    const p1 = edgePath[index1];
-    const p2 = edgePath[index2];
+    const locateButton = document.getElementById('sun-locate');
+    if (locateButton) {
+        if (!navigator.geolocation) locateButton.style.display = 'none';
+        locateButton.addEventListener('click', () => {
+            navigator.geolocation.getCurrentPosition((pos) => {
+                latInput.value = pos.coords.latitude.toFixed(4);
+                lonInput.value = pos.coords.longitude.toFixed(4);
+                setSunLocation(pos.coords.latitude, pos.coords.longitude);
+                if (enabledBox) enabledBox.checked = true;
+                setSunEnabled(true);
+            }, (err) => {
+                console.log(`Could not get location: ${err.message}`);
+            });
+        });
+    }
 
-    if (hourSphere && p1 && p2) {
-        hourSphere.position.lerpVectors(p1, p2, fraction);
+    refreshSun(true);
+}
 
-        if (indicatorShapes.hours === 'outer-ring') {
-            const centerIndex1 = index1 % m_NumPoints;
-            const centerIndex2 = index2 % m_NumPoints;
-            const centerPt1 = m_RectCenter3DPtArray[centerIndex1];
-            const centerPt2 = m_RectCenter3DPtArray[centerIndex2];
-            const centerPt = new THREE.Vector3().lerpVectors(centerPt1, centerPt2, fraction);
-
-            // Calculate the midpoint of the edge (center of thickness)
-            let edgeMidpoint1, edgeMidpoint2;
-            if (index1 < m_NumPoints) {
-                // First half: inner edge - midpoint between FrontInner and FrontOuter
-                edgeMidpoint1 = new THREE.Vector3().addVectors(
-                    m_FrontInnerCorner3DPtArray[centerIndex1],
-                    m_FrontOuterCorner3DPtArray[centerIndex1]
-                ).multiplyScalar(0.5);
-                edgeMidpoint2 = new THREE.Vector3().addVectors(
-                    m_FrontInnerCorner3DPtArray[centerIndex2],
-                    m_FrontOuterCorner3DPtArray[centerIndex2]
-                ).multiplyScalar(0.5);
-            } else {
-                // Second half: outer edge - midpoint between BackOuter and BackInner
-                edgeMidpoint1 = new THREE.Vector3().addVectors(
-                    m_BackOuterCorner3DPtArray[centerIndex1],
-                    m_BackInnerCorner3DPtArray[centerIndex1]
-                ).multiplyScalar(0.5);
-                edgeMidpoint2 = new THREE.Vector3().addVectors(
-                    m_BackOuterCorner3DPtArray[centerIndex2],
-                    m_BackInnerCorner3DPtArray[centerIndex2]
-                ).multiplyScalar(0.5);
-            }
+// --- 3D EXPORT ---
+// Downloads the primary clock's strip as a printable solid: binary STL, OBJ, or binary glTF (.glb) with materials.
+// The export is built fresh from the point arrays rather than taken from the display mesh, so that tick marks can
+//  be raised (emboss) or sunk (engrave) for single-color printing. Each face of the slab is cut into five columns
+//  across the width: a margin at each edge, the two outer thirds and the middle third. Every column of every
+//  segment is a flat cell at its own height, and a wall closes each step between neighbouring cells, so the result
+//  stays watertight.
+// The exporters come from the three.js examples (bundled in vendor/three) and are only loaded when first needed.
+const EXPORTER_URLS = {
+    stl: 'vendor/three/STLExporter.js',
+    obj: 'vendor/three/OBJExporter.js',
+    glb: 'vendor/three/GLTFExporter.js'
+};
+const EXPORT_RELIEF_DEPTH = 0.35; // fraction of the strip thickness, per face, for emboss and engrave
+const EXPORT_EDGE_MARGIN = 0.06; // fraction of the width left flat along each edge so ticks don't break the edges
+
+const loadedScripts = {};
+
+function loadScript(url) {
+    if (!loadedScripts[url]) {
+        loadedScripts[url] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = resolve;
+            script.onerror = () => {
+                delete loadedScripts[url]; // allow a retry
+                reject(new Error(`Could not load ${url}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return loadedScripts[url];
+}
 
-            // Interpolate the edge midpoint
-            const edgeMidpoint = new THREE.Vector3().lerpVectors(edgeMidpoint1, edgeMidpoint2, fraction);
+// A point on one face of the slab: side 'inner' runs from FrontInner (u = 0) to BackInner (u = 1), 'outer' from
+//  FrontOuter to BackOuter. height moves it off the face (positive is out of the solid). Point NRECT is point 0
+//  seen across the half-twist: the faces swap and u runs the other way (see the last-segment special case in
+//  createMobiusStripMesh()).
+function getSlabPoint(k, side, u, height) {
+    if (k === NRECT) {
+        k = 0;
+        side = side === 'inner' ? 'outer' : 'inner';
+        u = 1 - u;
+    }
+    const inner = new THREE.Vector3().lerpVectors(m_FrontInnerCorner3DPtArray[k], m_BackInnerCorner3DPtArray[k], u);
+    const outer = new THREE.Vector3().lerpVectors(m_FrontOuterCorner3DPtArray[k], m_BackOuterCorner3DPtArray[k], u);
+    const [point, opposite] = side === 'inner' ? [inner, outer] : [outer, inner];
+    if (height) point.addScaledVector(new THREE.Vector3().subVectors(point, opposite).normalize(), height);
+    return point;
+}
 
-            // Calculate dirOutward from center to edge midpoint
-            const dirOutward = new THREE.Vector3().subVectors(edgeMidpoint, centerPt).normalize();
+// Builds the strip solid. relief: 'none', 'emboss' or 'engrave'. Returns a mesh with a material group for each
+//  of the tick scheme's materials, in its colors (theme colors from the current theme).
+function buildExportStrip(relief) {
+    const columns = [0, EXPORT_EDGE_MARGIN, 1 / 3, 2 / 3, 1 - EXPORT_EDGE_MARGIN, 1];
+    const depth = relief === 'none' ? 0 : m_Ht * EXPORT_RELIEF_DEPTH * (relief === 'engrave' ? -1 : 1);
+    const scheme = getTickScheme();
+    const trianglesByMaterial = scheme.materials.map(() => []);
+
+    // Column j of segment k (the same on both faces): columns 0-1 are in the front third, 2 in the middle third
+    //  and 3-4 in the back third
+    const cells = [];
+    for (let k = 0; k < NRECT; k++) cells.push(getTickSchemeCells(k));
+    const cell = (k, j) => cells[k][j < 2 ? 0 : (j === 2 ? 2 : 1)];
+    const cellMaterial = (k, j) => cell(k, j).material;
+    // Only tick marks get relief; stripes would meet corner to corner, which isn't a valid solid
+    const cellHeight = (k, j) => (j !== 0 && j !== 4 && cell(k, j).mark) ? depth : 0;
+
+    // Adds quad a-b-c-d (in order around it) facing the direction of hint
+    const addQuad = (a, b, c, d, material, hint) => {
+        const normal = new THREE.Vector3().crossVectors(
+            new THREE.Vector3().subVectors(b, a), new THREE.Vector3().subVectors(c, a));
+        const quad = normal.dot(hint) >= 0 ? [a, b, c, d] : [d, c, b, a];
+        trianglesByMaterial[material].push(quad[0], quad[1], quad[2], quad[0], quad[2], quad[3]);
+    };
 
-            // Position the outer ring
-            hourSphere.position.copy(edgeMidpoint);
-            const outerRadius = 0.4 + 0.13; // torus radius (0.4) + tube radius (0.13)
-            hourSphere.position.addScaledVector(dirOutward, outerRadius);
-
-            // Calculate vectors for torus orientation
-            const tangent = new THREE.Vector3().subVectors(p2, p1).normalize();
-            const normal = new THREE.Vector3().crossVectors(tangent, dirOutward).normalize();
-
-            // Orient torus axis perpendicular to both dirOutward and strip plane
-            // This aligns torus axis with the normal (perpendicular to strip surface)
-            hourSphere.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), tangent);
-
-            // Add rotation animation during ±1 minute from each hour
-            // Calculate fractional hour (0-24) and find position within current hour
-            const fractionalHour = hour24 % 1; // 0 to 1 within each hour
-            const minutesFromHour = Math.abs(fractionalHour - 0.5) * 60; // Minutes from nearest hour (0=on hour, 30=halfway)
-            const minutesWithinHour = fractionalHour < 0.5 ? fractionalHour * 60 : (1 - fractionalHour) * 60; // 0-30 within hour
-
-            // Check if within rotation window
-            const rotationWindow = fastMode ? 6 : 1; // ±6 minutes in fast mode, ±1 in normal
-            if (minutesWithinHour <= rotationWindow) {
-                let rotationAngle = 0;
-
-                if (fastMode) {
-                    // In fast mode: continuous rotation at 2x speed (one rotation per second)
-                    // Use real seconds to create smooth continuous rotation
-                    const currentSeconds = iSec60 + millisec / 1000;
-                    rotationAngle = currentSeconds * Math.PI * 2; // Complete rotation every 1 second (2x speed)
-                } else {
-                    // Normal mode: one rotation every 2 seconds
-                    // Use real seconds to create smooth continuous rotation
-                    const currentSeconds = iSec60 + millisec / 1000;
-                    rotationAngle = (currentSeconds / 2) * Math.PI * 2; // Complete rotation every 2 seconds
+    for (let k = 0; k < NRECT; k++) {
+        ['inner', 'outer'].forEach(side => {
+            const otherSide = side === 'inner' ? 'outer' : 'inner';
+            for (let j = 0; j < 5; j++) {
+                const u0 = columns[j];
+                const u1 = columns[j + 1];
+                const h = cellHeight(k, j);
+                const material = cellMaterial(k, j);
+                const outward = new THREE.Vector3().subVectors(
+                    getSlabPoint(k, side, (u0 + u1) / 2, 0), getSlabPoint(k, otherSide, (u0 + u1) / 2, 0));
+
+                addQuad(getSlabPoint(k, side, u0, h), getSlabPoint(k, side, u1, h),
+                    getSlabPoint(k + 1, side, u1, h), getSlabPoint(k + 1, side, u0, h), material, outward);
+
+                // Step to the next column across the width. Walls face the lower cell.
+                if (j < 4 && cellHeight(k, j + 1) !== h) {
+                    const hNext = cellHeight(k, j + 1);
+                    const towardLower = new THREE.Vector3().subVectors(
+                        getSlabPoint(k, side, hNext < h ? columns[j + 2] : u0, 0), getSlabPoint(k, side, u1, 0));
+                    addQuad(getSlabPoint(k, side, u1, h), getSlabPoint(k + 1, side, u1, h),
+                        getSlabPoint(k + 1, side, u1, hNext), getSlabPoint(k, side, u1, hNext),
+                        material || cellMaterial(k, j + 1), towardLower);
                 }
 
-                // Apply rotation around dirOutward in world space
-                // Use premultiply to apply rotation BEFORE torus orientation
-                // This ensures dirOutward is interpreted in world coordinates, not local torus space
-                const rotationQuat = new THREE.Quaternion().setFromAxisAngle(dirOutward, rotationAngle);
-                hourSphere.quaternion.premultiply(rotationQuat);
-            }
-        } else if (indicatorShapes.hours === 'disc') {
-            const tangent = new THREE.Vector3().subVectors(p2, p1).normalize();
-            hourSphere.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), tangent);
-        } else if (indicatorShapes.hours === 'ring') {
-            // Fix for ring positioning: Calculate dirOutward to point to center of edge
-            const centerIndex1 = index1 % m_NumPoints;
-            const centerIndex2 = index2 % m_NumPoints;
-            const centerPt1 = m_RectCenter3DPtArray[centerIndex1];
-            const centerPt2 = m_RectCenter3DPtArray[centerIndex2];
-            const centerPt = new THREE.Vector3().lerpVectors(centerPt1, centerPt2, fraction);
-
-            // Calculate the midpoint of the edge (center of thickness)
-            let edgeMidpoint1, edgeMidpoint2;
-            if (index1 < m_NumPoints) {
-                // First half: inner edge - midpoint between FrontInner and FrontOuter
-                edgeMidpoint1 = new THREE.Vector3().addVectors(
-                    m_FrontInnerCorner3DPtArray[centerIndex1],
-                    m_FrontOuterCorner3DPtArray[centerIndex1]
-                ).multiplyScalar(0.5);
-                edgeMidpoint2 = new THREE.Vector3().addVectors(
-                    m_FrontInnerCorner3DPtArray[centerIndex2],
-                    m_FrontOuterCorner3DPtArray[centerIndex2]
-                ).multiplyScalar(0.5);
-            } else {
-                // Second half: outer edge - midpoint between BackOuter and BackInner
-                edgeMidpoint1 = new THREE.Vector3().addVectors(
-                    m_BackOuterCorner3DPtArray[centerIndex1],
-                    m_BackInnerCorner3DPtArray[centerIndex1]
-                ).multiplyScalar(0.5);
-                edgeMidpoint2 = new THREE.Vector3().addVectors(
-                    m_BackOuterCorner3DPtArray[centerIndex2],
-                    m_BackInnerCorner3DPtArray[centerIndex2]
-                ).multiplyScalar(0.5);
+                // Step to the next segment along the strip. After the last segment that is segment 0 on the other
+                //  face with the columns mirrored, which is what getSlabPoint(NRECT, ...) gives.
+                const wraps = k === NRECT - 1;
+                const hAlong = wraps ? cellHeight(0, 4 - j) : cellHeight(k + 1, j);
+                const materialAlong = wraps ? cellMaterial(0, 4 - j) : cellMaterial(k + 1, j);
+                if (hAlong !== h) {
+                    const along = new THREE.Vector3().subVectors(getSlabPoint(k + 1, side, 0.5, 0), getSlabPoint(k, side, 0.5, 0));
+                    if (hAlong > h) along.negate();
+                    addQuad(getSlabPoint(k + 1, side, u0, h), getSlabPoint(k + 1, side, u1, h),
+                        getSlabPoint(k + 1, side, u1, hAlong), getSlabPoint(k + 1, side, u0, hAlong),
+                        material || materialAlong, along);
+                }
             }
+        });
+
+        // The two narrow edge faces, which are never raised
+        [0, 1].forEach(u => {
+            const outward = new THREE.Vector3().subVectors(getSlabPoint(k, 'inner', u, 0), getSlabPoint(k, 'inner', 0.5, 0));
+            addQuad(getSlabPoint(k, 'inner', u, 0), getSlabPoint(k + 1, 'inner', u, 0),
+                getSlabPoint(k + 1, 'outer', u, 0), getSlabPoint(k, 'outer', u, 0), cellMaterial(k, u === 0 ? 1 : 3), outward);
+        });
+    }
+
+    const positions = [];
+    const geometry = new THREE.BufferGeometry();
+    trianglesByMaterial.forEach((points, material) => {
+        geometry.addGroup(positions.length / 3, points.length, material);
+        points.forEach(p => positions.push(p.x, p.y, p.z));
+    });
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
 
-            // Interpolate the edge midpoint
-            const edgeMidpoint = new THREE.Vector3().lerpVectors(edgeMidpoint1, edgeMidpoint2, fraction);
+    const themeNames = { strip: 'strip', tick: 'ticks', alternate: 'stripes' };
+    const materials = scheme.materials.map((color, i) => new THREE.MeshStandardMaterial({
+        name: themeNames[color] || `color${i}`,
+        color: getTickMaterialColor(color),
+        metalness: 0.5,
+        roughness: 0.3
+    }));
+    const mesh = new THREE.Mesh(geometry, materials);
+    mesh.name = 'MobiusStrip';
+    return mesh;
+}
 
-            // Set position to the edge midpoint
-            hourSphere.position.copy(edgeMidpoint);
+// The strip, plus the indicators as they are posed right now if asked, scaled so the strip's outer
+//  diameter is the given size (in millimetres for STL and OBJ, metres for glTF).
+function buildExportObject(options) {
+    const group = new THREE.Group();
+    group.add(buildExportStrip(options.relief));
+
+    if (options.includeIndicators && clocks.length > 0) {
+        const clock = clocks[0];
+        clock.mobiusGroup.updateMatrixWorld(true);
+        const toStrip = new THREE.Matrix4().copy(clock.mobiusGroup.matrixWorld).invert();
+        [clock.hourSphere, clock.minuteSphere, clock.secondSphere].forEach((indicator, i) => {
+            if (!indicator) return;
+            const geometry = indicator.geometry.clone();
+            geometry.applyMatrix4(new THREE.Matrix4().multiplyMatrices(toStrip, indicator.matrixWorld));
+            const material = new THREE.MeshStandardMaterial({ color: indicator.material.color.getHex() });
+            material.name = ['hour', 'minute', 'second'][i];
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.name = material.name + 'Indicator';
+            group.add(mesh);
+        });
+    }
 
-            // Calculate dirOutward from center to edge midpoint
-            const dirOutward = new THREE.Vector3().subVectors(edgeMidpoint, centerPt).normalize();
+    const diameter = 2 * (m_Radius + m_Len / 2);
+    group.scale.setScalar(options.size / diameter);
+    group.updateMatrixWorld(true);
+    return group;
+}
 
-            // Move outward from edge so inner edge of torus touches strip edge
-            const tubeRadius = 0.15;
-            hourSphere.position.addScaledVector(dirOutward, m_HourSphereRadius - tubeRadius);
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-            const tangent = new THREE.Vector3().subVectors(p2, p1).normalize();
-            hourSphere.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), tangent);
+// options: { format: 'stl' | 'obj' | 'glb', relief: 'none' | 'emboss' | 'engrave', includeIndicators, size }
+function exportModel(options) {
+    return loadScript(EXPORTER_URLS[options.format]).then(() => {
+        const object = buildExportObject(options);
+        const filename = `mobius-clock-${m_HalfTwists}-twist${options.relief === 'none' ? '' : '-' + options.relief}.${options.format}`;
+
+        if (options.format === 'stl') {
+            const data = new THREE.STLExporter().parse(object, { binary: true });
+            downloadBlob(new Blob([data], { type: 'model/stl' }), filename);
+        } else if (options.format === 'obj') {
+            const data = new THREE.OBJExporter().parse(object);
+            downloadBlob(new Blob([data], { type: 'text/plain' }), filename);
+        } else {
+            return new Promise(resolve => {
+                new THREE.GLTFExporter().parse(object, (data) => {
+                    downloadBlob(new Blob([data], { type: 'model/gltf-binary' }), filename);
+                    resolve();
+                }, { binary: true });
+            });
         }
-    }
+    });
+}
 
-    // Billboard Hour Numbers
-    if (hourNumbersGroup && hourNumbersGroup.visible) {
-        hourNumbersGroup.children.forEach(child => {
-            child.lookAt(camera.position);
+function setupExportUI() {
+    const exportButton = document.getElementById('export-download');
+    if (!exportButton) return;
+    const status = document.getElementById('export-status');
+
+    exportButton.addEventListener('click', () => {
+        const format = document.getElementById('export-format').value;
+        const sizeMm = parseFloat(document.getElementById('export-size').value) || 100;
+        const options = {
+            format: format,
+            relief: document.getElementById('export-relief').value,
+            includeIndicators: document.getElementById('export-indicators').checked,
+            size: format === 'glb' ? sizeMm / 1000 : sizeMm // glTF is in metres
+        };
+        exportButton.disabled = true;
+        status.textContent = t('Building model...');
+        exportModel(options).then(() => {
+            status.textContent = '';
+        }, (err) => {
+            status.textContent = err.message;
+            console.log(`Export failed: ${err.message}`);
+        }).then(() => {
+            exportButton.disabled = false;
         });
-    }
+    });
 }
 
+// --- CAPTURE ---
+// Screenshots and video clips of the 3D canvas for demo material. Only the canvas is captured, so the UI layer
+//  (buttons, digital time, captions) never appears. A screenshot re-renders the current frame at the requested
+//  size, which may be larger than the window, and then puts the renderer back.
+// Video uses MediaRecorder on the canvas stream. The "24-hour cycle" option records a day in Fast Mode, from
+//  midnight to midnight in 60 seconds, and then puts the time back as it was.
+const CAPTURE_VIDEO_FPS = 30;
+const CAPTURE_VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+let mediaRecorder = null;
+let recordingStopTimer = null;
+let recordingRestoreTime = null; // { simulation } to go back to after a 24-hour cycle recording
+
+// e.g. mobius-clock_2-05-32-PM_standard_classic_zen.png: the time as shown in the digital readout, then settings
+function getCaptureName(extension) {
+    const displayed = document.getElementById('digital-time-text').textContent.trim();
+    const parts = ['mobius-clock', displayed.replace(/[^0-9A-Za-z]+/g, '-')];
+    if (clockMode !== 'clock') parts.push(clockMode);
+    if (clocks.length === 1 && clocks[0].timeZone) parts.push(getZoneCity(clocks[0].timeZone).replace(/\s+/g, '-'));
+    parts.push(zenMode ? 'zen' : currentTickScheme, currentThemeName);
+    if (m_HalfTwists !== 1) parts.push(`${m_HalfTwists}-twists`);
+    if (simulation && simulation.speed !== 1) parts.push(simulation.speed === 0 ? 'paused' : `${simulation.speed}x`);
+    return parts.join('_') + '.' + extension;
+}
 
+// Renders the current frame at width x height and downloads it as a PNG.
+function captureScreenshot(width, height) {
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    width = Math.max(1, Math.round(width * scale));
+    height = Math.max(1, Math.round(height * scale));
 
-function setIndicatorShape(type, shape) {
-    indicatorShapes[type] = shape;
+    const originalSize = renderer.getSize(new THREE.Vector2());
+    const originalPixelRatio = renderer.getPixelRatio();
+    const originalAspect = camera.aspect;
+    const filename = getCaptureName('png');
 
-    // Define geometries based on shape
-    let geometry;
-    if (shape === 'disc') {
-        const h = 0.1; // Thickness of the disc
-        if (type === 'hours') geometry = new THREE.CylinderGeometry(m_HourSphereRadius, m_HourSphereRadius, h, 32);
-        else if (type === 'minutes') geometry = new THREE.CylinderGeometry(m_MinutesRadius, m_MinutesRadius, h, 32);
-        else if (type === 'seconds') geometry = new THREE.CylinderGeometry(m_SecondsRadius, m_SecondsRadius, h, 32);
-    } else if (shape === 'ring' || shape === 'outer-ring') {
-        // Ring (torus) - for minutes and hours
-        if (type === 'hours') {
-            if (shape === 'outer-ring') {
-                // Outer ring: torus radius matches hour number offset (0.4), smaller tube
-                geometry = new THREE.TorusGeometry(0.4, 0.13, 16, 32);
+    renderer.setPixelRatio(1); // width x height pixels, whatever the quality tier's pixel ratio
+    renderer.setSize(width, height, false); // false: leave the canvas's CSS size alone
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.render(scene, camera);
+
+    // toBlob copies the canvas right away, so the renderer can be put back before the PNG is encoded
+    const done = new Promise((resolve, reject) => {
+        renderer.domElement.toBlob(blob => {
+            if (blob) {
+                downloadBlob(blob, filename);
+                resolve({ width: width, height: height });
             } else {
-                // Regular ring
-                geometry = new THREE.TorusGeometry(m_HourSphereRadius, 0.15, 16, 32);
+                reject(new Error('Could not create the image'));
             }
-        } else if (type === 'minutes') {
-            geometry = new THREE.TorusGeometry(m_MinutesRadius, 0.12, 16, 32);
-        }
+        }, 'image/png');
+    });
+
+    renderer.setPixelRatio(originalPixelRatio);
+    renderer.setSize(originalSize.x, originalSize.y, false);
+    camera.aspect = originalAspect;
+    camera.updateProjectionMatrix();
+    renderer.render(scene, camera);
+    return done;
+}
+
+function isRecordingSupported() {
+    return Boolean(window.MediaRecorder && renderer.domElement.captureStream);
+}
+
+function isRecording() {
+    return mediaRecorder !== null;
+}
+
+// fullCycle: record today from midnight to midnight in Fast Mode (60 seconds).
+function startRecording(fullCycle) {
+    if (isRecording() || !isRecordingSupported()) return;
+
+    if (fullCycle) {
+        recordingRestoreTime = { simulation: simulation ? { time: getNow().getTime(), speed: simulation.speed } : null };
+        setSimulation(getStartOfDay(getNow()), FAST_MODE_SPEED);
+        beginMediaRecorder();
+        recordingStopTimer = setTimeout(stopRecording, 24 * 60 * 60 * 1000 / FAST_MODE_SPEED);
     } else {
-        if (type === 'hours') geometry = new THREE.SphereGeometry(m_HourSphereRadius, 32, 32);
-        else if (type === 'minutes') geometry = new THREE.SphereGeometry(m_MinutesRadius, 32, 32);
-        else if (type === 'seconds') geometry = new THREE.SphereGeometry(m_SecondsRadius, 32, 32);
+        beginMediaRecorder();
     }
+    updateCaptureUI();
+}
 
-    // Update the specific mesh
-    if (type === 'hours') {
-        if (hourSphere) {
-            mobiusGroup.remove(hourSphere);
-            hourSphere.geometry.dispose(); // Clean up old geometry
-        }
-        const hourMat = new THREE.MeshStandardMaterial({ color: 0xADFF2F });
-        hourSphere = new THREE.Mesh(geometry, hourMat);
-        mobiusGroup.add(hourSphere);
-    } else if (type === 'minutes') {
-        if (minuteSphere) {
-            mobiusGroup.remove(minuteSphere);
-            minuteSphere.geometry.dispose();
-        }
-        const minuteMat = new THREE.MeshStandardMaterial({ color: 0x00FFFF });
-        minuteSphere = new THREE.Mesh(geometry, minuteMat);
-        mobiusGroup.add(minuteSphere);
-    } else if (type === 'seconds') {
-        if (secondSphere) {
-            mobiusGroup.remove(secondSphere);
-            secondSphere.geometry.dispose();
-        }
-        const secondMat = new THREE.MeshStandardMaterial({ color: 0xFF7F50 });
-        secondSphere = new THREE.Mesh(geometry, secondMat);
-        mobiusGroup.add(secondSphere);
-    }
+function beginMediaRecorder() {
+    const mimeType = CAPTURE_VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const stream = renderer.domElement.captureStream(CAPTURE_VIDEO_FPS);
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType: mimeType } : undefined);
+    const filename = getCaptureName('webm'); // named for the time the clip starts
+    const chunks = [];
 
-    // Trigger update to set positions immediately
-    updateClock();
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        downloadBlob(new Blob(chunks, { type: 'video/webm' }), filename);
+    };
+    recorder.start(1000); // collect data every second, so a long clip isn't one huge buffer at the end
+    mediaRecorder = recorder;
 }
 
-function createClockHands() {
-    // Initialize with current indicatorShapes (defaults or from URL)
-    setIndicatorShape('hours', indicatorShapes.hours);
-    setIndicatorShape('minutes', indicatorShapes.minutes);
-    setIndicatorShape('seconds', indicatorShapes.seconds);
+function stopRecording() {
+    clearTimeout(recordingStopTimer);
+    recordingStopTimer = null;
+    if (mediaRecorder) {
+        mediaRecorder.stop();
+        mediaRecorder = null;
+    }
+    if (recordingRestoreTime) {
+        const previous = recordingRestoreTime.simulation;
+        recordingRestoreTime = null;
+        if (previous) setSimulation(previous.time, previous.speed);
+        else resumeLiveTime();
+    }
+    updateCaptureUI();
 }
-function handleWindowResize() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
 
-    camera.aspect = width / height;
-    camera.updateProjectionMatrix();
+function updateCaptureUI() {
+    const recordButton = document.getElementById('capture-record');
+    const status = document.getElementById('capture-status');
+    if (recordButton) {
+        recordButton.textContent = t(isRecording() ? 'Stop Recording' : 'Record Video');
+        recordButton.classList.toggle('active', isRecording());
+    }
+    if (!status) return;
+    if (mediaRecorder) status.textContent = t('Recording...');
+    else if (!isRecordingSupported()) status.textContent = t('Video recording is not supported in this browser.');
+    else status.textContent = '';
+}
 
-    renderer.setSize(width, height);
+function setupCaptureUI() {
+    const widthInput = document.getElementById('capture-width');
+    const heightInput = document.getElementById('capture-height');
+    // Default to twice the window, which keeps the framing of the screen
+    if (widthInput && !widthInput.value) widthInput.value = window.innerWidth * 2;
+    if (heightInput && !heightInput.value) heightInput.value = window.innerHeight * 2;
+
+    const screenshotButton = document.getElementById('capture-screenshot');
+    if (screenshotButton) {
+        screenshotButton.addEventListener('click', () => {
+            const width = parseInt(widthInput.value, 10) || window.innerWidth;
+            const height = parseInt(heightInput.value, 10) || window.innerHeight;
+            captureScreenshot(width, height).then(size => {
+                document.getElementById('capture-status').textContent = t('Saved {width} × {height} PNG', size);
+            }, err => {
+                document.getElementById('capture-status').textContent = err.message;
+            });
+        });
+    }
 
-    // Adjust camera distance for mobile to fit the model
-    if (width < 600) {
-        camera.position.z = 13.0; // Zoom out for mobile to fit width
-    } else {
-        camera.position.z = 7.2; // Default for desktop (adjusted larger)
+    const recordButton = document.getElementById('capture-record');
+    if (recordButton) {
+        recordButton.addEventListener('click', () => {
+            if (isRecording()) {
+                stopRecording();
+            } else {
+                startRecording(document.getElementById('capture-full-cycle').checked);
+            }
+        });
     }
+    updateCaptureUI();
+}
+
+// --- OFFLINE ---
+// sw.js keeps a copy of the app shell (the page, scripts, bundled three.js and label font, icons) so the clock
+//  installs as an app and starts without a network. Service workers need http(s), so opening index.html
+//  straight from disk just skips this.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(err => {
+            console.log(`Service worker registration failed: ${err.message}`);
+        });
+    });
 }
 
+if (!embedMode) loadAlarms();
+if (embedMode) document.body.classList.add('embedded');
 init();
 handleWindowResize();
 setupUIEventListeners();
-syncUIWithState();
+setupAlarmUI();
+setupChimesUI();
+setupModeUI();
+setupCalendarUI();
+setupSunUI();
+setupThemeUI();
+setupShareUI();
+setupGeometryUI();
+setupExportUI();
+setupCaptureUI();
+setupSimulationUI();
+setupReadoutUI();
+setupHourLabelsUI();
+setupLanguageUI();
+setupAccessibilityUI();
+setupPerformanceUI();
+setupQualityUI();
+setupTickSchemeUI();
+setupIndicatorMotionUI();
+applyLanguage(); // also syncs the UI
+registerServiceWorker();
 
 if (startInZen) {
     toggleZenMode();
@@ -1263,13 +6386,13 @@ if (fullscreenBtn) {
         }
     });
 
-    document.addEventListener('fullscreenchange', () => {
+    addGlobalListener(document, 'fullscreenchange', () => {
         if (document.fullscreenElement) {
-            fullscreenBtn.textContent = 'Exit';
+            fullscreenBtn.textContent = t('Exit');
         } else {
-            fullscreenBtn.textContent = 'Fullscreen';
+            fullscreenBtn.textContent = t('Fullscreen');
         }
     });
 }
 
-window.addEventListener('resize', handleWindowResize);
+addGlobalListener(window, 'resize', handleWindowResize);
@@ -0,0 +1,65 @@
+// Service worker: keeps the app shell in a cache so the clock installs as an app and runs with no network.
+// Everything the page needs comes from this origin (three.js, its exporters and the label font are bundled in
+//  vendor/three), so the list below is the whole app. Same-origin requests are stale-while-revalidate: answered
+//  from the cache when it has them while a fresh copy is fetched and cached for the next load, so an update shows
+//  up one reload after it is published. Files not in the list (e.g. an hourFont= file next to the app) are cached
+//  as they pass, so they work offline after the first visit. Other origins, like analytics, are left alone.
+// Bump CACHE_VERSION with each release (along with the ?v= numbers in index.html) so clients drop the old files.
+const CACHE_VERSION = 'v0.9.0';
+const CACHE_NAME = `mobius-clock-${CACHE_VERSION}`;
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'translations.js',
+    'mobius-clock.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'vendor/three/three.min.js',
+    'vendor/three/OrbitControls.js',
+    'vendor/three/STLExporter.js',
+    'vendor/three/OBJExporter.js',
+    'vendor/three/GLTFExporter.js',
+    'vendor/three/fonts/helvetiker_regular.typeface.json'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys().then(names => Promise.all(names
+        .filter(name => name.startsWith('mobius-clock-') && name !== CACHE_NAME)
+        .map(name => caches.delete(name))
+    )).then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Cached without the query: index.html asks for script.js?v=..., and the settings live in the hash or query
+    const key = url.origin + url.pathname;
+    const fresh = fetch(request);
+    event.waitUntil(fresh.then(response => {
+        if (!response.ok) return;
+        const copy = response.clone(); // before the page reads the body
+        return caches.open(CACHE_NAME).then(cache => cache.put(key, copy));
+    }).catch(() => {
+        // offline: keep what is cached
+    }));
+
+    event.respondWith(caches.match(key).then(cached => {
+        if (cached) return cached;
+        return fresh.catch(() => {
+            // Offline and not cached: a page load still gets the app
+            if (request.mode === 'navigate') return caches.match('index.html');
+            throw new Error(`Offline and not cached: ${request.url}`);
+        });
+    }));
+});
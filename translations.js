@@ -0,0 +1,491 @@
+// UI translations, used by t() and translatePage() in script.js (see TRANSLATIONS there).
+// Keys are the English text as written in index.html and script.js (with runs of whitespace collapsed), so a
+//  string missing here simply stays in English. {name} placeholders are filled in by t().
+const TRANSLATIONS = {
+    es: {
+        // Toolbar and buttons
+        'WHY?': '¿POR QUÉ?',
+        'Why?': '¿Por qué?',
+        'Reset View': 'Restablecer vista',
+        'View': 'Vista',
+        'Rotate': 'Girar',
+        'Stop Rotation': 'Detener giro',
+        'Stop': 'Detener',
+        'Fast Mode': 'Modo rápido',
+        'Fast': 'Rápido',
+        'Now': 'Ahora',
+        'Zen Mode': 'Modo zen',
+        'Zen': 'Zen',
+        'Exit Zen': 'Salir de zen',
+        'Exit': 'Salir',
+        'Hide Hours': 'Ocultar horas',
+        'Show Hours': 'Mostrar horas',
+        'Hours': 'Horas',
+        'Fullscreen': 'Pantalla completa',
+        'Start': 'Iniciar',
+        'Pause': 'Pausa',
+        'Play': 'Reanudar',
+        'Reset': 'Reiniciar',
+        'Lap': 'Vuelta',
+        'OK': 'Aceptar',
+
+        // Settings
+        'Settings': 'Ajustes',
+        'Indicator Shape': 'Forma de los indicadores',
+        'Hours:': 'Horas:',
+        'Minutes:': 'Minutos:',
+        'Seconds:': 'Segundos:',
+        'Sphere': 'Esfera',
+        'Disc': 'Disco',
+        'Ring': 'Anillo',
+        'Outer Ring': 'Anillo exterior',
+        'Tick Marks': 'Marcas',
+        'Standard (Hour + Min/Sec)': 'Estándar (hora + min/seg)',
+        'Minimal (Hour Only)': 'Mínimo (solo horas)',
+        'Alternating Colors': 'Colores alternos',
+        'Alternating hours and min': 'Horas y minutos alternos',
+        'Strip Shape': 'Forma de la banda',
+        'Half-twists:': 'Medias vueltas:',
+        '1 (Mobius strip)': '1 (banda de Möbius)',
+        'Width:': 'Ancho:',
+        'Thickness:': 'Grosor:',
+        'Radius:': 'Radio:',
+        'Resolution:': 'Resolución:',
+        '120 segments': '120 segmentos',
+        '180 segments': '180 segmentos',
+        '240 segments': '240 segmentos',
+        '360 segments': '360 segmentos',
+        '480 segments': '480 segmentos',
+        '720 segments': '720 segmentos',
+        'Default Shape': 'Forma predeterminada',
+        'Hour Labels': 'Etiquetas de las horas',
+        'Numerals:': 'Números:',
+        'Latin (1, 2, 3)': 'Latinos (1, 2, 3)',
+        'Roman (I, II, III)': 'Romanos (I, II, III)',
+        'Arabic-Indic (١, ٢, ٣)': 'Arábigo-índicos (١, ٢, ٣)',
+        'Devanagari (१, २, ३)': 'Devanagari (१, २, ३)',
+        'CJK (一, 二, 三)': 'CJK (一, 二, 三)',
+        'Labels:': 'Etiquetas:',
+        'Every hour': 'Cada hora',
+        '1 to 12 only': 'Solo de 1 a 12',
+        'Cardinal hours only (every 3 hours)': 'Solo horas cardinales (cada 3 horas)',
+        'Font URL (typeface.json), optional': 'URL de la fuente (typeface.json), opcional',
+        'Label font unavailable, using plain labels.': 'Fuente de etiquetas no disponible; se usan etiquetas simples.',
+        'Loading label font...': 'Cargando la fuente de etiquetas...',
+        'Retry': 'Reintentar',
+        'Language': 'Idioma',
+        'Browser default': 'Predeterminado del navegador',
+        'Theme': 'Tema',
+        'Classic': 'Clásico',
+        'Dark': 'Oscuro',
+        'Light': 'Claro',
+        'High Contrast': 'Alto contraste',
+        'Neon': 'Neón',
+        'Brass': 'Latón',
+        'Custom': 'Personalizado',
+        'Changing a color switches to the Custom theme': 'Cambiar un color activa el tema personalizado',
+        'Time Zone': 'Zona horaria',
+        'Local (this device)': 'Local (este dispositivo)',
+        'Time Style': 'Formato de hora',
+        '12-hour (AM/PM)': '12 horas (AM/PM)',
+        '24-hour': '24 horas',
+        'Digital Readout': 'Hora digital',
+        'Seconds': 'Segundos',
+        'Weekday': 'Día de la semana',
+        'Date': 'Fecha',
+        'Custom format, e.g. HH:mm or ddd D MMM': 'Formato personalizado, p. ej. HH:mm o ddd D MMM',
+        'Locale, e.g. de-DE (browser default)': 'Configuración regional, p. ej. es-ES (la del navegador)',
+        'Top right': 'Arriba a la derecha',
+        'Top center': 'Arriba al centro',
+        'Center': 'Centro',
+        'Bottom center': 'Abajo al centro',
+        'Hidden': 'Oculta',
+        'Small': 'Pequeña',
+        'Normal': 'Normal',
+        'Large': 'Grande',
+        'Kiosk (very large)': 'Quiosco (muy grande)',
+        'Sun': 'Sol',
+        'Shade daylight and twilight on the hour edge': 'Sombrear el día y el crepúsculo en el borde de las horas',
+        'Latitude:': 'Latitud:',
+        'Longitude:': 'Longitud:',
+        'Use My Location': 'Usar mi ubicación',
+        'Sunrise / Sunset': 'Amanecer / Atardecer',
+        'Civil twilight': 'Crepúsculo civil',
+        'Nautical twilight': 'Crepúsculo náutico',
+        'Astronomical twilight': 'Crepúsculo astronómico',
+        'Mode': 'Modo',
+        'Clock': 'Reloj',
+        'Timer': 'Temporizador',
+        'Stopwatch': 'Cronómetro',
+        'Timer length:': 'Duración del temporizador:',
+        'Time Travel': 'Viaje en el tiempo',
+        'Time of day:': 'Hora del día:',
+        'Speed:': 'Velocidad:',
+        '× real time': '× tiempo real',
+        'Reverse': 'Invertir',
+        'Alarms': 'Alarmas',
+        'Alarm': 'Alarma',
+        'Label (optional)': 'Etiqueta (opcional)',
+        'Repeat on these days (none = once)': 'Repetir estos días (ninguno = una vez)',
+        'Spin hour ring when ringing': 'Girar el anillo de la hora al sonar',
+        'Add Alarm': 'Añadir alarma',
+        'Enabled': 'Activada',
+        'Delete alarm': 'Eliminar alarma',
+        'Once': 'Una vez',
+        'Every day': 'Todos los días',
+        'Snooze 5 min': 'Posponer 5 min',
+        'Dismiss': 'Descartar',
+        'Calendar': 'Calendario',
+        '...or paste iCalendar text (BEGIN:VCALENDAR ...)': '...o pega texto iCalendar (BEGIN:VCALENDAR ...)',
+        'Load Pasted Text': 'Cargar texto pegado',
+        'Clear': 'Borrar',
+        '{count} events loaded, {today} today': '{count} eventos cargados, {today} hoy',
+        'Capture': 'Captura',
+        'Image size:': 'Tamaño de la imagen:',
+        'Save PNG': 'Guardar PNG',
+        'Record a 24-hour cycle in Fast Mode (60 s)': 'Grabar un ciclo de 24 horas en modo rápido (60 s)',
+        'Record Video': 'Grabar vídeo',
+        'Stop Recording': 'Detener grabación',
+        'Recording...': 'Grabando...',
+        'Video recording is not supported in this browser.': 'Este navegador no permite grabar vídeo.',
+        'Saved {width} × {height} PNG': 'PNG de {width} × {height} guardado',
+        '3D Export': 'Exportación 3D',
+        'Format:': 'Formato:',
+        'STL (binary)': 'STL (binario)',
+        'glTF (.glb, with colors)': 'glTF (.glb, con colores)',
+        'Tick marks:': 'Marcas:',
+        'Flat': 'Planas',
+        'Embossed (raised)': 'En relieve',
+        'Engraved (sunk)': 'Grabadas (hundidas)',
+        'Diameter (mm):': 'Diámetro (mm):',
+        'Include the indicators, posed at the current time': 'Incluir los indicadores en la hora actual',
+        'Download Model': 'Descargar modelo',
+        'Building model...': 'Generando modelo...',
+        'Share': 'Compartir',
+        'Puts the current settings in the address bar and copies the link':
+            'Pone los ajustes actuales en la barra de direcciones y copia el enlace',
+        'Copy Share Link': 'Copiar enlace',
+        'Link copied': 'Enlace copiado',
+        'Link is in the address bar': 'El enlace está en la barra de direcciones',
+
+        // Accessibility
+        'Clock controls': 'Controles del reloj',
+        'Close settings': 'Cerrar ajustes',
+        'Custom format': 'Formato personalizado',
+        'Locale': 'Configuración regional',
+        'Readout position': 'Posición de la hora digital',
+        'Readout size': 'Tamaño de la hora digital',
+        'Alarm time': 'Hora de la alarma',
+        'Calendar file (.ics)': 'Archivo de calendario (.ics)',
+        'iCalendar text': 'Texto iCalendar',
+        'Image width': 'Ancho de la imagen',
+        'Image height': 'Alto de la imagen',
+        'Accessibility': 'Accesibilidad',
+        'Announce time:': 'Anunciar la hora:',
+        'Off': 'Desactivado',
+        'Every minute': 'Cada minuto',
+        'Every 5 minutes': 'Cada 5 minutos',
+        'Every 15 minutes': 'Cada 15 minutos',
+        'Every 30 minutes': 'Cada 30 minutos',
+        'Announce Time': 'Anunciar la hora',
+        'Shortcut: T': 'Atajo: T',
+        'Motion:': 'Movimiento:',
+        'Follow system setting': 'Según el sistema',
+        'Full motion': 'Movimiento completo',
+        'Reduced motion': 'Movimiento reducido',
+        'It is {time}': 'Son las {time}',
+        'Chimes': 'Campanadas',
+        'Strike the hours': 'Dar las horas',
+        'Westminster quarters': 'Cuartos de Westminster',
+        'Tick every second': 'Tictac cada segundo',
+        'Volume:': 'Volumen:',
+        'Quiet hours:': 'Horas de silencio:',
+        'to': 'a',
+        'Quiet hours start': 'Inicio de las horas de silencio',
+        'Quiet hours end': 'Fin de las horas de silencio',
+        'Play Hour Chime': 'Tocar la campanada de la hora',
+        'Performance': 'Rendimiento',
+        'Frame rate:': 'Fotogramas por segundo:',
+        'In Zen Mode:': 'En modo zen:',
+        'Quality:': 'Calidad:',
+        'Auto': 'Automática',
+        'High': 'Alta',
+        'Medium': 'Media',
+        'Low': 'Baja',
+        'Show performance HUD': 'Mostrar el panel de rendimiento',
+        'Tick scheme (JSON)': 'Esquema de marcas (JSON)',
+        'Editing the scheme switches to the Custom scheme': 'Editar el esquema activa el esquema personalizado',
+        'Tick scheme file (.json)': 'Archivo de esquema de marcas (.json)',
+        'Save Scheme File': 'Guardar archivo del esquema',
+        'Not applied: {error}': 'No aplicado: {error}',
+        'Indicator Motion': 'Movimiento de los indicadores',
+        'Smooth sweep': 'Barrido continuo',
+        'Quartz tick': 'Salto de cuarzo',
+        'Mechanical (8 beats/s)': 'Mecánico (8 golpes/s)',
+        'Railway (stop-to-go)': 'Ferroviario (parada en las 12)',
+        'Continuous': 'Continuo',
+        'Step each minute': 'Salto cada minuto',
+        // Explainer
+        'Why a Mobius Clock?': '¿Por qué un reloj de Möbius?',
+        'Reason: to show 24-hour time on a 12-hour clock face. Since the hour indicator moves along the edge of the Mobius strip (try Fast Mode for demo), it must make 2 full turns to return to its starting point, thus showing the 24-hour time: Noon is at the bottom of the upper arch, and midnight is at the top. Turn on the hour labels to see the hours. The minute and second indicators move along the center of the strip, so they complete a cycle in only one turn.':
+            'Motivo: mostrar la hora en formato de 24 horas en una esfera de 12 horas. Como el indicador de la hora ' +
+            'recorre el borde de la banda de Möbius (prueba el modo rápido), necesita 2 vueltas completas para volver ' +
+            'a su punto de partida, y así muestra las 24 horas: el mediodía está en la parte baja del arco superior y ' +
+            'la medianoche en lo alto. Activa las etiquetas para ver las horas. Los indicadores de minutos y segundos ' +
+            'recorren el centro de la banda, así que completan su ciclo en una sola vuelta.',
+        'This strip has the classic single half-twist. Try 3 or 5 half-twists in Settings: the edge still takes 2 full turns (24 hours) to close, since any odd number of half-twists joins the edge to itself, but on the way it winds around the band more often and ties itself in a knot.':
+            'Esta banda tiene la clásica media vuelta. Prueba 3 o 5 medias vueltas en Ajustes: el borde sigue ' +
+            'necesitando 2 vueltas completas (24 horas) para cerrarse, porque cualquier número impar de medias vueltas ' +
+            'une el borde consigo mismo, pero por el camino rodea la banda más veces y forma un nudo.',
+        'This strip has {twists} half-twists. Its edge still closes after 2 full turns (24 hours), but it winds {twists} half-turns around the band on each lap, so the hour indicator flips between faces every {hours} hours instead of every 12, and the edge forms a {knot} knot.':
+            'Esta banda tiene {twists} medias vueltas. Su borde sigue cerrándose tras 2 vueltas completas (24 horas), ' +
+            'pero rodea la banda {twists} medias vueltas en cada recorrido, así que el indicador de la hora cambia de ' +
+            'cara cada {hours} horas en lugar de cada 12, y el borde forma un nudo {knot}.',
+        'trefoil': 'de trébol',
+        'cinquefoil': 'de cinco lóbulos'
+    },
+
+    de: {
+        // Toolbar and buttons
+        'WHY?': 'WARUM?',
+        'Why?': 'Warum?',
+        'Reset View': 'Ansicht zurücksetzen',
+        'View': 'Ansicht',
+        'Rotate': 'Drehen',
+        'Stop Rotation': 'Drehung stoppen',
+        'Stop': 'Stopp',
+        'Fast Mode': 'Zeitraffer',
+        'Fast': 'Schnell',
+        'Now': 'Jetzt',
+        'Zen Mode': 'Zen-Modus',
+        'Zen': 'Zen',
+        'Exit Zen': 'Zen beenden',
+        'Exit': 'Beenden',
+        'Hide Hours': 'Stunden ausblenden',
+        'Show Hours': 'Stunden einblenden',
+        'Hours': 'Stunden',
+        'Fullscreen': 'Vollbild',
+        'Start': 'Start',
+        'Pause': 'Pause',
+        'Play': 'Weiter',
+        'Reset': 'Zurücksetzen',
+        'Lap': 'Runde',
+        'OK': 'OK',
+
+        // Settings
+        'Settings': 'Einstellungen',
+        'Indicator Shape': 'Form der Zeiger',
+        'Hours:': 'Stunden:',
+        'Minutes:': 'Minuten:',
+        'Seconds:': 'Sekunden:',
+        'Sphere': 'Kugel',
+        'Disc': 'Scheibe',
+        'Ring': 'Ring',
+        'Outer Ring': 'Außenring',
+        'Tick Marks': 'Markierungen',
+        'Standard (Hour + Min/Sec)': 'Standard (Stunden + Min./Sek.)',
+        'Minimal (Hour Only)': 'Minimal (nur Stunden)',
+        'Alternating Colors': 'Wechselnde Farben',
+        'Alternating hours and min': 'Wechselnd Stunden und Minuten',
+        'Strip Shape': 'Form des Bandes',
+        'Half-twists:': 'Halbe Drehungen:',
+        '1 (Mobius strip)': '1 (Möbiusband)',
+        'Width:': 'Breite:',
+        'Thickness:': 'Dicke:',
+        'Radius:': 'Radius:',
+        'Resolution:': 'Auflösung:',
+        '120 segments': '120 Segmente',
+        '180 segments': '180 Segmente',
+        '240 segments': '240 Segmente',
+        '360 segments': '360 Segmente',
+        '480 segments': '480 Segmente',
+        '720 segments': '720 Segmente',
+        'Default Shape': 'Standardform',
+        'Hour Labels': 'Stundenbeschriftung',
+        'Numerals:': 'Ziffern:',
+        'Latin (1, 2, 3)': 'Lateinisch (1, 2, 3)',
+        'Roman (I, II, III)': 'Römisch (I, II, III)',
+        'Arabic-Indic (١, ٢, ٣)': 'Arabisch-indisch (١, ٢, ٣)',
+        'Devanagari (१, २, ३)': 'Devanagari (१, २, ३)',
+        'CJK (一, 二, 三)': 'CJK (一, 二, 三)',
+        'Labels:': 'Beschriftung:',
+        'Every hour': 'Jede Stunde',
+        '1 to 12 only': 'Nur 1 bis 12',
+        'Cardinal hours only (every 3 hours)': 'Nur Hauptstunden (alle 3 Stunden)',
+        'Font URL (typeface.json), optional': 'Schrift-URL (typeface.json), optional',
+        'Label font unavailable, using plain labels.': 'Beschriftungsschrift nicht verfügbar, einfache Beschriftung wird verwendet.',
+        'Loading label font...': 'Beschriftungsschrift wird geladen...',
+        'Retry': 'Erneut versuchen',
+        'Language': 'Sprache',
+        'Browser default': 'Wie im Browser',
+        'Theme': 'Farbschema',
+        'Classic': 'Klassisch',
+        'Dark': 'Dunkel',
+        'Light': 'Hell',
+        'High Contrast': 'Hoher Kontrast',
+        'Neon': 'Neon',
+        'Brass': 'Messing',
+        'Custom': 'Eigenes',
+        'Changing a color switches to the Custom theme': 'Eine Farbe zu ändern wechselt zum eigenen Farbschema',
+        'Time Zone': 'Zeitzone',
+        'Local (this device)': 'Lokal (dieses Gerät)',
+        'Time Style': 'Zeitformat',
+        '12-hour (AM/PM)': '12 Stunden (AM/PM)',
+        '24-hour': '24 Stunden',
+        'Digital Readout': 'Digitalanzeige',
+        'Seconds': 'Sekunden',
+        'Weekday': 'Wochentag',
+        'Date': 'Datum',
+        'Custom format, e.g. HH:mm or ddd D MMM': 'Eigenes Format, z. B. HH:mm oder ddd D MMM',
+        'Locale, e.g. de-DE (browser default)': 'Gebietsschema, z. B. de-DE (wie im Browser)',
+        'Top right': 'Oben rechts',
+        'Top center': 'Oben mittig',
+        'Center': 'Mitte',
+        'Bottom center': 'Unten mittig',
+        'Hidden': 'Ausgeblendet',
+        'Small': 'Klein',
+        'Normal': 'Normal',
+        'Large': 'Groß',
+        'Kiosk (very large)': 'Kiosk (sehr groß)',
+        'Sun': 'Sonne',
+        'Shade daylight and twilight on the hour edge': 'Tageslicht und Dämmerung am Stundenrand zeigen',
+        'Latitude:': 'Breitengrad:',
+        'Longitude:': 'Längengrad:',
+        'Use My Location': 'Meinen Standort verwenden',
+        'Sunrise / Sunset': 'Sonnenaufgang / -untergang',
+        'Civil twilight': 'Bürgerliche Dämmerung',
+        'Nautical twilight': 'Nautische Dämmerung',
+        'Astronomical twilight': 'Astronomische Dämmerung',
+        'Mode': 'Modus',
+        'Clock': 'Uhr',
+        'Timer': 'Timer',
+        'Stopwatch': 'Stoppuhr',
+        'Timer length:': 'Timer-Dauer:',
+        'Time Travel': 'Zeitreise',
+        'Time of day:': 'Uhrzeit:',
+        'Speed:': 'Geschwindigkeit:',
+        '× real time': '× Echtzeit',
+        'Reverse': 'Rückwärts',
+        'Alarms': 'Wecker',
+        'Alarm': 'Wecker',
+        'Label (optional)': 'Bezeichnung (optional)',
+        'Repeat on these days (none = once)': 'An diesen Tagen wiederholen (keiner = einmalig)',
+        'Spin hour ring when ringing': 'Stundenring beim Klingeln drehen',
+        'Add Alarm': 'Wecker hinzufügen',
+        'Enabled': 'Aktiv',
+        'Delete alarm': 'Wecker löschen',
+        'Once': 'Einmalig',
+        'Every day': 'Täglich',
+        'Snooze 5 min': '5 Min. schlummern',
+        'Dismiss': 'Ausschalten',
+        'Calendar': 'Kalender',
+        '...or paste iCalendar text (BEGIN:VCALENDAR ...)': '...oder iCalendar-Text einfügen (BEGIN:VCALENDAR ...)',
+        'Load Pasted Text': 'Eingefügten Text laden',
+        'Clear': 'Leeren',
+        '{count} events loaded, {today} today': '{count} Termine geladen, {today} heute',
+        'Capture': 'Aufnahme',
+        'Image size:': 'Bildgröße:',
+        'Save PNG': 'PNG speichern',
+        'Record a 24-hour cycle in Fast Mode (60 s)': 'Einen 24-Stunden-Zyklus im Zeitraffer aufnehmen (60 s)',
+        'Record Video': 'Video aufnehmen',
+        'Stop Recording': 'Aufnahme beenden',
+        'Recording...': 'Aufnahme läuft...',
+        'Video recording is not supported in this browser.': 'Dieser Browser kann keine Videos aufnehmen.',
+        'Saved {width} × {height} PNG': 'PNG mit {width} × {height} gespeichert',
+        '3D Export': '3D-Export',
+        'Format:': 'Format:',
+        'STL (binary)': 'STL (binär)',
+        'glTF (.glb, with colors)': 'glTF (.glb, mit Farben)',
+        'Tick marks:': 'Markierungen:',
+        'Flat': 'Flach',
+        'Embossed (raised)': 'Erhaben',
+        'Engraved (sunk)': 'Graviert (vertieft)',
+        'Diameter (mm):': 'Durchmesser (mm):',
+        'Include the indicators, posed at the current time': 'Zeiger mit der aktuellen Uhrzeit einschließen',
+        'Download Model': 'Modell herunterladen',
+        'Building model...': 'Modell wird erstellt...',
+        'Share': 'Teilen',
+        'Puts the current settings in the address bar and copies the link':
+            'Schreibt die aktuellen Einstellungen in die Adresszeile und kopiert den Link',
+        'Copy Share Link': 'Link kopieren',
+        'Link copied': 'Link kopiert',
+        'Link is in the address bar': 'Der Link steht in der Adresszeile',
+
+        // Accessibility
+        'Clock controls': 'Uhrsteuerung',
+        'Close settings': 'Einstellungen schließen',
+        'Custom format': 'Eigenes Format',
+        'Locale': 'Gebietsschema',
+        'Readout position': 'Position der Digitalanzeige',
+        'Readout size': 'Größe der Digitalanzeige',
+        'Alarm time': 'Weckzeit',
+        'Calendar file (.ics)': 'Kalenderdatei (.ics)',
+        'iCalendar text': 'iCalendar-Text',
+        'Image width': 'Bildbreite',
+        'Image height': 'Bildhöhe',
+        'Accessibility': 'Barrierefreiheit',
+        'Announce time:': 'Uhrzeit ansagen:',
+        'Off': 'Aus',
+        'Every minute': 'Jede Minute',
+        'Every 5 minutes': 'Alle 5 Minuten',
+        'Every 15 minutes': 'Alle 15 Minuten',
+        'Every 30 minutes': 'Alle 30 Minuten',
+        'Announce Time': 'Uhrzeit ansagen',
+        'Shortcut: T': 'Tastenkürzel: T',
+        'Motion:': 'Bewegung:',
+        'Follow system setting': 'Wie im System',
+        'Full motion': 'Volle Bewegung',
+        'Reduced motion': 'Reduzierte Bewegung',
+        'It is {time}': 'Es ist {time}',
+        'Chimes': 'Glockenschlag',
+        'Strike the hours': 'Stundenschlag',
+        'Westminster quarters': 'Westminster-Viertelschlag',
+        'Tick every second': 'Sekundenticken',
+        'Volume:': 'Lautstärke:',
+        'Quiet hours:': 'Ruhezeit:',
+        'to': 'bis',
+        'Quiet hours start': 'Beginn der Ruhezeit',
+        'Quiet hours end': 'Ende der Ruhezeit',
+        'Play Hour Chime': 'Stundenschlag abspielen',
+        'Performance': 'Leistung',
+        'Frame rate:': 'Bildrate:',
+        'In Zen Mode:': 'Im Zen-Modus:',
+        'Quality:': 'Qualität:',
+        'Auto': 'Automatisch',
+        'High': 'Hoch',
+        'Medium': 'Mittel',
+        'Low': 'Niedrig',
+        'Show performance HUD': 'Leistungsanzeige einblenden',
+        'Tick scheme (JSON)': 'Markierungsschema (JSON)',
+        'Editing the scheme switches to the Custom scheme': 'Das Schema zu bearbeiten wechselt zum eigenen Schema',
+        'Tick scheme file (.json)': 'Markierungsschema-Datei (.json)',
+        'Save Scheme File': 'Schema als Datei speichern',
+        'Not applied: {error}': 'Nicht übernommen: {error}',
+        'Indicator Motion': 'Bewegung der Zeiger',
+        'Smooth sweep': 'Gleitend',
+        'Quartz tick': 'Quarz-Sprung',
+        'Mechanical (8 beats/s)': 'Mechanisch (8 Halbschwingungen/s)',
+        'Railway (stop-to-go)': 'Bahnhofsuhr (Stop-to-go)',
+        'Continuous': 'Kontinuierlich',
+        'Step each minute': 'Minutensprung',
+        // Explainer
+        'Why a Mobius Clock?': 'Warum eine Möbius-Uhr?',
+        'Reason: to show 24-hour time on a 12-hour clock face. Since the hour indicator moves along the edge of the Mobius strip (try Fast Mode for demo), it must make 2 full turns to return to its starting point, thus showing the 24-hour time: Noon is at the bottom of the upper arch, and midnight is at the top. Turn on the hour labels to see the hours. The minute and second indicators move along the center of the strip, so they complete a cycle in only one turn.':
+            'Der Grund: 24 Stunden auf einem 12-Stunden-Zifferblatt zu zeigen. Da der Stundenzeiger am Rand des ' +
+            'Möbiusbandes entlangläuft (probieren Sie den Zeitraffer), braucht er 2 volle Runden, um zu seinem ' +
+            'Ausgangspunkt zurückzukehren, und zeigt so die 24-Stunden-Zeit: Mittag liegt unten im oberen Bogen, ' +
+            'Mitternacht ganz oben. Blenden Sie die Stunden ein, um sie zu sehen. Minuten- und Sekundenzeiger laufen ' +
+            'in der Mitte des Bandes und schließen ihren Kreis daher schon nach einer Runde.',
+        'This strip has the classic single half-twist. Try 3 or 5 half-twists in Settings: the edge still takes 2 full turns (24 hours) to close, since any odd number of half-twists joins the edge to itself, but on the way it winds around the band more often and ties itself in a knot.':
+            'Dieses Band hat die klassische einzelne halbe Drehung. Probieren Sie 3 oder 5 halbe Drehungen in den ' +
+            'Einstellungen: Der Rand braucht weiterhin 2 volle Runden (24 Stunden), um sich zu schließen, da jede ' +
+            'ungerade Zahl halber Drehungen den Rand mit sich selbst verbindet, windet sich unterwegs aber öfter um ' +
+            'das Band und bildet einen Knoten.',
+        'This strip has {twists} half-twists. Its edge still closes after 2 full turns (24 hours), but it winds {twists} half-turns around the band on each lap, so the hour indicator flips between faces every {hours} hours instead of every 12, and the edge forms a {knot} knot.':
+            'Dieses Band hat {twists} halbe Drehungen. Sein Rand schließt sich weiterhin nach 2 vollen Runden ' +
+            '(24 Stunden), windet sich aber in jeder Runde {twists} halbe Drehungen um das Band, sodass der ' +
+            'Stundenzeiger alle {hours} Stunden statt alle 12 die Seite wechselt und der Rand einen {knot} bildet.',
+        'trefoil': 'Kleeblattknoten',
+        'cinquefoil': 'Fünfblattknoten'
+    }
+};